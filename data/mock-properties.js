@@ -10,7 +10,10 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "sarah.chen@goldengateproperties.com",
     description: "Charming studio apartment with abundant natural light, just a 5-minute walk from Golden Gate Park. Recently renovated with modern appliances and hardwood floors. Perfect for young professionals or students. Includes in-unit laundry and a small private balcony with park views.",
     amenities: ["wifi", "laundry in unit", "balcony", "hardwood floors", "pet friendly"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    availableFrom: "2026-11-01",
+    minLeaseMonths: 12,
+    furnished: false
   },
   {
     id: 2,
@@ -23,7 +26,10 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "mike.rodriguez@missionliving.com",
     description: "Stylish one-bedroom apartment in the heart of the vibrant Mission District. Walking distance to BART, countless restaurants, and nightlife. Features exposed brick walls, stainless steel appliances, and a spacious living area. Building has a rooftop deck with city views.",
     amenities: ["wifi", "rooftop deck", "near BART", "dishwasher", "security system"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    minLeaseMonths: 12,
+    maxLeaseMonths: 12,
+    furnished: false
   },
   {
     id: 3,
@@ -36,7 +42,11 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "victoria.peterson@haightrentals.com",
     description: "Beautiful Victorian flat with original architectural details preserved. High ceilings, bay windows, and period fixtures throughout. Two spacious bedrooms, perfect for roommates. Located on the iconic Haight Street with easy access to shops, cafes, and public transportation.",
     amenities: ["wifi", "vintage charm", "high ceilings", "bay windows", "shared garden"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    availableFrom: "2026-12-01",
+    minLeaseMonths: 12,
+    maxLeaseMonths: 24,
+    furnished: false
   },
   {
     id: 4,
@@ -49,7 +59,10 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "leasing@somahighrise.com",
     description: "Premium studio apartment on the 25th floor with stunning city views. Full-service building with 24/7 concierge, gym, pool, and business center. Walking distance to tech companies and financial district. Modern finishes throughout with floor-to-ceiling windows.",
     amenities: ["wifi", "gym", "pool", "concierge", "city views", "parking available"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    availableFrom: "2027-01-01",
+    minLeaseMonths: 12,
+    furnished: false
   },
   {
     id: 5,
@@ -62,7 +75,10 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "jennifer.wang@sunsetproperties.com",
     description: "Perfect family home in the quiet Sunset District. Three bedrooms, two full bathrooms, and a large backyard. Great schools nearby and easy access to Ocean Beach. Features a garage, updated kitchen, and plenty of storage space. Ideal for families looking for a peaceful neighborhood.",
     amenities: ["wifi", "garage", "backyard", "near schools", "storage", "washer/dryer"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    minLeaseMonths: 6,
+    maxLeaseMonths: 12,
+    furnished: false
   },
   {
     id: 6,
@@ -75,7 +91,10 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "alex.johnson@dogpatchlofts.com",
     description: "Industrial-chic loft with soaring ceilings and huge windows. Open floor plan with exposed beams and polished concrete floors. Located in the up-and-coming Dogpatch neighborhood with artisanal coffee shops and breweries nearby. Includes one parking space.",
     amenities: ["wifi", "parking", "high ceilings", "industrial style", "near cafes"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    availableFrom: "2026-11-15",
+    minLeaseMonths: 12,
+    furnished: false
   },
   {
     id: 7,
@@ -88,7 +107,11 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "patricia.lee@nobhillestates.com",
     description: "Elegant studio in prestigious Nob Hill. Classic San Francisco charm with updated amenities. Walking distance to Union Square, cable car lines, and downtown. Building features marble lobby and elevator. Perfect for professionals working downtown.",
     amenities: ["wifi", "elevator", "cable car access", "marble lobby", "downtown location"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    availableFrom: "2026-12-15",
+    minLeaseMonths: 12,
+    maxLeaseMonths: 24,
+    furnished: false
   },
   {
     id: 8,
@@ -101,7 +124,9 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "david.kim@richmondrentals.com",
     description: "Ground floor apartment with private garden access. One bedroom with lots of natural light. Close to diverse restaurants on Clement Street and quick bus access to downtown. Newly renovated bathroom and kitchen with gas stove. Street parking available.",
     amenities: ["wifi", "garden access", "gas stove", "near restaurants", "bus lines"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    minLeaseMonths: 12,
+    furnished: false
   },
   {
     id: 9,
@@ -114,7 +139,11 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "luxury@russianhillpenthouses.com",
     description: "Stunning penthouse with panoramic views of the Bay, Alcatraz, and Golden Gate Bridge. Two bedrooms, two bathrooms, and a private roof deck. High-end finishes throughout including marble countertops and hardwood floors. Includes two parking spaces and storage unit.",
     amenities: ["wifi", "roof deck", "bay views", "2 parking spaces", "storage unit", "luxury finishes"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    availableFrom: "2026-11-01",
+    minLeaseMonths: 6,
+    maxLeaseMonths: 18,
+    furnished: false
   },
   {
     id: 10,
@@ -127,7 +156,10 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "maria.gonzalez@bernalarts.com",
     description: "Unique live/work studio space perfect for artists or remote workers. High ceilings, concrete floors, and excellent natural light. Located in the creative Bernal Heights neighborhood with a village feel. Close to parks and local shops. Small pets welcome.",
     amenities: ["wifi", "high ceilings", "work space", "pet friendly", "artist community"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    availableFrom: "2027-01-15",
+    minLeaseMonths: 12,
+    furnished: false
   },
   {
     id: 11,
@@ -140,7 +172,10 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "rentals@usfapartments.com",
     description: "Fully furnished one-bedroom apartment ideal for students or visiting professionals. Walking distance to University of San Francisco. Includes all utilities and weekly cleaning service. Modern furniture and fully equipped kitchen. Available for short or long-term leases.",
     amenities: ["wifi", "furnished", "utilities included", "cleaning service", "near USF"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    minLeaseMonths: 1,
+    maxLeaseMonths: 12,
+    furnished: true
   },
   {
     id: 12,
@@ -153,7 +188,10 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "tech@potrerorentals.com",
     description: "Modern two-bedroom flat designed with tech workers in mind. Gigabit internet, smart home features, and dedicated office space in each bedroom. Walking distance to Caltrain and easy commute to South Bay. Shared backyard with BBQ area.",
     amenities: ["gigabit wifi", "smart home", "near Caltrain", "office space", "backyard BBQ"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    availableFrom: "2026-12-01",
+    minLeaseMonths: 12,
+    furnished: false
   },
   {
     id: 13,
@@ -166,7 +204,11 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "helena.williams@pacificheightsliving.com",
     description: "Elegant junior one-bedroom in prime Pacific Heights location. Separate sleeping alcove, updated kitchen with granite counters, and classic architectural details. Walk to Fillmore Street shopping and dining. Building has shared laundry and bike storage.",
     amenities: ["wifi", "granite counters", "bike storage", "shopping nearby", "classic architecture"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    availableFrom: "2026-11-01",
+    minLeaseMonths: 12,
+    maxLeaseMonths: 12,
+    furnished: false
   },
   {
     id: 14,
@@ -179,7 +221,10 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "green@hayesvalleyeco.com",
     description: "Sustainable living in trendy Hayes Valley. Solar-powered building with energy-efficient appliances and low-flow fixtures. Studio features bamboo floors and recycled materials throughout. Steps from Patricia's Green park and boutique shopping. Bike parking included.",
     amenities: ["wifi", "solar power", "eco-friendly", "bike parking", "near parks"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    minLeaseMonths: 6,
+    maxLeaseMonths: 12,
+    furnished: false
   },
   {
     id: 15,
@@ -192,7 +237,11 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "robert.taylor@noevalleyrentals.com",
     description: "Beautiful two-level duplex in family-friendly Noe Valley. Two bedrooms upstairs, open living space downstairs. Private deck with city views, updated kitchen with island, and in-unit washer/dryer. Close to 24th Street shops and restaurants. One car garage included.",
     amenities: ["wifi", "duplex", "deck", "garage", "washer/dryer", "city views"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    availableFrom: "2027-01-01",
+    minLeaseMonths: 12,
+    maxLeaseMonths: 24,
+    furnished: false
   },
   {
     id: 16,
@@ -205,7 +254,10 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "modern@midmarketlofts.com",
     description: "Sleek, minimalist loft in the revitalized Mid-Market area. Floor-to-ceiling windows, polished concrete floors, and European-style kitchen. Walking distance to Twitter, Uber, and other tech companies. Building features 24-hour security and package service.",
     amenities: ["wifi", "security", "package service", "tech companies nearby", "minimalist design"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    availableFrom: "2026-11-20",
+    minLeaseMonths: 12,
+    furnished: false
   },
   {
     id: 17,
@@ -218,7 +270,10 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "beachside@outersunsetrentals.com",
     description: "Cozy beach cottage studio just blocks from Ocean Beach. Perfect for surfers and beach lovers. Features a Murphy bed to maximize space, compact kitchen, and shared backyard. Quiet neighborhood with easy N-Judah access to downtown. Street parking available.",
     amenities: ["wifi", "near beach", "Murphy bed", "N-Judah access", "quiet area"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    minLeaseMonths: 3,
+    maxLeaseMonths: 12,
+    furnished: false
   },
   {
     id: 18,
@@ -231,7 +286,10 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "historic@alamosquareproperties.com",
     description: "Stunning Victorian home across from Alamo Square Park and the famous Painted Ladies. Three large bedrooms, original hardwood floors, ornate moldings, and period fixtures. Modern kitchen and updated bathrooms. Perfect for families or roommates who appreciate historic charm.",
     amenities: ["wifi", "historic features", "park views", "hardwood floors", "modern kitchen"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    availableFrom: "2026-12-01",
+    minLeaseMonths: 12,
+    furnished: false
   },
   {
     id: 19,
@@ -244,7 +302,11 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "marina@bayfrontrentals.com",
     description: "Newly renovated studio in the Marina District. Includes rare dedicated parking spot. Walking distance to Chestnut Street shopping and dining. Modern appliances, quartz countertops, and custom closet organization. Close to Marina Green and Crissy Field.",
     amenities: ["wifi", "parking included", "quartz counters", "custom closets", "near Marina Green"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    availableFrom: "2026-11-01",
+    minLeaseMonths: 12,
+    maxLeaseMonths: 24,
+    furnished: false
   },
   {
     id: 20,
@@ -257,7 +319,10 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "pride@castroproperties.com",
     description: "Bright one-bedroom apartment in the heart of the Castro. South-facing windows provide excellent light. Updated with modern amenities while maintaining vintage charm. Steps from Castro Theatre, restaurants, and nightlife. Easy access to multiple MUNI lines.",
     amenities: ["wifi", "vintage charm", "south-facing", "near Castro Theatre", "MUNI access"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    availableFrom: "2027-01-01",
+    minLeaseMonths: 12,
+    furnished: false
   },
   {
     id: 21,
@@ -270,7 +335,10 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "remote@glenparkrentals.com",
     description: "Ideal setup for remote workers with dedicated office space and strong internet. Two bedrooms plus bonus room perfect for home office. Quiet residential street in family-friendly Glen Park. Close to BART station and Glen Park village shops. Shared garden space.",
     amenities: ["wifi", "home office", "near BART", "garden", "family-friendly"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    minLeaseMonths: 6,
+    maxLeaseMonths: 12,
+    furnished: false
   },
   {
     id: 22,
@@ -283,7 +351,10 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "affordable@tenderloinstudios.com",
     description: "Budget-friendly studio in central location. Recently renovated with new appliances and fresh paint. Walking distance to Union Square and downtown. Building has controlled access and on-site management. Great value for those wanting to live in the city center.",
     amenities: ["wifi", "controlled access", "central location", "on-site management", "affordable"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    availableFrom: "2026-12-01",
+    minLeaseMonths: 12,
+    furnished: false
   },
   {
     id: 23,
@@ -296,7 +367,11 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "waterfront@embarcaderoluxury.com",
     description: "Waterfront luxury living with spectacular Bay Bridge views. High-floor unit with floor-to-ceiling windows. Premium finishes including marble bath and chef's kitchen. Building amenities include rooftop pool, fitness center, and valet parking. Walk to Ferry Building and Financial District.",
     amenities: ["wifi", "bay views", "pool", "valet parking", "luxury amenities", "Ferry Building"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    availableFrom: "2026-11-15",
+    minLeaseMonths: 9,
+    maxLeaseMonths: 12,
+    furnished: false
   },
   {
     id: 24,
@@ -309,7 +384,9 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "inlaw@excelsiorrentals.com",
     description: "Private in-law unit with separate entrance. One bedroom with full kitchen and bathroom. Quiet residential neighborhood with easy street parking. Close to Balboa Park and multiple transit options. Includes small private patio and laundry access. Perfect for those seeking privacy and affordability.",
     amenities: ["wifi", "private entrance", "patio", "laundry access", "parking easy"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    minLeaseMonths: 12,
+    furnished: false
   },
   {
     id: 25,
@@ -322,7 +399,11 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "coliving@missionbayshared.com",
     description: "Private bedroom in modern shared apartment. Common areas include fully equipped kitchen, living room, and outdoor terrace. All utilities included. Walking distance to UCSF and Warriors arena. Great community of young professionals. Weekly cleaning of common areas included.",
     amenities: ["wifi", "utilities included", "terrace", "cleaning service", "near UCSF"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    availableFrom: "2026-12-15",
+    minLeaseMonths: 12,
+    maxLeaseMonths: 24,
+    furnished: false
   },
   {
     id: 26,
@@ -335,7 +416,11 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "pets@parksiderentals.com",
     description: "Spacious two-bedroom welcoming pets of all sizes. Hardwood floors throughout, updated kitchen, and large living room. One block from Stern Grove and dog park. Quiet family neighborhood with great schools nearby. Includes garage and small backyard perfect for pets.",
     amenities: ["wifi", "pet friendly", "garage", "backyard", "near dog park", "hardwood floors"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    availableFrom: "2026-11-01",
+    minLeaseMonths: 6,
+    maxLeaseMonths: 12,
+    furnished: false
   },
   {
     id: 27,
@@ -348,7 +433,9 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "retro@lowerhaightrentals.com",
     description: "Vintage studio with retro charm in vibrant Lower Haight. Original 1960s fixtures mixed with modern conveniences. Walking distance to countless bars, restaurants, and music venues. Great public transit access. Building has coin laundry and bike room.",
     amenities: ["wifi", "vintage style", "near nightlife", "bike room", "transit access"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    minLeaseMonths: 12,
+    furnished: false
   },
   {
     id: 28,
@@ -361,7 +448,10 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "executive@fidirentals.com",
     description: "Ultimate luxury penthouse in the heart of the Financial District. Three bedrooms, three bathrooms, and wraparound terrace with 360-degree city views. Professional-grade kitchen, wine storage, and smart home system throughout. Includes three parking spaces and 24/7 concierge service.",
     amenities: ["wifi", "360 views", "terrace", "3 parking", "wine storage", "concierge", "smart home"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    availableFrom: "2027-01-01",
+    minLeaseMonths: 12,
+    furnished: false
   },
   {
     id: 29,
@@ -374,7 +464,11 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "warehouse@somaconversions.com",
     description: "Unique warehouse conversion with 15-foot ceilings and original brick walls. Open floor plan with sleeping loft and ground-floor living space. Modern kitchen with concrete countertops. Located in SOMA's creative district near galleries and design studios. One parking space included.",
     amenities: ["wifi", "loft", "brick walls", "15ft ceilings", "parking", "creative district"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    availableFrom: "2026-11-01",
+    minLeaseMonths: 12,
+    maxLeaseMonths: 12,
+    furnished: false
   },
   {
     id: 30,
@@ -387,6 +481,10 @@ export const MOCK_PROPERTIES = [
     landlordEmail: "student@sfsuhousing.com",
     description: "Affordable studio perfect for SFSU students. Five-minute walk to campus. Includes desk, bed, and basic furniture. Utilities included in rent. Quiet building with study room and laundry facilities. On-site management and maintenance. Great value for students on a budget.",
     amenities: ["wifi", "furnished", "utilities included", "study room", "near SFSU", "affordable"],
-    images: ["https://via.placeholder.com/400x300"]
+    images: ["https://via.placeholder.com/400x300"],
+    availableFrom: "2026-12-01",
+    minLeaseMonths: 4,
+    maxLeaseMonths: 12,
+    furnished: true
   }
 ]; 
\ No newline at end of file
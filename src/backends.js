@@ -0,0 +1,141 @@
+import { env } from '@xenova/transformers';
+
+const IS_NODE = typeof process !== 'undefined' && process?.release?.name === 'node';
+
+// Smallest module using a SIMD instruction (i8x16.popcnt), from wasm-feature-detect
+const SIMD_TEST_MODULE = new Uint8Array([
+  0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0, 10, 10, 1, 8, 0, 65, 0, 253, 15, 253, 98, 11
+]);
+
+export const BACKENDS = ['auto', 'native', 'wasm'];
+
+/**
+ * Check whether WebAssembly SIMD is supported
+ */
+function hasWasmSimd() {
+  try {
+    return typeof WebAssembly === 'object' && WebAssembly.validate(SIMD_TEST_MODULE);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check whether WebAssembly threads are usable (shared memory, and cross-origin isolation in browsers)
+ */
+function hasWasmThreads() {
+  if (typeof SharedArrayBuffer === 'undefined') return false;
+  if (typeof crossOriginIsolated !== 'undefined' && !crossOriginIsolated) return false;
+  try {
+    const memory = new WebAssembly.Memory({ initial: 1, maximum: 1, shared: true });
+    return memory.buffer instanceof SharedArrayBuffer;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check whether the native onnxruntime-node binding loads
+ */
+async function hasNativeRuntime() {
+  if (!IS_NODE) return false;
+  try {
+    await import('onnxruntime-node');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Number of logical CPU cores (what onnxruntime sizes its native thread pool by)
+ */
+async function cpuCount() {
+  if (IS_NODE) {
+    const os = await import('os');
+    return os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+  }
+  return typeof navigator !== 'undefined' ? navigator.hardwareConcurrency || 1 : 1;
+}
+
+/**
+ * Probe which inference backends this environment can run
+ * @returns {Promise<{native: boolean, wasm: boolean, wasmSimd: boolean, wasmThreads: boolean, cpus: number}>}
+ */
+export async function detectBackends() {
+  return {
+    native: await hasNativeRuntime(),
+    wasm: typeof WebAssembly === 'object',
+    wasmSimd: hasWasmSimd(),
+    wasmThreads: hasWasmThreads(),
+    cpus: await cpuCount()
+  };
+}
+
+/**
+ * Choose and configure the backend Transformers.js will run the model on
+ *
+ * Transformers.js v2 decides the runtime by environment: Node.js always runs
+ * onnxruntime-node, browsers run onnxruntime-web (WebAssembly). WebGPU is not
+ * supported by this version, so it is never reported or selected. On Node.js it
+ * creates sessions without session options, so the native thread pool can't be
+ * sized from here: numThreads is rejected and threads is reported as null.
+ * @param {Object} options - Backend options
+ * @param {string} options.backend - 'auto' (default), 'native' or 'wasm'
+ * @param {number} options.numThreads - WebAssembly threads, browser only (default: half the cores, at most 4,
+ *   when threads are available)
+ * @returns {Promise<Object>} The backend that will run: { name, runtime, executionProvider, simd, threads, available }
+ *   (threads is the configured WebAssembly thread count, or null when the runtime chooses)
+ */
+export async function configureBackend(options = {}) {
+  const { backend = 'auto', numThreads } = options;
+
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Unknown backend: ${backend} (expected one of: ${BACKENDS.join(', ')})`);
+  }
+
+  const available = await detectBackends();
+
+  if (IS_NODE) {
+    if (backend === 'wasm') {
+      throw new Error('The wasm backend is only available in the browser; Node.js runs onnxruntime-node');
+    }
+    if (numThreads !== undefined) {
+      throw new Error('numThreads only applies to the browser wasm backend; onnxruntime-node sizes its own thread pool');
+    }
+    if (!available.native) {
+      throw new Error('onnxruntime-node is not installed or failed to load');
+    }
+    return {
+      name: 'native',
+      runtime: 'onnxruntime-node',
+      executionProvider: 'cpu',
+      simd: null,
+      threads: null,
+      available
+    };
+  }
+
+  if (backend === 'native') {
+    throw new Error('The native backend is only available in Node.js');
+  }
+  if (!available.wasm) {
+    throw new Error('WebAssembly is not supported in this environment');
+  }
+
+  const threads = available.wasmThreads
+    ? numThreads ?? Math.min(4, Math.max(1, Math.ceil(available.cpus / 2)))
+    : 1;
+  const wasmFlags = env.backends.onnx.wasm;
+  wasmFlags.simd = available.wasmSimd;
+  wasmFlags.numThreads = threads;
+
+  return {
+    name: 'wasm',
+    runtime: 'onnxruntime-web',
+    executionProvider: 'wasm',
+    simd: available.wasmSimd,
+    threads,
+    available
+  };
+}
@@ -0,0 +1,146 @@
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in',
+  'is', 'it', 'of', 'on', 'or', 'the', 'to', 'with', 'i', 'me', 'my', 'we',
+  'need', 'want', 'looking'
+]);
+
+/**
+ * Splits text into lowercase search terms, dropping stop words
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Terms
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(term => term.length > 0 && !STOP_WORDS.has(term));
+}
+
+/**
+ * Builds the lexical document for a property
+ * Mirrors the descriptive fields createPropertyText feeds to the embedding model
+ * @param {Object} property - Property listing
+ * @returns {string} Searchable text
+ */
+export function createLexicalText(property) {
+  return [
+    property.title,
+    property.description,
+    property.address,
+    (property.amenities || []).join(' ')
+  ].join(' ');
+}
+
+/**
+ * BM25Index - In-memory Okapi BM25 index over property listings
+ * Complements embedding similarity with exact term matching ("BART", street names, etc.)
+ */
+export class BM25Index {
+  /**
+   * @param {Array} properties - Properties to index
+   * @param {Object} options - Index options
+   * @param {number} options.k1 - Term frequency saturation (default: 1.2)
+   * @param {number} options.b - Length normalization (default: 0.75)
+   */
+  constructor(properties, options = {}) {
+    const { k1 = 1.2, b = 0.75 } = options;
+    this.k1 = k1;
+    this.b = b;
+    this.documents = new Map();
+    this.documentFrequency = new Map();
+    this.totalLength = 0;
+
+    for (const property of properties) {
+      this.add(property);
+    }
+  }
+
+  /**
+   * Add (or replace) a property in the index
+   * @param {Object} property - Property listing
+   */
+  add(property) {
+    if (this.documents.has(property.id)) {
+      this.remove(property.id);
+    }
+
+    const terms = tokenize(createLexicalText(property));
+    const termFrequency = new Map();
+    for (const term of terms) {
+      termFrequency.set(term, (termFrequency.get(term) || 0) + 1);
+    }
+
+    for (const term of termFrequency.keys()) {
+      this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+    }
+
+    this.documents.set(property.id, { termFrequency, length: terms.length });
+    this.totalLength += terms.length;
+  }
+
+  /**
+   * Remove a property from the index
+   * @param {number|string} id - Property ID
+   */
+  remove(id) {
+    const document = this.documents.get(id);
+    if (!document) return;
+
+    for (const term of document.termFrequency.keys()) {
+      const count = this.documentFrequency.get(term) - 1;
+      if (count > 0) {
+        this.documentFrequency.set(term, count);
+      } else {
+        this.documentFrequency.delete(term);
+      }
+    }
+
+    this.totalLength -= document.length;
+    this.documents.delete(id);
+  }
+
+  /**
+   * Score a single indexed property against query terms
+   * @param {number|string} id - Property ID
+   * @param {string[]} queryTerms - Tokenized query
+   * @returns {number} BM25 score (0 when nothing matches)
+   */
+  scoreDocument(id, queryTerms) {
+    const document = this.documents.get(id);
+    if (!document) return 0;
+
+    const documentCount = this.documents.size;
+    const averageLength = this.totalLength / documentCount || 1;
+    let score = 0;
+
+    for (const term of new Set(queryTerms)) {
+      const frequency = document.termFrequency.get(term);
+      if (!frequency) continue;
+
+      const df = this.documentFrequency.get(term);
+      const idf = Math.log(1 + (documentCount - df + 0.5) / (df + 0.5));
+      const norm = frequency + this.k1 * (1 - this.b + this.b * document.length / averageLength);
+      score += idf * (frequency * (this.k1 + 1)) / norm;
+    }
+
+    return score;
+  }
+
+  /**
+   * Score properties against a query
+   * @param {string} query - Search query text
+   * @param {Array} [candidates] - Restrict scoring to these properties (default: all indexed)
+   * @returns {Map<number|string, number>} Property ID -> BM25 score
+   */
+  score(query, candidates) {
+    const queryTerms = tokenize(query);
+    const ids = candidates ? candidates.map(property => property.id) : [...this.documents.keys()];
+    const scores = new Map();
+
+    for (const id of ids) {
+      scores.set(id, this.scoreDocument(id, queryTerms));
+    }
+
+    return scores;
+  }
+}
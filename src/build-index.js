@@ -0,0 +1,35 @@
+import { readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { HNSWIndex } from './hnsw-index.js';
+
+/**
+ * Builds the HNSW index from the pre-computed embeddings and saves it next to them
+ */
+async function buildIndex() {
+  console.log('🚀 Building HNSW index...');
+
+  try {
+    const inputPath = path.join(process.cwd(), 'data', 'properties-with-embeddings.json');
+    const outputPath = path.join(process.cwd(), 'data', 'properties-hnsw.json');
+
+    const properties = JSON.parse(await readFile(inputPath, 'utf8'));
+    console.log(`✅ Loaded ${properties.length} properties with embeddings`);
+
+    const start = performance.now();
+    const index = HNSWIndex.fromProperties(properties);
+    const buildTime = performance.now() - start;
+
+    await writeFile(outputPath, JSON.stringify(index.serialize()));
+
+    console.log(`\n✅ Indexed ${index.size} properties in ${buildTime.toFixed(2)}ms`);
+    console.log(`   Layers: ${index.maxLevel + 1} | M: ${index.M} | efConstruction: ${index.efConstruction}`);
+    console.log(`   Saved to: ${outputPath}`);
+
+  } catch (error) {
+    console.error('❌ Error building index:', error);
+    process.exit(1);
+  }
+}
+
+// Run the script
+buildIndex();
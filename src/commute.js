@@ -0,0 +1,409 @@
+import { haversineDistance, hasCoordinates } from './geo-utils.js';
+import { BinaryHeap, parseCsv } from './data-utils.js';
+
+/**
+ * Commute time estimates from an offline GTFS feed
+ *
+ * This is an estimate for ranking, not a trip planner. There is no timetable
+ * query: a commute is a walk to a nearby stop, a wait of half the route's
+ * headway, the fastest scheduled ride between stops, walking transfers, and a
+ * walk to the destination. Headways are measured per service (trips.txt
+ * service_id) during commute hours, preferring services that run on weekdays
+ * (calendar.txt, when the feed has it). The network is built once from
+ * stops.txt, routes.txt, trips.txt, stop_times.txt and the optional
+ * calendar.txt. Per destination, one reverse Dijkstra pass gives the time to
+ * the destination from every stop, so each listing only needs a look at its
+ * nearby stops, found through a grid of maxWalkKm-sized cells.
+ */
+
+export const DEFAULT_COMMUTE_OPTIONS = {
+  walkSpeedKmh: 4.8,
+  // Streets are longer than the straight line between two points
+  detourFactor: 1.3,
+  maxWalkKm: 1.2,
+  transferWalkKm: 0.3,
+  maxWaitMinutes: 15,
+  // Headways are measured from departures in this window (hours), when it has two or more
+  commuteHours: [6, 10]
+};
+
+const GTFS_TABLES = ['stops', 'routes', 'trips', 'stop_times'];
+const OPTIONAL_GTFS_TABLES = ['calendar'];
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
+const KM_PER_DEGREE = 111.2;
+const MAX_CACHED_DESTINATIONS = 20;
+
+/**
+ * Parse one GTFS table (CSV with a header row) into objects keyed by column
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Rows
+ */
+export function parseGtfsTable(text) {
+  const [headerRecord, ...records] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!headerRecord) return [];
+
+  const header = headerRecord.values.map(column => column.trim());
+  return records.map(({ values }) =>
+    Object.fromEntries(header.map((column, i) => [column, (values[i] ?? '').trim()])));
+}
+
+/**
+ * Convert a GTFS time to minutes after midnight
+ * Hours may exceed 23 for trips that run past midnight ("25:10:00").
+ * @param {string} value - HH:MM:SS
+ * @returns {number} Minutes, or NaN when the value is empty or malformed
+ */
+export function parseGtfsTime(value) {
+  const match = /^(\d{1,3}):(\d{2}):(\d{2})$/.exec(value ?? '');
+  if (!match) return NaN;
+  const [, hours, minutes, seconds] = match.map(Number);
+  return hours * 60 + minutes + seconds / 60;
+}
+
+/**
+ * Median of a non-empty list of numbers
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Median gap between distinct departure times, or Infinity with fewer than two
+ */
+function headway(times) {
+  const distinct = [...new Set(times)].sort((a, b) => a - b);
+  return distinct.length > 1 ? median(distinct.slice(1).map((time, i) => time - distinct[i])) : Infinity;
+}
+
+/**
+ * TransitNetwork - stops, rides and walking transfers from a GTFS feed
+ */
+export class TransitNetwork {
+  /**
+   * @param {Object} feed - Parsed GTFS tables ({ stops, routes, trips, stopTimes, calendar? }, see parseGtfsTable)
+   * @param {Object} options - Estimate settings
+   * @param {number} options.walkSpeedKmh - Walking speed (default: 4.8)
+   * @param {number} options.detourFactor - Walking distance per straight-line km (default: 1.3)
+   * @param {number} options.maxWalkKm - Longest walk to or from a stop (default: 1.2)
+   * @param {number} options.transferWalkKm - Longest walk between two stops when transferring (default: 0.3)
+   * @param {number} options.maxWaitMinutes - Wait cap, and the wait on routes with a single trip (default: 15)
+   * @param {number[]} options.commuteHours - [from, to) hours whose departures set the headway (default: [6, 10])
+   */
+  constructor(feed, options = {}) {
+    const { stops = [], routes = [], trips = [], stopTimes = [], calendar = [] } = feed;
+    this.options = { ...DEFAULT_COMMUTE_OPTIONS, ...options };
+
+    this.stops = stops
+      .map(stop => ({ id: stop.stop_id, name: stop.stop_name, coordinates: { lat: Number(stop.stop_lat), lng: Number(stop.stop_lon) } }))
+      .filter(stop => stop.id && hasCoordinates(stop.coordinates));
+    if (this.stops.length === 0) {
+      throw new Error('GTFS feed has no stops with coordinates');
+    }
+    const stopIndex = new Map(this.stops.map((stop, i) => [stop.id, i]));
+
+    this.routeNames = new Map(routes.map(route => [
+      route.route_id,
+      route.route_short_name || route.route_long_name || route.route_id
+    ]));
+
+    // Services running on a weekday; without calendar.txt every service counts
+    this.weekdayServices = new Set(calendar
+      .filter(service => WEEKDAYS.some(day => service[day] === '1'))
+      .map(service => service.service_id));
+
+    this.buildRides(trips, stopTimes, stopIndex);
+    this.buildTransfers();
+    this.buildStopGrid();
+
+    // Reverse searches by destination; a few destinations (office, campus) repeat a lot
+    this.timesToDestination = new Map();
+  }
+
+  /**
+   * Load a GTFS feed from a directory (Node.js)
+   * @param {string} directory - Folder with stops.txt, routes.txt, trips.txt and stop_times.txt
+   *   (calendar.txt is read when present; other tables are ignored)
+   * @param {Object} options - Estimate settings (see constructor)
+   * @returns {Promise<TransitNetwork>} Network
+   */
+  static async fromDirectory(directory, options = {}) {
+    const { readFile } = await import('fs/promises');
+    const { join } = await import('path');
+
+    const tables = {};
+    for (const table of [...GTFS_TABLES, ...OPTIONAL_GTFS_TABLES]) {
+      const file = join(directory, `${table}.txt`);
+      try {
+        tables[table] = parseGtfsTable(await readFile(file, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT' && OPTIONAL_GTFS_TABLES.includes(table)) continue;
+        throw new Error(`Failed to read GTFS table ${file}: ${error.message}`, { cause: error });
+      }
+    }
+
+    return new TransitNetwork({
+      stops: tables.stops,
+      routes: tables.routes,
+      trips: tables.trips,
+      stopTimes: tables.stop_times,
+      calendar: tables.calendar
+    }, options);
+  }
+
+  /**
+   * Build ride edges (fastest scheduled time between consecutive stops of a route)
+   * and each route's wait (half its median headway, capped)
+   * Headways are taken per service and origin, so weekday and weekend trips are never
+   * interleaved; a route waits as long as its most frequent weekday service during commute
+   * hours (any service when none runs on weekdays). Stops without scheduled times are skipped.
+   */
+  buildRides(trips, stopTimes, stopIndex) {
+    const routeOfTrip = new Map(trips.map(trip => [trip.trip_id, trip.route_id]));
+    const serviceOfTrip = new Map(trips.map(trip => [trip.trip_id, trip.service_id ?? '']));
+
+    const callsByTrip = new Map();
+    for (const stopTime of stopTimes) {
+      const stop = stopIndex.get(stopTime.stop_id);
+      if (stop === undefined || !routeOfTrip.has(stopTime.trip_id)) continue;
+
+      const arrival = parseGtfsTime(stopTime.arrival_time || stopTime.departure_time);
+      const departure = parseGtfsTime(stopTime.departure_time || stopTime.arrival_time);
+      if (Number.isNaN(arrival) || Number.isNaN(departure)) continue;
+
+      if (!callsByTrip.has(stopTime.trip_id)) callsByTrip.set(stopTime.trip_id, []);
+      callsByTrip.get(stopTime.trip_id).push({ stop, sequence: Number(stopTime.stop_sequence), arrival, departure });
+    }
+
+    const rideMinutes = new Map();
+    const departuresByOrigin = new Map();
+
+    for (const [tripId, calls] of callsByTrip) {
+      const route = routeOfTrip.get(tripId);
+      calls.sort((a, b) => a.sequence - b.sequence);
+
+      // Trips of a route that start at the same stop run in the same direction
+      const service = serviceOfTrip.get(tripId);
+      const originKey = `${route}\n${service}\n${calls[0].stop}`;
+      if (!departuresByOrigin.has(originKey)) departuresByOrigin.set(originKey, { route, service, times: [] });
+      departuresByOrigin.get(originKey).times.push(calls[0].departure);
+
+      for (let i = 1; i < calls.length; i++) {
+        const from = calls[i - 1];
+        const to = calls[i];
+        if (from.stop === to.stop) continue;
+
+        const key = `${route}\n${from.stop}\n${to.stop}`;
+        // Scheduled 0-minute hops still take some time
+        const minutes = Math.max(to.arrival - from.departure, 0.5);
+        if (!(rideMinutes.get(key) <= minutes)) rideMinutes.set(key, minutes);
+      }
+    }
+
+    const [fromHour, toHour] = this.options.commuteHours;
+    const waits = new Map();
+    for (const { route, service, times } of departuresByOrigin.values()) {
+      const inCommuteHours = times.filter(time => time >= fromHour * 60 && time < toHour * 60);
+      const wait = Math.min(headway(inCommuteHours.length > 1 ? inCommuteHours : times) / 2, this.options.maxWaitMinutes);
+
+      if (!waits.has(route)) waits.set(route, { weekday: Infinity, any: Infinity });
+      const routeWaits = waits.get(route);
+      routeWaits.any = Math.min(routeWaits.any, wait);
+      if (this.weekdayServices.size === 0 || this.weekdayServices.has(service)) {
+        routeWaits.weekday = Math.min(routeWaits.weekday, wait);
+      }
+    }
+    this.routeWaits = new Map([...waits].map(([route, { weekday, any }]) => [route, Number.isFinite(weekday) ? weekday : any]));
+
+    // Search states: off a vehicle at a stop (0..stops-1), or on route r at a stop
+    this.onStates = [];
+    const onStateIndex = new Map();
+    const onState = (stop, route) => {
+      const key = `${route}\n${stop}`;
+      if (!onStateIndex.has(key)) {
+        onStateIndex.set(key, this.onStates.length);
+        this.onStates.push({ stop, route, boards: false, previous: [] });
+      }
+      return onStateIndex.get(key);
+    };
+
+    this.alightings = this.stops.map(() => []);
+    for (const [key, minutes] of rideMinutes) {
+      const [route, from, to] = key.split('\n');
+      const boardState = onState(Number(from), route);
+      const alightState = onState(Number(to), route);
+
+      this.onStates[boardState].boards = true;
+      this.onStates[alightState].previous.push({ state: boardState, minutes });
+      if (!this.alightings[Number(to)].includes(alightState)) this.alightings[Number(to)].push(alightState);
+    }
+    this.rideCount = rideMinutes.size;
+  }
+
+  /**
+   * Connect stops within transferWalkKm of each other on foot
+   */
+  buildTransfers() {
+    this.transfers = this.stops.map(() => []);
+    const maxLatDelta = this.options.transferWalkKm / 111;
+    const byLat = this.stops.map((stop, i) => i).sort((a, b) => this.stops[a].coordinates.lat - this.stops[b].coordinates.lat);
+
+    for (let i = 0; i < byLat.length; i++) {
+      const a = this.stops[byLat[i]].coordinates;
+      for (let j = i + 1; j < byLat.length; j++) {
+        const b = this.stops[byLat[j]].coordinates;
+        if (b.lat - a.lat > maxLatDelta) break;
+
+        const km = haversineDistance(a, b);
+        if (km > this.options.transferWalkKm) continue;
+        const minutes = this.walkMinutes(km);
+        this.transfers[byLat[i]].push({ stop: byLat[j], minutes });
+        this.transfers[byLat[j]].push({ stop: byLat[i], minutes });
+      }
+    }
+  }
+
+  /**
+   * Bucket stops into a grid of cells at least maxWalkKm on a side, so finding the stops
+   * near a point only measures the ones in the surrounding cells
+   */
+  buildStopGrid() {
+    const maxAbsLat = Math.min(Math.max(...this.stops.map(stop => Math.abs(stop.coordinates.lat))), 89);
+    this.gridLatStep = this.options.maxWalkKm / KM_PER_DEGREE;
+    this.gridLngStep = this.options.maxWalkKm / (KM_PER_DEGREE * Math.cos(maxAbsLat * Math.PI / 180));
+
+    this.stopGrid = new Map();
+    this.stops.forEach((stop, i) => {
+      const key = `${Math.floor(stop.coordinates.lat / this.gridLatStep)},${Math.floor(stop.coordinates.lng / this.gridLngStep)}`;
+      if (!this.stopGrid.has(key)) this.stopGrid.set(key, []);
+      this.stopGrid.get(key).push(i);
+    });
+  }
+
+  /**
+   * Walking time for a straight-line distance
+   * @param {number} km - Straight-line distance
+   * @returns {number} Minutes
+   */
+  walkMinutes(km) {
+    return km * this.options.detourFactor / this.options.walkSpeedKmh * 60;
+  }
+
+  /**
+   * Stops within walking distance of a point
+   * @returns {Array<{stop: number, minutes: number}>} Stop indexes and walking minutes
+   */
+  nearbyStops(coordinates) {
+    const row = Math.floor(coordinates.lat / this.gridLatStep);
+    const column = Math.floor(coordinates.lng / this.gridLngStep);
+    // Cells narrow towards the poles, so points beyond the feed's latitudes may need more columns
+    const lngSpan = this.options.maxWalkKm / (KM_PER_DEGREE * Math.max(Math.cos(coordinates.lat * Math.PI / 180), 0.01));
+    const columns = Math.ceil(lngSpan / this.gridLngStep);
+
+    const nearby = [];
+    for (let r = row - 1; r <= row + 1; r++) {
+      for (let c = column - columns; c <= column + columns; c++) {
+        for (const i of this.stopGrid.get(`${r},${c}`) ?? []) {
+          const km = haversineDistance(coordinates, this.stops[i].coordinates);
+          if (km <= this.options.maxWalkKm) nearby.push({ stop: i, minutes: this.walkMinutes(km) });
+        }
+      }
+    }
+    return nearby;
+  }
+
+  /**
+   * Minutes from every stop (off a vehicle) to a destination, by a reverse Dijkstra search
+   * @param {{lat: number, lng: number}} destination - Destination
+   * @returns {{minutes: Float64Array, boardings: Array}} Minutes per stop index (Infinity when
+   *   unreachable) and, per stop, where the fastest way on boards first ({ stop, route }, or null on foot)
+   */
+  timesTo(destination) {
+    const key = `${destination.lat.toFixed(5)},${destination.lng.toFixed(5)}`;
+    if (this.timesToDestination.has(key)) return this.timesToDestination.get(key);
+
+    const off = new Float64Array(this.stops.length).fill(Infinity);
+    const on = new Float64Array(this.onStates.length).fill(Infinity);
+    const boardings = new Array(this.stops.length).fill(null);
+    const queue = new BinaryHeap((a, b) => a.minutes - b.minutes);
+    const relax = (times, index, minutes, isOn, boarding = null) => {
+      if (minutes < times[index]) {
+        times[index] = minutes;
+        if (!isOn) boardings[index] = boarding;
+        queue.push({ index, minutes, isOn });
+      }
+    };
+
+    for (const { stop, minutes } of this.nearbyStops(destination)) {
+      relax(off, stop, minutes, false);
+    }
+
+    while (queue.size > 0) {
+      const { index, minutes, isOn } = queue.pop();
+
+      if (!isOn) {
+        if (minutes > off[index]) continue;
+        // Arriving at this stop by vehicle, or on foot from a nearby stop
+        for (const state of this.alightings[index]) relax(on, state, minutes, true);
+        for (const transfer of this.transfers[index]) {
+          relax(off, transfer.stop, minutes + transfer.minutes, false, boardings[index]);
+        }
+      } else {
+        if (minutes > on[index]) continue;
+        const state = this.onStates[index];
+        // Boarding here costs the wait; otherwise the vehicle came from an earlier stop
+        if (state.boards) {
+          relax(off, state.stop, minutes + this.routeWaits.get(state.route), false, { stop: state.stop, route: state.route });
+        }
+        for (const previous of state.previous) relax(on, previous.state, minutes + previous.minutes, true);
+      }
+    }
+
+    if (this.timesToDestination.size >= MAX_CACHED_DESTINATIONS) {
+      this.timesToDestination.delete(this.timesToDestination.keys().next().value);
+    }
+    const result = { minutes: off, boardings };
+    this.timesToDestination.set(key, result);
+    return result;
+  }
+
+  /**
+   * Estimate the door-to-door commute from a point to a destination
+   * @param {{lat: number, lng: number}} origin - Start, e.g. a listing's coordinates
+   * @param {{lat: number, lng: number}} destination - Destination
+   * @returns {{minutes: number, mode: string, boardAt: string|null, route: string|null}|null}
+   *   Minutes (one decimal), 'walk' or 'transit', and the first stop and route boarded;
+   *   null without coordinates
+   */
+  estimate(origin, destination) {
+    if (!hasCoordinates(origin) || !hasCoordinates(destination)) return null;
+
+    const { minutes: times, boardings } = this.timesTo(destination);
+    let best = { minutes: this.walkMinutes(haversineDistance(origin, destination)), boarding: null };
+
+    for (const { stop, minutes } of this.nearbyStops(origin)) {
+      const total = minutes + times[stop];
+      // Walking stop to stop all the way is still a walk
+      if (total < best.minutes && boardings[stop]) {
+        best = { minutes: total, boarding: boardings[stop] };
+      }
+    }
+
+    const { boarding } = best;
+    return {
+      minutes: Number(best.minutes.toFixed(1)),
+      mode: boarding ? 'transit' : 'walk',
+      boardAt: boarding ? this.stops[boarding.stop].name : null,
+      route: boarding ? this.routeNames.get(boarding.route) ?? boarding.route : null
+    };
+  }
+
+  /**
+   * Network size
+   * @returns {{stops: number, routes: number, rides: number}} Counts
+   */
+  getStats() {
+    return { stops: this.stops.length, routes: this.routeWaits.size, rides: this.rideCount };
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Data structure and parsing helpers shared by the index, import and transit modules
+ */
+
+/**
+ * Minimal binary heap ordered by a comparator
+ */
+export class BinaryHeap {
+  /**
+   * @param {Function} compare - Returns < 0 when a should be closer to the top than b
+   */
+  constructor(compare) {
+    this.compare = compare;
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+        if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * Parse CSV text into records (RFC 4180 quoting)
+ * @param {string} text - CSV text
+ * @returns {Array<{line: number, values: string[]}>} Records with the line each starts on
+ */
+export function parseCsv(text) {
+  const records = [];
+  let values = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    values.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    // Skip blank lines
+    if (values.length > 1 || values[0] !== '') records.push({ line: recordLine, values });
+    values = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+  if (field !== '' || values.length > 0) endRecord();
+
+  return records;
+}
@@ -0,0 +1,58 @@
+/**
+ * Calendar dates as ISO strings ("2026-11-01")
+ * Availability is a calendar day, not an instant, so dates are kept as YYYY-MM-DD
+ * strings (which compare correctly as strings) and built from local date parts.
+ */
+
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Checks that a value is a real calendar date written as YYYY-MM-DD
+ * @param {*} value - Candidate date
+ * @returns {boolean} True for valid ISO dates ("2026-02-30" is rejected)
+ */
+export function isIsoDate(value) {
+  const match = typeof value === 'string' && value.match(ISO_DATE_PATTERN);
+  if (!match) return false;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+}
+
+/**
+ * Formats a Date's local calendar day as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} ISO date
+ */
+export function toIsoDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Normalizes a calendar day given as a Date, a YYYY-MM-DD string or an ISO timestamp
+ * ("2026-11-01T09:00:00Z" is the day written in it, whatever the timezone)
+ * @param {*} value - Candidate date
+ * @returns {string|null} ISO date, or null if the value isn't a real calendar date
+ */
+export function toCalendarDate(value) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : toIsoDate(value);
+  }
+  if (typeof value !== 'string') return null;
+
+  const day = value.match(/^(\d{4}-\d{2}-\d{2})(?:T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/)?.[1];
+  return day && isIsoDate(day) ? day : null;
+}
+
+/**
+ * Last day of a month relative to a date
+ * @param {Date} date - Reference date
+ * @param {number} monthsAhead - 0 for the date's month, 1 for the next, etc.
+ * @returns {string} ISO date of the month's last day
+ */
+export function endOfMonth(date, monthsAhead = 0) {
+  return toIsoDate(new Date(date.getFullYear(), date.getMonth() + monthsAhead + 1, 0));
+}
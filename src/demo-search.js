@@ -1,6 +1,8 @@
-import { pipeline } from '@xenova/transformers';
 import { readFile } from 'fs/promises';
 import { findSimilarProperties, filterProperties } from './embedding-utils.js';
+import { parseQuery } from './query-parser.js';
+import { DEFAULT_MODEL, getModelConfig, embeddingInput } from './models.js';
+import { loadEmbeddingPipeline } from './model-loader.js';
 
 /**
  * Demo script showing how to search properties using natural language
@@ -16,47 +18,38 @@ async function demoSearch() {
     
     // Initialize the embedding model
     console.log('🤖 Loading embedding model...');
-    const extractor = await pipeline(
-      'feature-extraction',
-      'Xenova/all-MiniLM-L6-v2'
-    );
+    const model = getModelConfig(DEFAULT_MODEL);
+    const { extractor } = await loadEmbeddingPipeline(model, {
+      offline: process.argv.includes('--offline')
+    });
     console.log('✅ Model loaded\n');
     
-    // Example queries
+    // Example queries - price, bedroom, amenity and lease constraints are read from the text
     const queries = [
-      {
-        text: "I need a quiet studio apartment near a park for under $2500",
-        filters: { maxPrice: 2500, maxBedrooms: 0 }
-      },
-      {
-        text: "Looking for a pet-friendly place with outdoor space and parking",
-        filters: { requiredAmenities: ['pet friendly'] }
-      },
-      {
-        text: "Modern luxury apartment with amazing views and concierge service",
-        filters: { minPrice: 4000 }
-      },
-      {
-        text: "Student-friendly affordable housing near campus with utilities included",
-        filters: { maxPrice: 2500 }
-      },
-      {
-        text: "Family home with multiple bedrooms in a quiet neighborhood with good schools",
-        filters: { minBedrooms: 2 }
-      }
+      "I need a quiet studio apartment near a park for under $2500",
+      "Looking for a pet-friendly place with outdoor space and parking",
+      "Modern luxury apartment over $4000 with amazing views and concierge service",
+      "Student-friendly affordable housing near campus with utilities included for under $2500",
+      "Family home with 2+ bedrooms in a quiet neighborhood with good schools",
+      "Furnished place near campus available next month for a 6-month lease"
     ];
     
     // Process each query
-    for (const query of queries) {
+    for (const text of queries) {
       console.log('━'.repeat(80));
-      console.log(`\n🔍 Query: "${query.text}"`);
-      if (query.filters) {
-        console.log(`   Filters: ${JSON.stringify(query.filters)}`);
+      console.log(`\n🔍 Query: "${text}"`);
+      
+      // Extract structured filters from the query text
+      const query = parseQuery(text);
+      const semanticText = query.text || text;
+      if (query.extracted.length > 0) {
+        console.log(`   Filters: ${query.extracted.map(e => `[${e.label}]`).join(' ')}`);
+        console.log(`   Semantic text: "${semanticText}"`);
       }
       
-      // Generate embedding for the query
-      const queryOutput = await extractor(query.text, {
-        pooling: 'mean',
+      // Generate embedding for the remaining semantic text (the whole query if only filters were typed)
+      const queryOutput = await extractor(embeddingInput(model, semanticText, 'query'), {
+        pooling: model.pooling,
         normalize: true
       });
       const queryEmbedding = Array.from(queryOutput.data);
@@ -76,7 +69,7 @@ async function demoSearch() {
         console.log(`      💰 $${property.price}/month | 🛏️ ${property.bedrooms}BR/${property.bathrooms}BA`);
         console.log(`      🎯 Similarity: ${(property.similarity * 100).toFixed(1)}%`);
         console.log(`      ✨ ${property.amenities.slice(0, 3).join(', ')}${property.amenities.length > 3 ? '...' : ''}`);
-        console.log(`      📧 ${property.landlordEmail}`);
+        console.log(`      ✉️  Landlord ${property.landlordHandle} (contact by inquiry)`);
         console.log();
       });
     }
@@ -1,5 +1,7 @@
 import { readFile } from 'fs/promises';
 import { PropertySearchEngine } from './vectorSearch.js';
+import { HNSWIndex } from './hnsw-index.js';
+import { TransitNetwork } from './commute.js';
 
 /**
  * Demo script showcasing the PropertySearchEngine with WebAssembly
@@ -16,7 +18,8 @@ async function demoVectorSearch() {
     
     // Initialize the PropertySearchEngine
     console.log('🤖 Initializing PropertySearchEngine...');
-    const searchEngine = new PropertySearchEngine();
+    const transit = await TransitNetwork.fromDirectory('./data/gtfs-sample');
+    const searchEngine = new PropertySearchEngine({ transit });
     
     // Measure initialization time
     const initStart = performance.now();
@@ -67,6 +70,32 @@ async function demoVectorSearch() {
           topK: 3,
           filters: { requiredAmenities: ['pet friendly'] }
         }
+      },
+      {
+        name: "📍 Near-the-Office Search",
+        query: "Modern apartment with a short walk to work",
+        options: {
+          topK: 3,
+          sortBy: 'distance',
+          filters: { near: { lat: 37.7897, lng: -122.3972, radiusKm: 2 } }
+        }
+      },
+      {
+        name: "🚇 Hybrid Keyword Search",
+        query: "Victorian flat near BART",
+        options: {
+          topK: 3,
+          mode: 'hybrid'
+        }
+      },
+      {
+        name: "🚆 Commute-Aware Search",
+        query: "Quiet apartment with room to work from home",
+        options: {
+          topK: 3,
+          commute: { destination: { lat: 37.7936, lng: -122.3950 }, weight: 0.3 },
+          filters: { maxCommuteMinutes: 30 }
+        }
       }
     ];
     
@@ -95,6 +124,18 @@ async function demoVectorSearch() {
     console.log(`⚡ Multi-search completed in ${multiTime.toFixed(2)}ms\n`);
     
     displayResults(multiResults, "Combined Query Results");
+
+    // Weighted multi-query with a negative query
+    const weightedQueries = [
+      "quiet residential neighborhood",
+      { text: "good public transportation access", weight: 0.5 },
+      { text: "close to bars and nightlife", weight: -0.7 }
+    ];
+
+    console.log('\n🎯 Weighted: quiet, near transit, NOT near nightlife (fusion: min)');
+
+    const weightedResults = await searchEngine.multiSearch(weightedQueries, properties, { topK: 3, fusion: 'min' });
+    displayResults(weightedResults, "Weighted Query Results");
     
     // Performance benchmark
     console.log('\n' + '═'.repeat(80));
@@ -151,8 +192,19 @@ function displayResults(results, title) {
     console.log(`      📍 ${property.address}`);
     console.log(`      💰 $${property.price.toLocaleString()}/month | 🛏️ ${property.bedrooms}BR/${property.bathrooms}BA`);
     console.log(`      🎯 Similarity: ${(property.similarity * 100).toFixed(1)}%`);
+    if (property.hybridScore !== undefined) {
+      console.log(`      🔤 Keyword score: ${property.lexicalScore.toFixed(2)} | Fused: ${property.hybridScore.toFixed(4)}`);
+    }
+    if (property.distanceKm !== undefined) {
+      console.log(`      🧭 Distance: ${property.distanceKm.toFixed(2)} km`);
+    }
+    if (property.commute) {
+      const { mode, boardAt, route } = property.commute;
+      const via = mode === 'transit' ? ` (${route} from ${boardAt})` : ' (walk)';
+      console.log(`      🚆 Commute: ${property.commuteMinutes} min${via}`);
+    }
     console.log(`      ✨ Amenities: ${property.amenities.slice(0, 4).join(', ')}${property.amenities.length > 4 ? '...' : ''}`);
-    console.log(`      📧 Contact: ${property.landlordEmail}`);
+    console.log(`      ✉️  Contact: send an inquiry to landlord ${property.landlordHandle}`);
     console.log();
   });
 }
@@ -194,17 +246,85 @@ async function performanceBenchmark(searchEngine, properties) {
   console.log(`   Slowest: ${maxTime.toFixed(2)}ms`);
   console.log(`   Total properties: ${properties.length}`);
   console.log(`   Searches per second: ~${(1000 / avgTime).toFixed(1)}`);
+  
+  // Repeat queries are answered from the query embedding cache
+  const cache = searchEngine.getStatus().embeddingCache;
+  if (cache) {
+    console.log(`   Embedding cache: ${cache.hits} hits / ${cache.misses} misses (${cache.size} cached)`);
+  }
+  
+  await recallBenchmark(searchEngine, properties, benchmarkQueries);
+}
+
+/**
+ * Compare HNSW results against the exact brute-force search
+ * Both sides score the same query embedding directly: search() would parse the query into
+ * filters and scan small or heavily filtered candidate sets, so it can't show the graph's recall.
+ */
+async function recallBenchmark(searchEngine, properties, benchmarkQueries, topK = 5) {
+  console.log('\n🕸️  HNSW Recall Benchmark');
+  
+  const buildStart = performance.now();
+  const index = HNSWIndex.fromProperties(properties);
+  const buildTime = performance.now() - buildStart;
+  console.log(`   Built index over ${index.size} properties in ${buildTime.toFixed(2)}ms\n`);
+  
+  const queryEmbeddings = await Promise.all(benchmarkQueries.map(query => searchEngine.generateEmbedding(query)));
+  
+  let exactTime = 0;
+  const exactIds = queryEmbeddings.map(embedding => {
+    const start = performance.now();
+    const exact = searchEngine.scoreProperties(embedding, properties)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, topK);
+    exactTime += performance.now() - start;
+    return new Set(exact.map(property => property.id));
+  });
+  console.log(`   Exact scan: avg ${(exactTime / benchmarkQueries.length).toFixed(2)}ms`);
+  
+  for (const efSearch of [8, 16, 32]) {
+    let recallSum = 0;
+    let annTime = 0;
+    
+    queryEmbeddings.forEach((embedding, i) => {
+      const start = performance.now();
+      const approximate = index.search(embedding, topK, { efSearch });
+      annTime += performance.now() - start;
+      
+      recallSum += approximate.filter(({ id }) => exactIds[i].has(id)).length / exactIds[i].size;
+    });
+    
+    const recall = recallSum / benchmarkQueries.length;
+    console.log(`   efSearch ${String(efSearch).padStart(2)}: recall@${topK} ${(recall * 100).toFixed(1)}% | avg ${(annTime / benchmarkQueries.length).toFixed(2)}ms`);
+  }
+}
+
+let interactiveContext = null;
+
+/**
+ * Load the engine and property data once and share them between calls
+ */
+function getInteractiveContext() {
+  if (!interactiveContext) {
+    interactiveContext = (async () => {
+      const searchEngine = new PropertySearchEngine();
+      await searchEngine.initialize();
+      
+      const propertiesData = await readFile('./data/properties-with-embeddings.json', 'utf8');
+      return { searchEngine, properties: JSON.parse(propertiesData) };
+    })();
+    // Let a failed load be retried on the next call
+    interactiveContext.catch(() => { interactiveContext = null; });
+  }
+  return interactiveContext;
 }
 
 /**
  * Interactive search function (can be called from other modules)
+ * The model and data are loaded on the first call and reused afterwards
  */
 export async function interactiveSearch(query, filters = {}) {
-  const searchEngine = new PropertySearchEngine();
-  await searchEngine.initialize();
-  
-  const propertiesData = await readFile('./data/properties-with-embeddings.json', 'utf8');
-  const properties = JSON.parse(propertiesData);
+  const { searchEngine, properties } = await getInteractiveContext();
   
   return await searchEngine.search(query, properties, { 
     topK: 5, 
@@ -0,0 +1,323 @@
+/**
+ * Query embedding cache
+ *
+ * Embedding a query is by far the slowest part of a search, and users (and
+ * benchmarks) repeat queries a lot. Entries are keyed by model and normalized
+ * query text, kept in least-recently-used order, and can be persisted to a file
+ * (Node.js) or IndexedDB (browser) so a restart starts warm. A persisted cache
+ * saves itself shortly after new entries arrive, and on dispose().
+ */
+
+const CACHE_FORMAT_VERSION = 1;
+
+/**
+ * Normalize query text so trivially different spellings share a cache entry
+ * @param {string} text - Query text
+ * @returns {string} Trimmed, lowercased text with collapsed whitespace
+ */
+export function normalizeQueryText(text) {
+  return String(text).normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * EmbeddingCache - LRU map from (model, query) to embedding
+ */
+export class EmbeddingCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} options.maxEntries - Entries kept before evicting the least recently used (default: 500)
+   * @param {Object|string} options.storage - Persistence adapter with load() and save(entries), or
+   *   'indexeddb' for an IndexedDBCacheStorage (usable from a Web Worker; default: memory only)
+   * @param {number} options.saveDelayMs - Save this long after the last new entry, so a burst of
+   *   searches writes once (default: 1000)
+   */
+  constructor(options = {}) {
+    const { maxEntries = 500, saveDelayMs = 1000 } = options;
+    let { storage = null } = options;
+
+    if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+      throw new Error('maxEntries must be a positive integer');
+    }
+
+    if (storage === 'indexeddb') {
+      storage = new IndexedDBCacheStorage();
+    }
+
+    this.maxEntries = maxEntries;
+    this.storage = storage;
+    this.saveDelayMs = saveDelayMs;
+    this.saveTimer = null;
+    // Entries added since the last save
+    this.dirty = false;
+    // Map iteration order is insertion order, so the first key is the least recently used
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Build the cache key for a query
+   */
+  key(modelName, text) {
+    return `${modelName}\n${normalizeQueryText(text)}`;
+  }
+
+  /**
+   * Look up a cached embedding, marking it most recently used
+   * @param {string} modelName - Model that produced the embedding
+   * @param {string} text - Query text
+   * @returns {number[]|undefined} A copy of the embedding, or undefined on a miss
+   */
+  get(modelName, text) {
+    const key = this.key(modelName, text);
+    const embedding = this.entries.get(key);
+
+    if (embedding === undefined) {
+      this.misses++;
+      return undefined;
+    }
+
+    this.hits++;
+    this.entries.delete(key);
+    this.entries.set(key, embedding);
+    return Array.from(embedding);
+  }
+
+  /**
+   * Store an embedding, evicting the least recently used entries when full
+   * @param {string} modelName - Model that produced the embedding
+   * @param {string} text - Query text
+   * @param {ArrayLike<number>} embedding - Embedding vector
+   */
+  set(modelName, text, embedding) {
+    const key = this.key(modelName, text);
+    this.entries.delete(key);
+    this.entries.set(key, Float32Array.from(embedding));
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+
+    this.dirty = true;
+    this.scheduleSave();
+  }
+
+  /**
+   * Save saveDelayMs after the latest change (no-op without a storage adapter)
+   * The timer doesn't keep Node.js running; call dispose() before exiting to save what's left.
+   */
+  scheduleSave() {
+    if (!this.storage) return;
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch(error => console.warn(`⚠️  Failed to save the embedding cache: ${error.message}`));
+    }, this.saveDelayMs);
+    this.saveTimer.unref?.();
+  }
+
+  /**
+   * Check whether a query is cached, without touching the LRU order or stats
+   */
+  has(modelName, text) {
+    return this.entries.has(this.key(modelName, text));
+  }
+
+  /**
+   * Remove every entry (statistics are kept)
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Load persisted entries for one model, oldest first so recency survives a restart
+   * @param {string} modelName - Only entries made by this model are loaded
+   * @returns {Promise<number>} Number of entries loaded
+   */
+  async load(modelName) {
+    if (!this.storage) return 0;
+
+    const prefix = `${modelName}\n`;
+    let loaded = 0;
+    for (const [key, embedding] of await this.storage.load()) {
+      if (!key.startsWith(prefix)) continue;
+      this.entries.delete(key);
+      this.entries.set(key, Float32Array.from(embedding));
+      loaded++;
+    }
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    return loaded;
+  }
+
+  /**
+   * Persist the current entries
+   * @returns {Promise<number>} Number of entries saved
+   */
+  async save() {
+    if (!this.storage) return 0;
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.dirty = false;
+    try {
+      await this.storage.save([...this.entries.entries()]);
+    } catch (error) {
+      this.dirty = true;
+      throw error;
+    }
+    return this.entries.size;
+  }
+
+  /**
+   * Save any unsaved entries now and cancel the pending save
+   * @returns {Promise<number>} Number of entries saved (0 if nothing had changed)
+   */
+  async dispose() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    return this.dirty ? this.save() : 0;
+  }
+
+  /**
+   * Cache statistics
+   * @returns {{size: number, maxEntries: number, hits: number, misses: number, hitRate: number, evictions: number, persistent: boolean}}
+   */
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? Number((this.hits / lookups).toFixed(4)) : 0,
+      evictions: this.evictions,
+      persistent: Boolean(this.storage)
+    };
+  }
+}
+
+/**
+ * Encode a Float32Array as base64 (little-endian bytes)
+ */
+function encodeVector(vector) {
+  const bytes = new Uint8Array(vector.buffer, vector.byteOffset, vector.byteLength);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode a base64 Float32Array written by encodeVector
+ */
+function decodeVector(base64) {
+  const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+  return new Float32Array(bytes.buffer);
+}
+
+/**
+ * Persist the cache to a JSON file (Node.js); vectors are stored as base64 Float32 bytes
+ */
+export class FileCacheStorage {
+  /**
+   * @param {string} path - Cache file, e.g. './data/query-embeddings-cache.json'
+   */
+  constructor(path) {
+    this.path = path;
+  }
+
+  async load() {
+    const { readFile } = await import('fs/promises');
+
+    let data;
+    try {
+      data = JSON.parse(await readFile(this.path, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Failed to read embedding cache ${this.path}: ${error.message}`);
+    }
+
+    if (data.version !== CACHE_FORMAT_VERSION || !Array.isArray(data.entries)) {
+      console.warn(`⚠️  Ignoring embedding cache ${this.path} (unsupported format)`);
+      return [];
+    }
+    return data.entries.map(([key, vector]) => [key, decodeVector(vector)]);
+  }
+
+  async save(entries) {
+    const { writeFile } = await import('fs/promises');
+    const data = {
+      version: CACHE_FORMAT_VERSION,
+      entries: entries.map(([key, vector]) => [key, encodeVector(vector)])
+    };
+    await writeFile(this.path, JSON.stringify(data));
+  }
+}
+
+/**
+ * Persist the cache in IndexedDB (browser)
+ */
+export class IndexedDBCacheStorage {
+  /**
+   * @param {string} databaseName - IndexedDB database name (default: 'hackleasa-embedding-cache')
+   */
+  constructor(databaseName = 'hackleasa-embedding-cache') {
+    this.databaseName = databaseName;
+    this.storeName = 'queries';
+  }
+
+  /**
+   * Open the database, creating the object store on first use
+   */
+  open() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.databaseName, CACHE_FORMAT_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(new Error(`Failed to open IndexedDB ${this.databaseName}: ${request.error}`));
+    });
+  }
+
+  async load() {
+    const db = await this.open();
+    try {
+      return await new Promise((resolve, reject) => {
+        const store = db.transaction(this.storeName, 'readonly').objectStore(this.storeName);
+        const keysRequest = store.getAllKeys();
+        const valuesRequest = store.getAll();
+        valuesRequest.onsuccess = () => {
+          // Entries were written oldest first; keep that order for the LRU
+          const entries = keysRequest.result.map((key, i) => [key, valuesRequest.result[i]]);
+          resolve(entries.sort((a, b) => a[1].order - b[1].order).map(([key, value]) => [key, value.embedding]));
+        };
+        valuesRequest.onerror = () => reject(new Error(`Failed to read embedding cache: ${valuesRequest.error}`));
+      });
+    } finally {
+      db.close();
+    }
+  }
+
+  async save(entries) {
+    const db = await this.open();
+    try {
+      await new Promise((resolve, reject) => {
+        const transaction = db.transaction(this.storeName, 'readwrite');
+        const store = transaction.objectStore(this.storeName);
+        store.clear();
+        entries.forEach(([key, embedding], order) => store.put({ embedding, order }, key));
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(new Error(`Failed to write embedding cache: ${transaction.error}`));
+      });
+    } finally {
+      db.close();
+    }
+  }
+}
@@ -1,3 +1,8 @@
+import { haversineDistance, isPointInPolygon, hasCoordinates } from './geo-utils.js';
+import { InvalidSearchError } from './errors.js';
+import { normalizeAmenity, extractZipCode } from './facets.js';
+import { toCalendarDate } from './dates.js';
+
 /**
  * Computes the cosine similarity between two vectors
  * @param {number[]} a - First vector
@@ -6,7 +11,7 @@
  */
 export function cosineSimilarity(a, b) {
   if (a.length !== b.length) {
-    throw new Error('Vectors must have the same length');
+    throw new Error(`Vectors must have the same length (got ${a.length} and ${b.length}); were they made by the same model?`);
   }
   
   let dotProduct = 0;
@@ -29,6 +34,42 @@ export function cosineSimilarity(a, b) {
   return dotProduct / (magnitudeA * magnitudeB);
 }
 
+/**
+ * Scores a multi-vector listing by its chunk vectors
+ * 'max' takes the best chunk; 'softmax' averages the chunk similarities weighted by
+ * softmax(similarity / temperature), so one strong chunk dominates but others still count
+ * @param {number[]} queryEmbedding - Query vector
+ * @param {Array<{embedding: number[]}>} chunks - Chunk vectors (see splitPropertyText)
+ * @param {Object} options - Scoring options
+ * @param {string} options.scoring - 'max' (default) or 'softmax'
+ * @param {number} options.temperature - Softmax temperature; lower is closer to max (default: 0.1)
+ * @returns {{similarity: number, bestChunk: number}} Listing score and the index of its best chunk
+ */
+export function chunkSimilarity(queryEmbedding, chunks, options = {}) {
+  const { scoring = 'max', temperature = 0.1 } = options;
+  
+  const scores = chunks.map(chunk => cosineSimilarity(queryEmbedding, chunk.embedding));
+  const bestChunk = scores.indexOf(Math.max(...scores));
+  const best = scores[bestChunk];
+  
+  if (scoring === 'max') {
+    return { similarity: best, bestChunk };
+  }
+  if (scoring !== 'softmax') {
+    throw new Error(`Unknown chunk scoring: ${scoring}`);
+  }
+  
+  // Shift by the best score so exp() cannot overflow
+  let weightSum = 0;
+  let weighted = 0;
+  for (const score of scores) {
+    const weight = Math.exp((score - best) / temperature);
+    weightSum += weight;
+    weighted += weight * score;
+  }
+  return { similarity: weighted / weightSum, bestChunk };
+}
+
 /**
  * Finds the most similar properties based on embedding similarity
  * @param {number[]} queryEmbedding - The embedding to search for
@@ -50,57 +91,169 @@ export function findSimilarProperties(queryEmbedding, properties, topK = 5) {
   return similarities.slice(0, topK);
 }
 
+/**
+ * Checks whether a single property satisfies the filter criteria
+ * @param {Object} property - Property to test
+ * @param {Object} filters - Filter criteria
+ * @returns {boolean} True if the property passes every filter
+ */
+export function matchesFilters(property, filters = {}) {
+  // Price range filter
+  if (filters.minPrice != null && property.price < filters.minPrice) return false;
+  if (filters.maxPrice != null && property.price > filters.maxPrice) return false;
+  if (filters.priceBelow != null && property.price >= filters.priceBelow) return false;
+  
+  // Bedroom filter (maxBedrooms: 0 means studios only)
+  if (filters.minBedrooms != null && property.bedrooms < filters.minBedrooms) return false;
+  if (filters.maxBedrooms != null && property.bedrooms > filters.maxBedrooms) return false;
+  
+  // Bathroom filter
+  if (filters.minBathrooms != null && property.bathrooms < filters.minBathrooms) return false;
+  if (filters.maxBathrooms != null && property.bathrooms > filters.maxBathrooms) return false;
+  
+  // Amenities filter (normalized, so "pets allowed" satisfies "pet-friendly")
+  if (filters.requiredAmenities && filters.requiredAmenities.length > 0) {
+    const amenities = (property.amenities || []).map(normalizeAmenity);
+    const hasAllAmenities = filters.requiredAmenities.every(amenity => {
+      const required = normalizeAmenity(amenity);
+      return amenities.some(a => a.includes(required));
+    });
+    if (!hasAllAmenities) return false;
+  }
+  
+  // Availability: listings without availableFrom are available now; compared as YYYY-MM-DD days,
+  // and a moveInBy that isn't a date matches nothing
+  if (filters.moveInBy != null && property.availableFrom) {
+    const moveInBy = toCalendarDate(filters.moveInBy);
+    if (!moveInBy || toCalendarDate(property.availableFrom) > moveInBy) return false;
+  }
+  
+  // Lease term: the wanted length must fit the listing's minimum and maximum
+  if (filters.leaseMonths != null) {
+    if (property.minLeaseMonths != null && filters.leaseMonths < property.minLeaseMonths) return false;
+    if (property.maxLeaseMonths != null && filters.leaseMonths > property.maxLeaseMonths) return false;
+  }
+  
+  // Commute time, annotated by search() from its transit network (unknown commutes fail)
+  if (filters.maxCommuteMinutes != null && !(property.commuteMinutes <= filters.maxCommuteMinutes)) return false;
+  
+  // Furnished or unfurnished (listings that don't say are unfurnished)
+  if (filters.furnished != null && Boolean(property.furnished) !== filters.furnished) return false;
+  
+  // ZIP code filter
+  if (filters.zipCodes && filters.zipCodes.length > 0) {
+    if (!filters.zipCodes.includes(extractZipCode(property.address))) return false;
+  }
+  
+  // Geo filters need a location to compare against
+  if (filters.near || filters.withinPolygon) {
+    if (!hasCoordinates(property.coordinates)) return false;
+    
+    if (filters.near && haversineDistance(filters.near, property.coordinates) > filters.near.radiusKm) {
+      return false;
+    }
+    
+    if (filters.withinPolygon && !isPointInPolygon(property.coordinates, filters.withinPolygon)) {
+      return false;
+    }
+  }
+  
+  return true;
+}
+
+/**
+ * Validates the geo filters so a typo fails loudly instead of matching nothing
+ * @param {Object} filters - Filter criteria
+ */
+export function validateGeoFilters(filters) {
+  if (filters.near) {
+    const { radiusKm } = filters.near;
+    if (!hasCoordinates(filters.near) || !Number.isFinite(radiusKm) || radiusKm < 0) {
+      throw new InvalidSearchError('near filter requires numeric lat, lng and a non-negative radiusKm');
+    }
+  }
+  
+  if (filters.withinPolygon) {
+    const polygon = filters.withinPolygon;
+    const validPoints = Array.isArray(polygon) && polygon.every(point =>
+      Array.isArray(point) && point.length === 2 && point.every(Number.isFinite)
+    );
+    if (!validPoints || polygon.length < 3) {
+      throw new InvalidSearchError('withinPolygon filter requires at least 3 [lat, lng] points');
+    }
+  }
+}
+
+/**
+ * Validates the availability and lease filters
+ * @param {Object} filters - Filter criteria
+ */
+export function validateLeaseFilters(filters) {
+  if (filters.moveInBy != null && !toCalendarDate(filters.moveInBy)) {
+    throw new InvalidSearchError('moveInBy filter must be a date written as YYYY-MM-DD');
+  }
+  if (filters.leaseMonths != null && (!Number.isInteger(filters.leaseMonths) || filters.leaseMonths < 1)) {
+    throw new InvalidSearchError('leaseMonths filter must be a positive integer');
+  }
+  if (filters.furnished != null && typeof filters.furnished !== 'boolean') {
+    throw new InvalidSearchError('furnished filter must be true or false');
+  }
+}
+
 /**
  * Filters properties by criteria before similarity search
+ * When a `near` filter is given, each returned property is annotated with `distanceKm`
  * @param {Array} properties - Array of properties
  * @param {Object} filters - Filter criteria
+ * @param {{lat: number, lng: number, radiusKm: number}} [filters.near] - Keep properties within radiusKm of a point
+ * @param {Array<[number, number]>} [filters.withinPolygon] - Keep properties inside a [lat, lng] polygon
+ * @param {string|Date} [filters.moveInBy] - Keep properties available on or before this day (YYYY-MM-DD, an ISO
+ *   timestamp or a Date)
+ * @param {number} [filters.leaseMonths] - Keep properties whose lease terms allow this many months
+ * @param {boolean} [filters.furnished] - Keep only furnished (true) or unfurnished (false) properties
  * @returns {Array} Filtered properties
  */
 export function filterProperties(properties, filters = {}) {
-  return properties.filter(property => {
-    // Price range filter
-    if (filters.minPrice && property.price < filters.minPrice) return false;
-    if (filters.maxPrice && property.price > filters.maxPrice) return false;
-    
-    // Bedroom filter
-    if (filters.minBedrooms && property.bedrooms < filters.minBedrooms) return false;
-    if (filters.maxBedrooms && property.bedrooms > filters.maxBedrooms) return false;
-    
-    // Bathroom filter
-    if (filters.minBathrooms && property.bathrooms < filters.minBathrooms) return false;
-    
-    // Amenities filter
-    if (filters.requiredAmenities && filters.requiredAmenities.length > 0) {
-      const hasAllAmenities = filters.requiredAmenities.every(amenity =>
-        property.amenities.some(a => a.toLowerCase().includes(amenity.toLowerCase()))
-      );
-      if (!hasAllAmenities) return false;
-    }
-    
-    return true;
-  });
+  validateGeoFilters(filters);
+  validateLeaseFilters(filters);
+  
+  const filtered = properties.filter(property => matchesFilters(property, filters));
+  
+  if (!filters.near) {
+    return filtered;
+  }
+  
+  return filtered.map(property => ({
+    ...property,
+    distanceKm: haversineDistance(filters.near, property.coordinates)
+  }));
 }
 
 /**
  * Calculates the centroid (average) of multiple embeddings
  * Useful for combining multiple property preferences
  * @param {Array<number[]>} embeddings - Array of embedding vectors
+ * @param {number[]} [weights] - Weight per embedding; negative weights push the centroid away (default: all 1)
  * @returns {number[]} Centroid embedding
  */
-export function calculateCentroid(embeddings) {
+export function calculateCentroid(embeddings, weights = null) {
   if (embeddings.length === 0) {
     throw new Error('Cannot calculate centroid of empty array');
   }
+  if (weights && weights.length !== embeddings.length) {
+    throw new Error('Centroid weights must match the number of embeddings');
+  }
   
   const dimensions = embeddings[0].length;
   const centroid = new Array(dimensions).fill(0);
   
-  // Sum all embeddings
-  for (const embedding of embeddings) {
+  // Sum all embeddings (weighted)
+  embeddings.forEach((embedding, j) => {
+    const weight = weights ? weights[j] : 1;
     for (let i = 0; i < dimensions; i++) {
-      centroid[i] += embedding[i];
+      centroid[i] += weight * embedding[i];
     }
-  }
+  });
   
   // Average
   for (let i = 0; i < dimensions; i++) {
@@ -0,0 +1,37 @@
+/**
+ * Error for a search request the caller got wrong (an unknown option, a bad filter,
+ * a foreign cursor), as opposed to a failure inside the engine
+ * The HTTP server answers these with 400 INVALID_REQUEST.
+ */
+export class InvalidSearchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidSearchError';
+    this.code = 'INVALID_REQUEST';
+  }
+}
+
+/**
+ * Plain-object form of an error for postMessage, which would drop its class and code
+ * @param {Error} error - Error to send
+ * @returns {{name: string, code: string|undefined, message: string}} Serializable error
+ */
+export function serializeError(error) {
+  return {
+    name: error?.name ?? 'Error',
+    code: error?.code,
+    message: error?.message ?? String(error)
+  };
+}
+
+/**
+ * Rebuilds an error from serializeError(), as an InvalidSearchError when it was one
+ * @param {{name: string, code: string|undefined, message: string}} data - Serialized error
+ * @returns {Error} Error with the original name, code and message
+ */
+export function deserializeError({ name, code, message }) {
+  const error = name === 'InvalidSearchError' ? new InvalidSearchError(message) : new Error(message);
+  error.name = name;
+  if (code !== undefined) error.code = code;
+  return error;
+}
@@ -0,0 +1,186 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { PropertySearchEngine } from './vectorSearch.js';
+import { METRICS, scoreRanking, averageMetrics, findRegressions, validateEvaluationSet } from './evaluation.js';
+
+const DEFAULT_QUERIES_PATH = './data/eval-queries.json';
+const DEFAULT_PROPERTIES_PATH = './data/properties-with-embeddings.json';
+
+/**
+ * Reads the value following a command-line flag
+ */
+function argValue(flag) {
+  const i = process.argv.indexOf(flag);
+  return i === -1 ? undefined : process.argv[i + 1];
+}
+
+/**
+ * Reads and parses a JSON file, naming the file on failure
+ */
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Loads a configuration file: { name, engine, properties, search }
+ * `engine` holds PropertySearchEngine options, `properties` the catalogue JSON
+ * (regenerate it to compare models or createPropertyText changes) and `search`
+ * the search options every query runs with
+ */
+async function loadConfig(file, fallbackName) {
+  const config = file ? await readJson(file) : {};
+  return {
+    name: config.name ?? (file ? path.basename(file, '.json') : fallbackName),
+    engine: config.engine ?? {},
+    properties: config.properties ?? DEFAULT_PROPERTIES_PATH,
+    search: config.search ?? {}
+  };
+}
+
+/**
+ * Runs every labeled query through one configuration
+ * Engines and catalogues are shared between configurations that use the same ones
+ */
+async function runConfig(config, queries, k, shared) {
+  const engineKey = JSON.stringify(config.engine);
+  if (!shared.engines.has(engineKey)) {
+    const engine = new PropertySearchEngine(config.engine);
+    await engine.initialize();
+    shared.engines.set(engineKey, engine);
+  }
+  if (!shared.catalogues.has(config.properties)) {
+    shared.catalogues.set(config.properties, await readJson(config.properties));
+  }
+
+  const engine = shared.engines.get(engineKey);
+  const properties = shared.catalogues.get(config.properties);
+  const perQuery = [];
+  let totalMs = 0;
+
+  for (const entry of queries) {
+    const options = { ...config.search, ...entry.options, topK: k };
+    const start = performance.now();
+    const results = await engine.search(entry.query, properties, options);
+    totalMs += performance.now() - start;
+
+    perQuery.push({
+      id: entry.id ?? entry.query,
+      ranked: results.map(result => result.id),
+      ...scoreRanking(results.map(result => result.id), entry.relevant, k)
+    });
+  }
+
+  return {
+    name: config.name,
+    mean: averageMetrics(perQuery),
+    avgLatencyMs: Number((totalMs / queries.length).toFixed(2)),
+    perQuery
+  };
+}
+
+/**
+ * Formats a metric value for the report table
+ */
+function formatMetric(value) {
+  return value.toFixed(4);
+}
+
+/**
+ * Prints the side-by-side metrics table (and per-query nDCG changes when comparing)
+ */
+function printReport(runs, k) {
+  const labels = { recall: `Recall@${k}`, mrr: `MRR@${k}`, ndcg: `nDCG@${k}` };
+  const [baseline, candidate] = runs;
+
+  console.log('\n' + '═'.repeat(80));
+  console.log('📏 Search Quality');
+  console.log('═'.repeat(80));
+  console.log(['Metric'.padEnd(12), ...runs.map(run => run.name.padStart(16)), ...(candidate ? ['Δ'.padStart(10)] : [])].join(''));
+
+  for (const metric of METRICS) {
+    const cells = runs.map(run => formatMetric(run.mean[metric]).padStart(16));
+    const delta = candidate ? candidate.mean[metric] - baseline.mean[metric] : null;
+    const deltaCell = delta === null ? [] : [`${delta >= 0 ? '+' : ''}${formatMetric(delta)}`.padStart(10)];
+    console.log([labels[metric].padEnd(12), ...cells, ...deltaCell].join(''));
+  }
+  console.log(['Latency'.padEnd(12), ...runs.map(run => `${run.avgLatencyMs}ms`.padStart(16))].join(''));
+
+  if (!candidate) return;
+
+  const changed = baseline.perQuery
+    .map((query, i) => ({ id: query.id, delta: candidate.perQuery[i].ndcg - query.ndcg }))
+    .filter(({ delta }) => Math.abs(delta) > 1e-9)
+    .sort((a, b) => a.delta - b.delta);
+
+  if (changed.length > 0) {
+    console.log(`\n🔀 Queries whose nDCG@${k} changed:`);
+    changed.forEach(({ id, delta }) => {
+      console.log(`   ${delta > 0 ? '📈' : '📉'} ${id}: ${delta > 0 ? '+' : ''}${formatMetric(delta)}`);
+    });
+  }
+}
+
+/**
+ * Evaluates search quality on labeled queries
+ * Usage: npm run evaluate [-- --queries <file>] [--baseline <config.json>] [--candidate <config.json>]
+ *          [--k 5] [--max-regression 0.02] [--output <report.json>]
+ * With a candidate, exits with code 1 if any mean metric drops by more than --max-regression.
+ */
+async function evaluate() {
+  const queriesPath = argValue('--queries') ?? DEFAULT_QUERIES_PATH;
+  const k = Number(argValue('--k') ?? 5);
+  const maxRegression = Number(argValue('--max-regression') ?? 0.02);
+  const candidatePath = argValue('--candidate');
+  const outputPath = argValue('--output');
+
+  try {
+    if (!Number.isInteger(k) || k < 1) {
+      throw new Error('--k must be a positive integer');
+    }
+    if (!Number.isFinite(maxRegression) || maxRegression < 0) {
+      throw new Error('--max-regression must be a non-negative number');
+    }
+
+    const queries = validateEvaluationSet(await readJson(queriesPath));
+    const configs = [await loadConfig(argValue('--baseline'), 'baseline')];
+    if (candidatePath) {
+      configs.push(await loadConfig(candidatePath, 'candidate'));
+    }
+
+    console.log(`🧪 Evaluating ${configs.map(config => config.name).join(' vs ')} on ${queries.length} labeled queries (k = ${k})`);
+
+    const shared = { engines: new Map(), catalogues: new Map() };
+    const runs = [];
+    for (const config of configs) {
+      runs.push(await runConfig(config, queries, k, shared));
+    }
+
+    printReport(runs, k);
+
+    const regressions = runs.length === 2 ? findRegressions(runs[0].mean, runs[1].mean, maxRegression) : [];
+
+    if (outputPath) {
+      await fs.writeFile(outputPath, JSON.stringify({ k, maxRegression, queries: queriesPath, runs, regressions }, null, 2));
+      console.log(`\n💾 Report written to ${outputPath}`);
+    }
+
+    if (regressions.length > 0) {
+      console.error(`\n❌ Quality regressed beyond ${maxRegression}:`);
+      regressions.forEach(({ metric, baseline, candidate, delta }) => {
+        console.error(`   ${metric}: ${formatMetric(baseline)} → ${formatMetric(candidate)} (${formatMetric(delta)})`);
+      });
+      process.exit(1);
+    }
+
+    console.log(runs.length === 2 ? '\n✅ No regression beyond the threshold' : '\n✅ Evaluation complete');
+  } catch (error) {
+    console.error('❌ Evaluation failed:', error);
+    process.exit(1);
+  }
+}
+
+evaluate();
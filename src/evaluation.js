@@ -0,0 +1,130 @@
+/**
+ * Search quality metrics
+ *
+ * Judgments map property IDs to graded relevance (higher is better, 0 or missing
+ * is irrelevant). JSON object keys are strings, so IDs are compared as strings.
+ */
+
+export const METRICS = ['recall', 'mrr', 'ndcg'];
+
+/**
+ * Grade of a property ID in a judgments object (0 when unjudged)
+ */
+function gradeOf(relevant, id) {
+  return relevant[String(id)] ?? 0;
+}
+
+/**
+ * Share of the relevant properties found in the top k
+ * @param {Array} rankedIds - Property IDs in ranked order
+ * @param {Object} relevant - Property ID → relevance grade
+ * @param {number} k - Cutoff
+ * @returns {number} Recall@k between 0 and 1
+ */
+export function recallAtK(rankedIds, relevant, k) {
+  const relevantCount = Object.values(relevant).filter(grade => grade > 0).length;
+  if (relevantCount === 0) return 0;
+
+  const found = rankedIds.slice(0, k).filter(id => gradeOf(relevant, id) > 0).length;
+  return found / relevantCount;
+}
+
+/**
+ * Reciprocal rank of the first relevant property in the top k
+ * @param {Array} rankedIds - Property IDs in ranked order
+ * @param {Object} relevant - Property ID → relevance grade
+ * @param {number} k - Cutoff
+ * @returns {number} 1/rank, or 0 when nothing relevant is in the top k
+ */
+export function reciprocalRank(rankedIds, relevant, k) {
+  const rank = rankedIds.slice(0, k).findIndex(id => gradeOf(relevant, id) > 0);
+  return rank === -1 ? 0 : 1 / (rank + 1);
+}
+
+/**
+ * Normalized discounted cumulative gain over the top k (exponential gain, 2^grade - 1)
+ * @param {Array} rankedIds - Property IDs in ranked order
+ * @param {Object} relevant - Property ID → relevance grade
+ * @param {number} k - Cutoff
+ * @returns {number} nDCG@k between 0 and 1
+ */
+export function ndcgAtK(rankedIds, relevant, k) {
+  const dcg = grades => grades
+    .slice(0, k)
+    .reduce((sum, grade, i) => sum + (2 ** grade - 1) / Math.log2(i + 2), 0);
+
+  const ideal = dcg(Object.values(relevant).filter(grade => grade > 0).sort((a, b) => b - a));
+  if (ideal === 0) return 0;
+  return dcg(rankedIds.map(id => gradeOf(relevant, id))) / ideal;
+}
+
+/**
+ * All metrics for one ranked list
+ * @returns {{recall: number, mrr: number, ndcg: number}} Metrics at k
+ */
+export function scoreRanking(rankedIds, relevant, k) {
+  return {
+    recall: recallAtK(rankedIds, relevant, k),
+    mrr: reciprocalRank(rankedIds, relevant, k),
+    ndcg: ndcgAtK(rankedIds, relevant, k)
+  };
+}
+
+/**
+ * Mean of each metric over queries
+ * @param {Array<{recall: number, mrr: number, ndcg: number}>} perQuery - Metrics per query
+ * @returns {{recall: number, mrr: number, ndcg: number}} Mean metrics
+ */
+export function averageMetrics(perQuery) {
+  return Object.fromEntries(METRICS.map(metric => [
+    metric,
+    perQuery.length > 0 ? perQuery.reduce((sum, scores) => sum + scores[metric], 0) / perQuery.length : 0
+  ]));
+}
+
+/**
+ * Metrics where the candidate fell behind the baseline by more than the threshold
+ * @param {Object} baseline - Mean metrics of the baseline configuration
+ * @param {Object} candidate - Mean metrics of the candidate configuration
+ * @param {number} maxRegression - Largest tolerated absolute drop per metric
+ * @returns {Array<{metric: string, baseline: number, candidate: number, delta: number}>} Regressions
+ */
+export function findRegressions(baseline, candidate, maxRegression) {
+  return METRICS
+    .map(metric => ({
+      metric,
+      baseline: baseline[metric],
+      candidate: candidate[metric],
+      delta: candidate[metric] - baseline[metric]
+    }))
+    .filter(({ delta }) => delta < -maxRegression);
+}
+
+/**
+ * Validate a labeled query file
+ * @param {Object} data - Parsed file: { queries: [{ id, query, relevant, options }] }
+ * @returns {Array} The queries
+ * @throws {Error} Naming the first malformed query
+ */
+export function validateEvaluationSet(data) {
+  const queries = data?.queries;
+  if (!Array.isArray(queries) || queries.length === 0) {
+    throw new Error('Evaluation file must contain a non-empty "queries" array');
+  }
+
+  queries.forEach((entry, i) => {
+    const name = entry?.id ?? `#${i + 1}`;
+    if (!entry || typeof entry.query !== 'string' || entry.query.trim() === '') {
+      throw new Error(`Query ${name} needs a non-empty "query" string`);
+    }
+    const grades = Object.values(entry.relevant ?? {});
+    if (grades.length === 0 || !grades.every(grade => Number.isFinite(grade) && grade >= 0)) {
+      throw new Error(`Query ${name} needs "relevant": { "<property id>": <grade ≥ 0>, ... }`);
+    }
+    if (!grades.some(grade => grade > 0)) {
+      throw new Error(`Query ${name} has no relevant property (every grade is 0)`);
+    }
+  });
+
+  return queries;
+}
@@ -0,0 +1,71 @@
+import { matchesFilters } from './embedding-utils.js';
+import { normalizeAmenity, extractZipCode } from './facets.js';
+import { haversineDistance, hasCoordinates } from './geo-utils.js';
+
+/**
+ * Search result explanations
+ *
+ * A listing's embedding covers its whole text, so its similarity alone can't say
+ * why it ranked. Explanations embed the listing's parts separately (title,
+ * description sentences, amenities; see splitPropertyText) and report the parts
+ * closest to the query, plus the filters the listing was checked against.
+ */
+
+/**
+ * The listing value each filter was compared against
+ */
+function filterActual(property, filter, value) {
+  switch (filter) {
+    case 'minPrice':
+    case 'maxPrice':
+    case 'priceBelow':
+      return property.price;
+    case 'minBedrooms':
+    case 'maxBedrooms':
+      return property.bedrooms;
+    case 'minBathrooms':
+    case 'maxBathrooms':
+      return property.bathrooms;
+    case 'requiredAmenities': {
+      const required = value.map(normalizeAmenity);
+      return (property.amenities || []).filter(amenity =>
+        required.some(r => normalizeAmenity(amenity).includes(r))
+      );
+    }
+    case 'zipCodes':
+      return extractZipCode(property.address);
+    case 'near':
+      if (property.distanceKm != null) return property.distanceKm;
+      return hasCoordinates(property.coordinates) ? haversineDistance(value, property.coordinates) : null;
+    case 'withinPolygon':
+      return property.coordinates ?? null;
+    case 'moveInBy':
+      return property.availableFrom ?? null;
+    case 'leaseMonths':
+      return { min: property.minLeaseMonths ?? null, max: property.maxLeaseMonths ?? null };
+    case 'furnished':
+      return Boolean(property.furnished);
+    case 'maxCommuteMinutes':
+      return property.commuteMinutes ?? null;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Report each applied filter against a listing
+ * @param {Object} property - Property listing
+ * @param {Object} filters - Filter criteria the search applied
+ * @returns {Array<{filter: string, value: *, actual: *, passed: boolean}>} One entry per filter
+ *   (`actual` is the listing's price, bedrooms, matching amenities, ZIP code, distance, availableFrom, etc.)
+ */
+export function explainFilters(property, filters = {}) {
+  return Object.entries(filters)
+    .filter(([, value]) => value != null && !(Array.isArray(value) && value.length === 0))
+    .map(([filter, value]) => ({
+      filter,
+      value,
+      actual: filterActual(property, filter, value),
+      passed: matchesFilters(property, { [filter]: value })
+    }));
+}
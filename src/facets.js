@@ -0,0 +1,120 @@
+/**
+ * Amenity spellings that mean the same thing, mapped to one canonical label
+ */
+const AMENITY_SYNONYMS = {
+  'pets allowed': 'pet friendly',
+  'pets ok': 'pet friendly',
+  'pets welcome': 'pet friendly',
+  'dog friendly': 'pet friendly',
+  'cat friendly': 'pet friendly',
+  'laundry in unit': 'in-unit laundry',
+  'in unit laundry': 'in-unit laundry',
+  'washer/dryer': 'in-unit laundry',
+  'washer dryer': 'in-unit laundry',
+  'parking available': 'parking',
+  'parking included': 'parking',
+  'parking easy': 'parking',
+  'rooftop deck': 'roof deck',
+  'wi fi': 'wifi',
+  'gigabit wifi': 'wifi',
+  'fitness center': 'gym'
+};
+
+const ZIP_CODE_PATTERN = /\b(\d{5})(?:-\d{4})?\s*$/;
+
+/**
+ * Normalizes an amenity so different spellings count (and filter) as one
+ * "Pet-Friendly" and "pets allowed" both become "pet friendly"
+ * @param {string} amenity - Amenity as written in a listing or filter
+ * @returns {string} Canonical amenity label
+ */
+export function normalizeAmenity(amenity) {
+  const cleaned = String(amenity)
+    .toLowerCase()
+    .replace(/(\w)-(?=friendly\b)/g, '$1 ')
+    .replace(/\bwi-fi\b/g, 'wi fi')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return AMENITY_SYNONYMS[cleaned] || cleaned;
+}
+
+/**
+ * Extracts the ZIP code from a US street address
+ * @param {string} address - e.g. "2134 Fulton St, San Francisco, CA 94117"
+ * @returns {string|null} Five-digit ZIP code, or null if none is present
+ */
+export function extractZipCode(address) {
+  const match = String(address || '').match(ZIP_CODE_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * Counts values into [{ value, count }] sorted by count, then value
+ */
+function countValues(values) {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+}
+
+/**
+ * Computes facets over a candidate set so a UI can render refinement options
+ * Every facet value carries the `filters` that narrow a search down to it
+ * @param {Array} properties - Candidate properties (usually after filtering)
+ * @param {Object} options - Facet options
+ * @param {number} options.priceBucketSize - Width of each price bucket in dollars (default: 500); buckets are
+ *   half-open [min, min + size), so a $1,999.50 rent falls in the $1,500 bucket
+ * @param {number} options.maxAmenities - Maximum amenity values to return (default: 20)
+ * @returns {{amenities: Array, bedrooms: Array, bathrooms: Array, price: Array, zipCodes: Array}} Facets
+ */
+export function computeFacets(properties, options = {}) {
+  const { priceBucketSize = 500, maxAmenities = 20 } = options;
+
+  // Count each amenity once per listing, even if listed under two spellings
+  const amenities = countValues(properties.flatMap(property =>
+    [...new Set((property.amenities || []).map(normalizeAmenity))]
+  ))
+    .slice(0, maxAmenities)
+    .map(({ value, count }) => ({ value, label: value, count, filters: { requiredAmenities: [value] } }));
+
+  const bedrooms = countValues(properties.map(property => property.bedrooms))
+    .sort((a, b) => a.value - b.value)
+    .map(({ value, count }) => ({
+      value,
+      label: value === 0 ? 'Studio' : `${value} BR`,
+      count,
+      filters: { minBedrooms: value, maxBedrooms: value }
+    }));
+
+  const bathrooms = countValues(properties.map(property => property.bathrooms))
+    .sort((a, b) => a.value - b.value)
+    .map(({ value, count }) => ({
+      value,
+      label: `${value} BA`,
+      count,
+      filters: { minBathrooms: value, maxBathrooms: value }
+    }));
+
+  const price = countValues(properties.map(property => Math.floor(property.price / priceBucketSize)))
+    .sort((a, b) => a.value - b.value)
+    .map(({ value: bucket, count }) => {
+      const min = bucket * priceBucketSize;
+      const max = min + priceBucketSize;
+      return {
+        value: min,
+        label: `$${min.toLocaleString()}-$${max.toLocaleString()}`,
+        count,
+        filters: { minPrice: min, priceBelow: max }
+      };
+    });
+
+  const zipCodes = countValues(properties.map(property => extractZipCode(property.address)).filter(Boolean))
+    .map(({ value, count }) => ({ value, label: value, count, filters: { zipCodes: [value] } }));
+
+  return { amenities, bedrooms, bathrooms, price, zipCodes };
+}
@@ -1,76 +1,252 @@
-import { pipeline, env } from '@xenova/transformers';
 import { MOCK_PROPERTIES } from '../data/mock-properties.js';
 import fs from 'fs/promises';
 import path from 'path';
+import { encodeVectorStore } from './vector-store.js';
+import { createPropertyText, splitPropertyText, hashText, needsEmbedding } from './property-text.js';
+import { DEFAULT_MODEL, getModelConfig, embeddingInput } from './models.js';
+import { loadEmbeddingPipeline } from './model-loader.js';
+import { validateListings } from './listing-schema.js';
+import { mergeListings } from './listing-import.js';
+import { LandlordDirectory, FileLandlordStorage, withLandlordHandle } from './landlords.js';
+import { SavedSearchStore, FileSavedSearchStorage, ConsoleNotifier, FileOutboxNotifier, sendAlerts } from './saved-searches.js';
 
-// Configure Transformers.js to use local models
-env.localURL = './models/';
-env.allowRemoteModels = true;
+// Models vendored into ./models are used first; --offline forbids downloading
+const OFFLINE = process.argv.includes('--offline');
+
+// Pick another registered model with --model <name>
+const modelArgIndex = process.argv.indexOf('--model');
+const MODEL = getModelConfig(modelArgIndex === -1 ? DEFAULT_MODEL : process.argv[modelArgIndex + 1]);
+const MODEL_NAME = MODEL.name;
+
+// --listings <file> embeds imported listings (npm run ingest) instead of the mock data
+const listingsArgIndex = process.argv.indexOf('--listings');
+const LISTINGS_PATH = listingsArgIndex === -1 ? null : process.argv[listingsArgIndex + 1];
+
+// --merge adds the --listings file to the existing catalogue instead of replacing it
+const MERGE = process.argv.includes('--merge');
+
+// --chunks also stores one vector per title, description sentence and amenity (for chunk scoring)
+const CHUNKS = process.argv.includes('--chunks');
+
+// --alerts checks listings that weren't in the previous output against the saved searches
+const ALERTS = process.argv.includes('--alerts');
+const SAVED_SEARCHES_PATH = './data/saved-searches.json';
+const outboxArgIndex = process.argv.indexOf('--outbox');
+const OUTBOX_PATH = outboxArgIndex === -1 ? './data/alerts-outbox.jsonl' : process.argv[outboxArgIndex + 1];
+
+// Landlord emails are swapped for the random handles kept in this directory
+const LANDLORDS_PATH = './data/landlords.json';
+
+/**
+ * Loads the listings to embed: the mock data, or a validated --listings file
+ */
+async function loadListings() {
+  if (!LISTINGS_PATH) return MOCK_PROPERTIES;
+
+  const rows = JSON.parse(await fs.readFile(LISTINGS_PATH, 'utf8'));
+  if (!Array.isArray(rows)) {
+    throw new Error(`${LISTINGS_PATH} must contain a JSON array of listings`);
+  }
+
+  const { listings, rejected } = validateListings(rows.map((listing, i) => ({ row: i + 1, listing })));
+  if (rejected.length > 0) {
+    const details = rejected
+      .map(({ row, errors }) => `  - listing ${row}: ${errors.map(({ field, message }) => `${field} ${message}`).join('; ')}`)
+      .join('\n');
+    throw new Error(`${LISTINGS_PATH} has ${rejected.length} invalid listings (run it through npm run ingest):\n${details}`);
+  }
+  return listings;
+}
+
+/**
+ * Loads the previous output so unchanged properties can keep their embeddings
+ */
+async function loadExistingEmbeddings(outputPath) {
+  try {
+    return JSON.parse(await fs.readFile(outputPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
 
 /**
- * Creates a comprehensive text representation of a property for embedding
+ * Embeds one text as a document and checks its dimensions
  */
-function createPropertyText(property) {
-  const parts = [
-    property.title,
-    property.description,
-    `${property.bedrooms} bedroom${property.bedrooms !== 1 ? 's' : ''}`,
-    `${property.bathrooms} bathroom${property.bathrooms !== 1 ? 's' : ''}`,
-    `$${property.price} per month`,
-    `Located at ${property.address}`,
-    property.amenities.join(', ')
+async function embedDocument(extractor, text) {
+  const output = await extractor(embeddingInput(MODEL, text, 'document'), {
+    pooling: MODEL.pooling,
+    normalize: true
+  });
+  
+  // Convert tensor to array
+  const embedding = Array.from(output.data);
+  if (embedding.length !== MODEL.dimensions) {
+    throw new Error(`${MODEL_NAME} produced ${embedding.length} dimensions, registry expects ${MODEL.dimensions}`);
+  }
+  return embedding;
+}
+
+/**
+ * Writes the slim metadata JSON and binary vector files next to the JSON output
+ * Without --int8, an int8 file left by an earlier run is deleted so it can't go stale.
+ */
+async function writeVectorStore(propertiesWithEmbeddings, { int8 }) {
+  const dataDir = path.join(process.cwd(), 'data');
+  const { metadata, float32, int8: quantized } = encodeVectorStore(propertiesWithEmbeddings, {
+    int8,
+    model: MODEL_NAME
+  });
+  
+  const files = [
+    path.join(dataDir, 'properties-vectors.json'),
+    path.join(dataDir, metadata.files.float32)
   ];
+  await fs.writeFile(files[0], JSON.stringify(metadata));
+  await fs.writeFile(files[1], new Uint8Array(float32));
+  
+  if (quantized) {
+    files.push(path.join(dataDir, metadata.files.int8));
+    await fs.writeFile(files[2], new Uint8Array(quantized));
+  } else {
+    await fs.rm(path.join(dataDir, 'properties-vectors.i8.bin'), { force: true });
+  }
   
-  return parts.join('. ');
+  return files;
+}
+
+/**
+ * Sends saved-search alerts for new listings (console and the --outbox file)
+ */
+async function sendNewListingAlerts(newListings) {
+  const store = new SavedSearchStore({ storage: new FileSavedSearchStorage(SAVED_SEARCHES_PATH) });
+  const searchCount = await store.load();
+  console.log(`\n🔔 Checking ${newListings.length} new listings against ${searchCount} saved searches`);
+  if (searchCount === 0 || newListings.length === 0) return;
+
+  const otherModels = store.list().filter(search => search.embeddingModel !== MODEL_NAME).length;
+  if (otherModels > 0) {
+    console.log(`⚠️  Skipping ${otherModels} saved searches made with another model than ${MODEL_NAME}`);
+  }
+
+  const matched = store.match(newListings);
+  const { sent, failed } = await sendAlerts(matched, [new ConsoleNotifier(), new FileOutboxNotifier(OUTBOX_PATH)]);
+  console.log(`   ${matched.length} listings matched; ${sent} notifications sent${failed > 0 ? `, ${failed} failed` : ''} (outbox: ${OUTBOX_PATH})`);
 }
 
 /**
  * Generates embeddings for all properties
+ * With --incremental, only new or changed properties are embedded; properties no
+ * longer in the source are dropped, and a model change forces a full rebuild.
+ * --merge (with --listings) is incremental and keeps the catalogued properties the file doesn't mention.
+ * With --alerts, listings that weren't in the previous output are matched against
+ * data/saved-searches.json (npm run save-search) and alerts are sent.
  */
 async function generateEmbeddings() {
-  console.log('🚀 Starting embedding generation...');
+  const incremental = process.argv.includes('--incremental') || MERGE;
+  console.log(`🚀 Starting ${incremental ? 'incremental ' : ''}embedding generation...`);
   
   try {
-    // Initialize the feature extraction pipeline
-    // Using all-MiniLM-L6-v2 which generates 384-dimensional embeddings
-    const extractor = await pipeline(
-      'feature-extraction',
-      'Xenova/all-MiniLM-L6-v2'
-    );
+    if (MERGE && !LISTINGS_PATH) {
+      throw new Error('--merge needs a --listings file to merge into the catalogue');
+    }
+    
+    const outputPath = path.join(process.cwd(), 'data', 'properties-with-embeddings.json');
+    const imported = await loadListings();
+    console.log(`📄 ${imported.length} listings from ${LISTINGS_PATH ?? 'data/mock-properties.js'}`);
+    
+    // Index the previous run's embeddings by property ID
+    const existing = incremental || ALERTS ? await loadExistingEmbeddings(outputPath) : [];
+    const listings = MERGE ? mergeListings(existing, imported) : imported;
+    if (MERGE) {
+      console.log(`   Merged into ${existing.length} catalogued properties: ${listings.length} in total`);
+    }
+    const previousIds = new Set(existing.map(property => property.id));
+    let existingById = new Map();
+    if (incremental) {
+      existingById = new Map(existing.map(property => [property.id, property]));
+      
+      const otherModels = new Set(existing.map(property => property.embeddingModel).filter(model => model !== MODEL_NAME));
+      if (otherModels.size > 0 || existing.some(property => !property.embeddingModel)) {
+        console.log(`⚠️  Stored vectors were not all made by ${MODEL_NAME}, rebuilding everything`);
+        existingById.clear();
+      }
+    }
     
-    console.log('✅ Model loaded successfully');
+    // The model is loaded on first use, so a no-op incremental run stays fast
+    let extractor = null;
+    
+    const landlords = new LandlordDirectory({ storage: new FileLandlordStorage(LANDLORDS_PATH) });
+    await landlords.load();
     
     // Process each property
     const propertiesWithEmbeddings = [];
+    let embeddedCount = 0;
     
-    for (let i = 0; i < MOCK_PROPERTIES.length; i++) {
-      const property = MOCK_PROPERTIES[i];
-      console.log(`\n📍 Processing property ${i + 1}/${MOCK_PROPERTIES.length}: ${property.title}`);
+    for (let i = 0; i < listings.length; i++) {
+      const property = listings[i];
       
       // Create comprehensive text representation
       const propertyText = createPropertyText(property);
+      const embeddingHash = hashText(propertyText);
+      const stored = existingById.get(property.id);
+      
+      if (!needsEmbedding(stored, embeddingHash, MODEL_NAME) && (!CHUNKS || stored.chunkEmbeddings)) {
+        // Text unchanged: keep the vector, refresh the other listing fields
+        propertiesWithEmbeddings.push({
+          ...withLandlordHandle(property, landlords),
+          embedding: stored.embedding,
+          embeddingText: propertyText,
+          embeddingHash,
+          embeddingModel: MODEL_NAME,
+          ...(CHUNKS ? { chunkEmbeddings: stored.chunkEmbeddings } : {})
+        });
+        continue;
+      }
+      
+      console.log(`\n📍 Processing property ${i + 1}/${listings.length}: ${property.title}`);
       console.log(`   Text length: ${propertyText.length} characters`);
       
-      // Generate embeddings
-      const output = await extractor(propertyText, {
-        pooling: 'mean',
-        normalize: true
-      });
+      if (!extractor) {
+        // Initialize the feature extraction pipeline
+        const loaded = await loadEmbeddingPipeline(MODEL, { offline: OFFLINE });
+        extractor = loaded.extractor;
+        console.log(`✅ Model loaded successfully (${MODEL_NAME}, ${MODEL.dimensions} dimensions) from ${loaded.source.location}`);
+      }
       
-      // Convert tensor to array
-      const embedding = Array.from(output.data);
+      // Generate embeddings
+      const embedding = await embedDocument(extractor, propertyText);
       console.log(`   ✅ Generated ${embedding.length}-dimensional embedding`);
+      embeddedCount++;
       
-      // Add embedding to property
+      // Title, description sentences and amenities get their own vectors with --chunks
+      let chunkEmbeddings;
+      if (CHUNKS) {
+        chunkEmbeddings = [];
+        for (const chunk of splitPropertyText(property)) {
+          chunkEmbeddings.push({ ...chunk, embedding: await embedDocument(extractor, chunk.text) });
+        }
+        console.log(`   ✅ Generated ${chunkEmbeddings.length} chunk embeddings`);
+      }
+      
+      // Add embedding to property (the landlord's email stays out of the catalogue)
       propertiesWithEmbeddings.push({
-        ...property,
+        ...withLandlordHandle(property, landlords),
         embedding: embedding,
-        embeddingText: propertyText // Store the text used for debugging
+        embeddingText: propertyText, // Store the text used for debugging
+        embeddingHash,
+        embeddingModel: MODEL_NAME,
+        ...(chunkEmbeddings ? { chunkEmbeddings } : {})
       });
     }
     
+    const currentIds = new Set(listings.map(property => property.id));
+    const removedIds = [...previousIds].filter(id => !currentIds.has(id));
+    
+    // New landlords keep their handles on the next run
+    await landlords.save();
+    
     // Save to JSON file
-    const outputPath = path.join(process.cwd(), 'data', 'properties-with-embeddings.json');
     await fs.writeFile(
       outputPath,
       JSON.stringify(propertiesWithEmbeddings, null, 2)
@@ -79,11 +255,29 @@ async function generateEmbeddings() {
     console.log(`\n✅ Successfully saved ${propertiesWithEmbeddings.length} properties with embeddings to:`);
     console.log(`   ${outputPath}`);
     
+    // Save the compact binary store (pass --int8 for the quantized variant too)
+    const storeFiles = await writeVectorStore(propertiesWithEmbeddings, {
+      int8: process.argv.includes('--int8')
+    });
+    console.log('\n✅ Saved binary vector store:');
+    storeFiles.forEach(file => console.log(`   ${file}`));
+    
+    if (ALERTS) {
+      await sendNewListingAlerts(propertiesWithEmbeddings.filter(property => !previousIds.has(property.id)));
+    }
+    
     // Generate a summary
     console.log('\n📊 Summary:');
     console.log(`   Total properties: ${propertiesWithEmbeddings.length}`);
+    if (incremental) {
+      console.log(`   Embedded: ${embeddedCount} | Unchanged: ${propertiesWithEmbeddings.length - embeddedCount} | Removed: ${removedIds.length}`);
+    }
     console.log(`   Embedding dimensions: ${propertiesWithEmbeddings[0].embedding.length}`);
-    console.log(`   Average embedding generation time: ~${Math.round(1000 / MOCK_PROPERTIES.length)}ms per property`);
+    if (CHUNKS) {
+      const chunkCount = propertiesWithEmbeddings.reduce((sum, property) => sum + property.chunkEmbeddings.length, 0);
+      console.log(`   Chunk embeddings: ${chunkCount} (${(chunkCount / propertiesWithEmbeddings.length).toFixed(1)} per property)`);
+    }
+    console.log(`   Average embedding generation time: ~${Math.round(1000 / listings.length)}ms per property`);
     
   } catch (error) {
     console.error('❌ Error generating embeddings:', error);
@@ -0,0 +1,60 @@
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Converts degrees to radians
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Angle in radians
+ */
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * Computes the great-circle distance between two coordinates (haversine formula)
+ * @param {{lat: number, lng: number}} from - Start coordinate
+ * @param {{lat: number, lng: number}} to - End coordinate
+ * @returns {number} Distance in kilometres
+ */
+export function haversineDistance(from, to) {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Checks whether a coordinate lies inside a polygon (ray casting)
+ * Polygons are small enough (neighbourhoods, commute zones) that lat/lng can be
+ * treated as planar coordinates.
+ * @param {{lat: number, lng: number}} point - Coordinate to test
+ * @param {Array<[number, number]>} polygon - Polygon vertices as [lat, lng] pairs
+ * @returns {boolean} True if the point is inside the polygon
+ */
+export function isPointInPolygon(point, polygon) {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+
+    const crosses = (lngI > point.lng) !== (lngJ > point.lng) &&
+      point.lat < (latJ - latI) * (point.lng - lngI) / (lngJ - lngI) + latI;
+    if (crosses) inside = !inside;
+  }
+
+  return inside;
+}
+
+/**
+ * Checks that a value is a usable { lat, lng } coordinate
+ * @param {Object} coordinates - Candidate coordinate
+ * @returns {boolean} True if lat and lng are finite numbers
+ */
+export function hasCoordinates(coordinates) {
+  return Boolean(coordinates) &&
+    Number.isFinite(coordinates.lat) &&
+    Number.isFinite(coordinates.lng);
+}
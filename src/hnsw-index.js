@@ -0,0 +1,380 @@
+import { BinaryHeap } from './data-utils.js';
+
+/**
+ * HNSWIndex - Pure-JS Hierarchical Navigable Small World graph for approximate
+ * nearest-neighbour search over normalized embeddings (Malkov & Yashunin, 2016)
+ *
+ * Runs unchanged in Node.js and the browser: the graph serializes to a plain JSON
+ * object, and vectors are re-attached from the property data when loading.
+ */
+
+const FORMAT_VERSION = 1;
+
+const nearestFirst = (a, b) => a.distance - b.distance;
+const furthestFirst = (a, b) => b.distance - a.distance;
+
+/**
+ * Small seeded PRNG (mulberry32) so index builds are reproducible
+ * @param {number} seed - Seed value
+ * @returns {Function} Random number generator returning [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Copies a vector into a unit-length Float32Array
+ * @param {ArrayLike<number>} vector - Input vector
+ * @returns {Float32Array} Normalized copy
+ */
+function normalizeVector(vector) {
+  const normalized = Float32Array.from(vector);
+  let magnitude = 0;
+  for (let i = 0; i < normalized.length; i++) {
+    magnitude += normalized[i] * normalized[i];
+  }
+  magnitude = Math.sqrt(magnitude);
+  if (magnitude > 0) {
+    for (let i = 0; i < normalized.length; i++) {
+      normalized[i] /= magnitude;
+    }
+  }
+  return normalized;
+}
+
+export class HNSWIndex {
+  /**
+   * @param {Object} options - Index parameters
+   * @param {number} options.M - Max neighbours per node on upper layers (default: 16, layer 0 uses 2M)
+   * @param {number} options.efConstruction - Candidate list size while building (default: 200)
+   * @param {number} options.efSearch - Default candidate list size while searching (default: 50)
+   * @param {number} options.seed - Seed for level assignment (default: 42)
+   */
+  constructor(options = {}) {
+    const { M = 16, efConstruction = 200, efSearch = 50, seed = 42 } = options;
+    this.M = M;
+    this.maxM0 = M * 2;
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+    this.seed = seed;
+    this.levelMultiplier = 1 / Math.log(M);
+    this.random = createRandom(seed);
+
+    this.dimensions = null;
+    this.nodes = [];
+    this.idToNode = new Map();
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.deletedCount = 0;
+  }
+
+  /**
+   * Build an index from properties carrying an `embedding`
+   * @param {Array} properties - Properties with embeddings
+   * @param {Object} options - Index parameters (see constructor)
+   * @returns {HNSWIndex} Populated index
+   */
+  static fromProperties(properties, options = {}) {
+    const index = new HNSWIndex(options);
+    for (const property of properties) {
+      if (!property.embedding) {
+        console.warn(`Property ${property.id} missing embedding, not indexed`);
+        continue;
+      }
+      index.add(property.id, property.embedding);
+    }
+    return index;
+  }
+
+  /**
+   * Restore an index produced by serialize()
+   * @param {Object} data - Serialized graph
+   * @param {Array|VectorStore} properties - Properties (or a VectorStore) supplying the vectors, matched by id
+   * @returns {HNSWIndex} Loaded index
+   */
+  static deserialize(data, properties) {
+    if (!data || data.version !== FORMAT_VERSION) {
+      throw new Error(`Unsupported HNSW index format: ${data && data.version}`);
+    }
+
+    const embeddings = typeof properties.getVector === 'function'
+      ? { get: id => properties.getVector(id) }
+      : new Map(properties.map(property => [property.id, property.embedding]));
+    const index = new HNSWIndex(data);
+    index.dimensions = data.dimensions;
+    index.entryPoint = data.entryPoint;
+    index.maxLevel = data.maxLevel;
+
+    data.ids.forEach((id, i) => {
+      const embedding = embeddings.get(id);
+      if (!embedding) {
+        throw new Error(`Property ${id} from the index has no embedding in the supplied data`);
+      }
+      if (embedding.length !== data.dimensions) {
+        throw new Error(`Property ${id} has ${embedding.length} dimensions, index expects ${data.dimensions}`);
+      }
+      index.nodes.push({
+        id,
+        vector: normalizeVector(embedding),
+        level: data.levels[i],
+        neighbors: data.neighbors[i]
+      });
+      index.idToNode.set(id, i);
+    });
+
+    return index;
+  }
+
+  /**
+   * Number of indexed vectors
+   */
+  get size() {
+    return this.nodes.length - this.deletedCount;
+  }
+
+  /**
+   * Check whether an id is indexed
+   * @param {number|string} id - Property ID
+   * @returns {boolean} True if indexed
+   */
+  has(id) {
+    return this.idToNode.has(id);
+  }
+
+  /**
+   * Remove a property from search results
+   * HNSW graphs can't cheaply unlink a node, so it stays as a routing waypoint
+   * until the index is serialized (which compacts tombstones away)
+   * @param {number|string} id - Property ID
+   * @returns {boolean} True if the property was indexed
+   */
+  remove(id) {
+    const node = this.idToNode.get(id);
+    if (node === undefined) return false;
+
+    this.nodes[node].deleted = true;
+    this.idToNode.delete(id);
+    this.deletedCount++;
+    return true;
+  }
+
+  /**
+   * Cosine distance between a query and an indexed node (vectors are unit length)
+   */
+  distance(query, node) {
+    const vector = this.nodes[node].vector;
+    let dot = 0;
+    for (let i = 0; i < vector.length; i++) {
+      dot += query[i] * vector[i];
+    }
+    return 1 - dot;
+  }
+
+  /**
+   * Insert a vector into the graph
+   * @param {number|string} id - Property ID
+   * @param {ArrayLike<number>} embedding - Embedding vector
+   */
+  add(id, embedding) {
+    if (this.idToNode.has(id)) {
+      throw new Error(`Property ${id} is already indexed, remove() it before re-adding`);
+    }
+    if (this.dimensions === null) {
+      this.dimensions = embedding.length;
+    } else if (embedding.length !== this.dimensions) {
+      throw new Error(`Expected ${this.dimensions}-dimensional embedding for property ${id}, got ${embedding.length}`);
+    }
+
+    const vector = normalizeVector(embedding);
+    const level = Math.floor(-Math.log(1 - this.random()) * this.levelMultiplier);
+    const node = this.nodes.length;
+    this.nodes.push({ id, vector, level, neighbors: Array.from({ length: level + 1 }, () => []) });
+    this.idToNode.set(id, node);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return;
+    }
+
+    // Greedy descent through the layers above the new node
+    let entry = { node: this.entryPoint, distance: this.distance(vector, this.entryPoint) };
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      entry = this.searchLayer(vector, [entry], 1, layer)[0];
+    }
+
+    let entries = [entry];
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const candidates = this.searchLayer(vector, entries, this.efConstruction, layer);
+      const neighbors = this.selectNeighbors(candidates, this.M);
+      this.nodes[node].neighbors[layer] = neighbors.map(candidate => candidate.node);
+
+      // Link back, pruning neighbours that now exceed their layer's capacity
+      const maxConnections = layer === 0 ? this.maxM0 : this.M;
+      for (const { node: neighbor } of neighbors) {
+        const links = this.nodes[neighbor].neighbors[layer];
+        links.push(node);
+        if (links.length > maxConnections) {
+          const neighborVector = this.nodes[neighbor].vector;
+          const scored = links
+            .map(link => ({ node: link, distance: this.distance(neighborVector, link) }))
+            .sort(nearestFirst);
+          this.nodes[neighbor].neighbors[layer] = this.selectNeighbors(scored, maxConnections)
+            .map(candidate => candidate.node);
+        }
+      }
+
+      entries = candidates;
+    }
+
+    if (level > this.maxLevel) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+    }
+  }
+
+  /**
+   * Neighbour selection heuristic: prefer candidates that are closer to the new node
+   * than to any already selected neighbour, keeping the graph navigable across clusters
+   * @param {Array<{node: number, distance: number}>} candidates - Sorted nearest first
+   * @param {number} count - Number of neighbours to keep
+   * @returns {Array<{node: number, distance: number}>} Selected neighbours
+   */
+  selectNeighbors(candidates, count) {
+    const selected = [];
+    const pruned = [];
+
+    for (const candidate of candidates) {
+      if (selected.length >= count) break;
+      const candidateVector = this.nodes[candidate.node].vector;
+      const diverse = selected.every(chosen =>
+        this.distance(candidateVector, chosen.node) > candidate.distance
+      );
+      (diverse ? selected : pruned).push(candidate);
+    }
+
+    // Top up with the closest pruned candidates so nodes keep enough links
+    for (const candidate of pruned) {
+      if (selected.length >= count) break;
+      selected.push(candidate);
+    }
+
+    return selected;
+  }
+
+  /**
+   * Best-first search within one layer
+   * @param {Float32Array} query - Normalized query vector
+   * @param {Array<{node: number, distance: number}>} entries - Starting points
+   * @param {number} ef - Candidate list size
+   * @param {number} layer - Layer to search
+   * @param {Function} [accept] - Node filter; rejected nodes are traversed but not returned
+   * @returns {Array<{node: number, distance: number}>} Up to ef results, nearest first
+   */
+  searchLayer(query, entries, ef, layer, accept) {
+    const visited = new Set(entries.map(entry => entry.node));
+    const candidates = new BinaryHeap(nearestFirst);
+    const results = new BinaryHeap(furthestFirst);
+
+    for (const entry of entries) {
+      candidates.push(entry);
+      if (!accept || accept(entry.node)) results.push(entry);
+    }
+    while (results.size > ef) results.pop();
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.distance > results.peek().distance) break;
+
+      for (const neighbor of this.nodes[current.node].neighbors[layer] || []) {
+        if (visited.has(neighbor)) continue;
+        visited.add(neighbor);
+
+        const distance = this.distance(query, neighbor);
+        if (results.size < ef || distance < results.peek().distance) {
+          candidates.push({ node: neighbor, distance });
+          if (!accept || accept(neighbor)) {
+            results.push({ node: neighbor, distance });
+            if (results.size > ef) results.pop();
+          }
+        }
+      }
+    }
+
+    return results.items.sort(nearestFirst);
+  }
+
+  /**
+   * Find the approximate nearest neighbours of a query embedding
+   * @param {ArrayLike<number>} queryEmbedding - Query vector
+   * @param {number} k - Number of results
+   * @param {Object} options - Search options
+   * @param {number} options.efSearch - Candidate list size; higher is slower but more accurate
+   * @param {Function} options.filter - Called with a property ID; only accepted IDs are returned
+   * @returns {Array<{id: number|string, similarity: number}>} Nearest properties, most similar first
+   */
+  search(queryEmbedding, k, options = {}) {
+    const { efSearch = this.efSearch, filter } = options;
+    if (this.entryPoint === -1) return [];
+
+    if (queryEmbedding.length !== this.dimensions) {
+      throw new Error(`Query has ${queryEmbedding.length} dimensions, index expects ${this.dimensions}`);
+    }
+
+    const query = normalizeVector(queryEmbedding);
+    let entry = { node: this.entryPoint, distance: this.distance(query, this.entryPoint) };
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      entry = this.searchLayer(query, [entry], 1, layer)[0];
+    }
+
+    const accept = filter || this.deletedCount > 0
+      ? node => !this.nodes[node].deleted && (!filter || filter(this.nodes[node].id))
+      : undefined;
+    return this.searchLayer(query, [entry], Math.max(efSearch, k), 0, accept)
+      .slice(0, k)
+      .map(({ node, distance }) => ({ id: this.nodes[node].id, similarity: 1 - distance }));
+  }
+
+  /**
+   * Rebuild the graph without removed properties
+   * @returns {HNSWIndex} New index over the remaining vectors
+   */
+  compact() {
+    const index = new HNSWIndex(this);
+    for (const node of this.nodes) {
+      if (!node.deleted) index.add(node.id, node.vector);
+    }
+    return index;
+  }
+
+  /**
+   * Serialize the graph (without vectors) to a JSON-compatible object
+   * @returns {Object} Serialized index
+   */
+  serialize() {
+    if (this.deletedCount > 0) {
+      return this.compact().serialize();
+    }
+
+    return {
+      version: FORMAT_VERSION,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      seed: this.seed,
+      dimensions: this.dimensions,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      ids: this.nodes.map(node => node.id),
+      levels: this.nodes.map(node => node.level),
+      neighbors: this.nodes.map(node => node.neighbors)
+    };
+  }
+}
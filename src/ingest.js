@@ -0,0 +1,91 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { parseListings } from './listing-import.js';
+import { validateListings } from './listing-schema.js';
+
+const DEFAULT_OUTPUT_PATH = './data/listings.json';
+
+/**
+ * Reads the value following a command-line flag
+ */
+function argValue(flag) {
+  const i = process.argv.indexOf(flag);
+  return i === -1 ? undefined : process.argv[i + 1];
+}
+
+/**
+ * Runs the embedding generator on the imported listings, merged into the existing catalogue
+ */
+function runEmbeddingGenerator(listingsPath) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [
+      ...process.execArgv,
+      fileURLToPath(new URL('./generate-embeddings.js', import.meta.url)),
+      '--listings', listingsPath,
+      '--merge'
+    ], { stdio: 'inherit' });
+
+    child.on('error', reject);
+    child.on('exit', code => code === 0
+      ? resolve()
+      : reject(new Error(`Embedding generation exited with code ${code}`)));
+  });
+}
+
+/**
+ * Imports listings from CSV or JSON Lines, validates them and writes the valid ones
+ * Usage: npm run ingest -- <listings.csv|listings.jsonl> [--output data/listings.json]
+ *          [--errors errors.json] [--strict] [--embed]
+ * --strict writes nothing if any row is invalid; --embed runs the embedding generator afterwards.
+ */
+async function ingest() {
+  const inputPath = process.argv[2];
+  const outputPath = argValue('--output') ?? DEFAULT_OUTPUT_PATH;
+  const errorsPath = argValue('--errors');
+  const strict = process.argv.includes('--strict');
+
+  try {
+    if (!inputPath || inputPath.startsWith('--')) {
+      throw new Error('Usage: npm run ingest -- <listings.csv|listings.jsonl> [--output <file>] [--errors <file>] [--strict] [--embed]');
+    }
+
+    console.log(`📥 Importing listings from ${inputPath}`);
+    const rows = parseListings(inputPath, await fs.readFile(inputPath, 'utf8'));
+    const { listings, rejected } = validateListings(rows);
+
+    console.log(`✅ ${listings.length} valid listings, ❌ ${rejected.length} rejected (of ${rows.length} rows)`);
+
+    for (const { row, id, errors } of rejected) {
+      const label = id === null ? `Row ${row}` : `Row ${row} (id ${id})`;
+      console.log(`   ${label}: ${errors.map(({ field, message }) => `${field} ${message}`).join('; ')}`);
+    }
+
+    if (errorsPath) {
+      await fs.writeFile(errorsPath, JSON.stringify(rejected, null, 2));
+      console.log(`📝 Row errors written to ${errorsPath}`);
+    }
+
+    if (listings.length === 0 || (strict && rejected.length > 0)) {
+      console.error(strict && listings.length > 0
+        ? '❌ --strict: not writing listings because some rows are invalid'
+        : '❌ No valid listings to write');
+      process.exit(1);
+    }
+
+    await fs.writeFile(outputPath, JSON.stringify(listings, null, 2));
+    console.log(`💾 Wrote ${listings.length} listings to ${outputPath}`);
+
+    if (process.argv.includes('--embed')) {
+      await runEmbeddingGenerator(outputPath);
+    } else {
+      console.log(`   Add them to the catalogue with: npm run generate-embeddings -- --listings ${outputPath} --merge`);
+    }
+  } catch (error) {
+    console.error('❌ Error importing listings:', error);
+    process.exit(1);
+  }
+}
+
+ingest();
@@ -0,0 +1,328 @@
+import { isIsoDate, toIsoDate } from './dates.js';
+import { randomToken, digestSecret } from './secrets.js';
+
+/**
+ * Landlord inquiries
+ *
+ * Search results never carry a landlord's email address, only a random
+ * `landlordHandle` (see landlords.js). Renters contact a landlord by submitting
+ * an inquiry for a listing. The first inquiry returns a secret renter token;
+ * later inquiries and reading the answers need it. Inquiries are validated,
+ * rate-limited per renter token and per client address, and kept in a local
+ * outbox, where landlords list and answer the ones for their listings.
+ */
+
+const MAX_NAME_LENGTH = 100;
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_RESPONSE_LENGTH = 2000;
+const INQUIRY_FORMAT_VERSION = 2;
+
+export const DEFAULT_INQUIRY_RATE_LIMIT = { maxInquiries: 5, windowMs: 60 * 60 * 1000 };
+
+export const INQUIRY_STATUSES = ['open', 'answered'];
+
+/**
+ * Error with a machine-readable code: 'INVALID_INQUIRY', 'RATE_LIMITED', 'NOT_FOUND', 'FORBIDDEN'
+ * or 'UNAUTHORIZED'
+ */
+export class InquiryError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'InquiryError';
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * An inquiry as renters and landlords see it, without the renter and client digests
+ */
+function toPublicInquiry(inquiry) {
+  const { renterKey, clientKey, ...rest } = inquiry;
+  return { ...rest, responses: rest.responses.map(response => ({ ...response })) };
+}
+
+/**
+ * Trimmed string of 1 to maxLength characters, or an error message
+ */
+function checkText(value, maxLength) {
+  if (typeof value !== 'string' || value.trim() === '') return 'must be a non-empty string';
+  if (value.trim().length > maxLength) return `must be at most ${maxLength} characters`;
+  return null;
+}
+
+/**
+ * Validate an inquiry a renter submits
+ * @param {Object} inquiry - { listingId, name, moveInDate, message }
+ * @param {Object} options - Validation options
+ * @param {Date} options.now - Today, so a move-in date can't be in the past (default: new Date())
+ * @returns {{valid: boolean, inquiry: Object|null, errors: Array<{field: string, message: string}>}}
+ *   The trimmed inquiry when valid, otherwise every problem found
+ */
+export function validateInquiry(inquiry, options = {}) {
+  const { now = new Date() } = options;
+
+  if (!inquiry || typeof inquiry !== 'object' || Array.isArray(inquiry)) {
+    return { valid: false, inquiry: null, errors: [{ field: '(inquiry)', message: 'must be an object' }] };
+  }
+
+  const errors = [];
+  const check = (field, message) => {
+    if (message) errors.push({ field, message });
+  };
+
+  check('listingId', Number.isInteger(inquiry.listingId) || (typeof inquiry.listingId === 'string' && inquiry.listingId.trim() !== '')
+    ? null
+    : 'must be a listing ID');
+  check('name', checkText(inquiry.name, MAX_NAME_LENGTH));
+  check('message', checkText(inquiry.message, MAX_MESSAGE_LENGTH));
+  check('moveInDate', !isIsoDate(inquiry.moveInDate)
+    ? 'must be a date written as YYYY-MM-DD'
+    : inquiry.moveInDate < toIsoDate(now) ? 'must not be in the past' : null);
+
+  if (errors.length > 0) {
+    return { valid: false, inquiry: null, errors };
+  }
+
+  return {
+    valid: true,
+    inquiry: {
+      listingId: inquiry.listingId,
+      name: inquiry.name.trim(),
+      moveInDate: inquiry.moveInDate,
+      message: inquiry.message.trim()
+    },
+    errors
+  };
+}
+
+/**
+ * InquiryStore - inquiries by ID, optionally persisted (the outbox)
+ */
+export class InquiryStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {Object} options.storage - Persistence adapter with load() and save(inquiries),
+   *   e.g. a FileInquiryStorage (default: memory only)
+   * @param {{maxInquiries: number, windowMs: number}} options.rateLimit - Inquiries one renter token,
+   *   or one client address, may send per window (default: 5 per hour)
+   */
+  constructor(options = {}) {
+    const { storage = null, rateLimit = DEFAULT_INQUIRY_RATE_LIMIT } = options;
+
+    if (!Number.isInteger(rateLimit.maxInquiries) || rateLimit.maxInquiries < 1 || !(rateLimit.windowMs > 0)) {
+      throw new Error('rateLimit needs a positive integer maxInquiries and a positive windowMs');
+    }
+
+    this.storage = storage;
+    this.rateLimit = rateLimit;
+    this.inquiries = new Map();
+  }
+
+  /**
+   * Load persisted inquiries, replacing the ones in memory
+   * @returns {Promise<number>} Number of inquiries loaded
+   */
+  async load() {
+    this.inquiries.clear();
+    if (!this.storage) return 0;
+
+    for (const inquiry of await this.storage.load()) {
+      this.inquiries.set(inquiry.id, inquiry);
+    }
+    return this.inquiries.size;
+  }
+
+  /**
+   * Persist the current inquiries
+   */
+  async save() {
+    if (this.storage) {
+      await this.storage.save([...this.inquiries.values()]);
+    }
+  }
+
+  /**
+   * Whether any stored inquiry was sent with this renter digest
+   */
+  hasRenter(renterKey) {
+    return [...this.inquiries.values()].some(inquiry => inquiry.renterKey === renterKey);
+  }
+
+  /**
+   * Submit a renter's inquiry for a listing
+   * The first inquiry issues a renter token; later ones must send it back. The sliding-window
+   * rate limit counts the stored inquiries of the token and of the client address, so neither a
+   * fresh token nor a restart resets it. Only digests of the token and address are stored.
+   * @param {Object} inquiry - { listingId, name, moveInDate, message }
+   * @param {Object} listing - The listing asked about (its landlordHandle identifies the landlord)
+   * @param {Object} options - Submit options
+   * @param {string} options.renterToken - Token from an earlier submit (default: issue a new one)
+   * @param {string} options.client - Client address, e.g. the remote IP (default: not limited by address)
+   * @param {Date} options.now - Current time (default: new Date())
+   * @returns {Promise<{inquiry: Object, renterToken: string}>} Stored inquiry and the renter's token
+   * @throws {InquiryError} INVALID_INQUIRY with `errors`, UNAUTHORIZED for an unknown token,
+   *   or RATE_LIMITED with `retryAfterMs`
+   */
+  async submit(inquiry, listing, options = {}) {
+    const { now = new Date(), client = null } = options;
+    let { renterToken = null } = options;
+
+    const result = validateInquiry(inquiry, { now });
+    if (!result.valid) {
+      const summary = result.errors.map(({ field, message }) => `${field} ${message}`).join('; ');
+      throw new InquiryError('INVALID_INQUIRY', `Invalid inquiry: ${summary}`, { errors: result.errors });
+    }
+    if (!listing || String(listing.id) !== String(result.inquiry.listingId)) {
+      throw new InquiryError('NOT_FOUND', `Listing ${result.inquiry.listingId} not found`);
+    }
+    if (!listing.landlordHandle) {
+      throw new Error(`Listing ${listing.id} has no landlordHandle`);
+    }
+
+    let renterKey;
+    if (renterToken === null) {
+      renterToken = randomToken('rt_');
+      renterKey = await digestSecret(renterToken);
+    } else {
+      renterKey = await digestSecret(String(renterToken));
+      if (!this.hasRenter(renterKey)) {
+        throw new InquiryError('UNAUTHORIZED', 'Unknown renter token');
+      }
+    }
+    const clientKey = client ? await digestSecret(`client\n${client}`) : null;
+
+    const windowStart = now.getTime() - this.rateLimit.windowMs;
+    const recent = [...this.inquiries.values()]
+      .filter(stored => stored.renterKey === renterKey || (clientKey !== null && stored.clientKey === clientKey))
+      .filter(stored => Date.parse(stored.createdAt) > windowStart)
+      .map(stored => Date.parse(stored.createdAt))
+      .sort((a, b) => a - b);
+    if (recent.length >= this.rateLimit.maxInquiries) {
+      // The oldest inquiry in the window is the next to leave it
+      const retryAfterMs = recent[recent.length - this.rateLimit.maxInquiries] - windowStart;
+      throw new InquiryError(
+        'RATE_LIMITED',
+        `Too many inquiries: at most ${this.rateLimit.maxInquiries} per ${Math.round(this.rateLimit.windowMs / 60000)} minutes`,
+        { retryAfterMs }
+      );
+    }
+
+    const stored = {
+      id: globalThis.crypto.randomUUID(),
+      ...result.inquiry,
+      listingTitle: listing.title,
+      landlordHandle: listing.landlordHandle,
+      renterKey,
+      clientKey,
+      status: 'open',
+      createdAt: now.toISOString(),
+      responses: []
+    };
+    this.inquiries.set(stored.id, stored);
+    await this.save();
+    return { inquiry: toPublicInquiry(stored), renterToken };
+  }
+
+  /**
+   * Inquiries for a landlord's listings, newest first
+   * @param {string} handle - Handle of a signed-in landlord (see LandlordDirectory.authenticate)
+   * @param {Object} options - List options
+   * @param {string} options.status - Only 'open' or 'answered' inquiries (default: all)
+   * @returns {Array} Inquiries
+   */
+  forLandlord(handle, options = {}) {
+    const { status } = options;
+    if (status !== undefined && !INQUIRY_STATUSES.includes(status)) {
+      throw new Error(`Unknown inquiry status: ${status} (expected one of: ${INQUIRY_STATUSES.join(', ')})`);
+    }
+
+    return [...this.inquiries.values()]
+      .filter(inquiry => inquiry.landlordHandle === handle && (!status || inquiry.status === status))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(toPublicInquiry);
+  }
+
+  /**
+   * A renter's inquiries with the landlords' responses, newest first
+   * @param {string} renterToken - Token returned by the renter's first submit()
+   * @returns {Promise<Array>} Inquiries
+   * @throws {InquiryError} UNAUTHORIZED for an unknown token
+   */
+  async forRenter(renterToken) {
+    const renterKey = await digestSecret(String(renterToken));
+    if (!this.hasRenter(renterKey)) {
+      throw new InquiryError('UNAUTHORIZED', 'Unknown renter token');
+    }
+
+    return [...this.inquiries.values()]
+      .filter(inquiry => inquiry.renterKey === renterKey)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(toPublicInquiry);
+  }
+
+  /**
+   * Answer an inquiry as the listing's landlord
+   * @param {string} id - Inquiry ID
+   * @param {string} handle - Handle of the signed-in landlord answering (see LandlordDirectory.authenticate)
+   * @param {string} message - Response text
+   * @param {Object} options - Response options
+   * @param {Date} options.now - Current time (default: new Date())
+   * @returns {Promise<Object>} The updated inquiry
+   * @throws {InquiryError} NOT_FOUND, FORBIDDEN (another landlord's listing) or INVALID_INQUIRY
+   */
+  async respond(id, handle, message, options = {}) {
+    const { now = new Date() } = options;
+
+    const inquiry = this.inquiries.get(id);
+    if (!inquiry) {
+      throw new InquiryError('NOT_FOUND', `Inquiry ${id} not found`);
+    }
+    if (inquiry.landlordHandle !== handle) {
+      throw new InquiryError('FORBIDDEN', `Inquiry ${id} is not about one of your listings`);
+    }
+    const problem = checkText(message, MAX_RESPONSE_LENGTH);
+    if (problem) {
+      throw new InquiryError('INVALID_INQUIRY', `Response ${problem}`, { errors: [{ field: 'message', message: problem }] });
+    }
+
+    inquiry.responses.push({ message: message.trim(), createdAt: now.toISOString() });
+    inquiry.status = 'answered';
+    await this.save();
+    return toPublicInquiry(inquiry);
+  }
+}
+
+/**
+ * Persist inquiries to a JSON file (Node.js)
+ */
+export class FileInquiryStorage {
+  /**
+   * @param {string} path - Outbox file, e.g. './data/inquiries.json'
+   */
+  constructor(path) {
+    this.path = path;
+  }
+
+  async load() {
+    const { readFile } = await import('fs/promises');
+
+    let data;
+    try {
+      data = JSON.parse(await readFile(this.path, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Failed to read inquiries ${this.path}: ${error.message}`);
+    }
+
+    if (data.version !== INQUIRY_FORMAT_VERSION || !Array.isArray(data.inquiries)) {
+      throw new Error(`Unsupported inquiry file ${this.path}`);
+    }
+    return data.inquiries;
+  }
+
+  async save(inquiries) {
+    const { writeFile } = await import('fs/promises');
+    await writeFile(this.path, JSON.stringify({ version: INQUIRY_FORMAT_VERSION, inquiries }, null, 2));
+  }
+}
@@ -0,0 +1,76 @@
+import { InquiryStore, FileInquiryStorage } from './inquiries.js';
+import { LandlordDirectory, FileLandlordStorage } from './landlords.js';
+
+const DEFAULT_INQUIRIES_PATH = './data/inquiries.json';
+const DEFAULT_LANDLORDS_PATH = './data/landlords.json';
+
+/**
+ * Reads the value following a command-line flag
+ */
+function argValue(flag) {
+  const i = process.argv.indexOf(flag);
+  return i === -1 ? undefined : process.argv[i + 1];
+}
+
+/**
+ * Lists and answers the inquiries renters sent about a landlord's listings
+ * Usage: npm run inquiries -- --issue-key <email>      (operator: prints a landlord's sign-in key once)
+ *        LANDLORD_KEY=<key> npm run inquiries -- [--status open|answered]
+ *        LANDLORD_KEY=<key> npm run inquiries -- --respond <inquiry id> --message "<text>"
+ * The key is read from the environment so it stays out of shell history. Inquiries are read from
+ * data/inquiries.json (--file <path> for another outbox), landlords from data/landlords.json
+ * (--landlords <path>).
+ */
+async function landlordInquiries() {
+  const directory = new LandlordDirectory({
+    storage: new FileLandlordStorage(argValue('--landlords') ?? DEFAULT_LANDLORDS_PATH)
+  });
+  const store = new InquiryStore({
+    storage: new FileInquiryStorage(argValue('--file') ?? DEFAULT_INQUIRIES_PATH)
+  });
+
+  try {
+    await directory.load();
+
+    const issueFor = argValue('--issue-key');
+    if (issueFor) {
+      const key = await directory.issueKey(issueFor);
+      console.log(`🔑 Sign-in key for ${issueFor} (shown once, replaces any earlier key):\n   ${key}`);
+      return;
+    }
+
+    if (!process.env.LANDLORD_KEY) {
+      throw new Error('Usage: LANDLORD_KEY=<key> npm run inquiries -- [--status open|answered] [--respond <id> --message <text>]');
+    }
+    const handle = await directory.authenticate(process.env.LANDLORD_KEY);
+    if (!handle) {
+      throw new Error('Unknown landlord key (ask the operator for a new one: npm run inquiries -- --issue-key <email>)');
+    }
+
+    await store.load();
+
+    const respondId = argValue('--respond');
+    if (respondId) {
+      const inquiry = await store.respond(respondId, handle, argValue('--message'));
+      console.log(`✅ Answered ${inquiry.name}'s inquiry about ${inquiry.listingTitle}`);
+      return;
+    }
+
+    const inquiries = store.forLandlord(handle, { status: argValue('--status') });
+    console.log(`📬 ${inquiries.length} inquir${inquiries.length === 1 ? 'y' : 'ies'} for ${handle}\n`);
+
+    inquiries.forEach(inquiry => {
+      console.log(`   ${inquiry.status === 'open' ? '🟢' : '✅'} ${inquiry.id}`);
+      console.log(`      🏠 ${inquiry.listingTitle} (listing ${inquiry.listingId})`);
+      console.log(`      👤 ${inquiry.name} | 📅 Move-in ${inquiry.moveInDate} | 🕒 ${inquiry.createdAt}`);
+      console.log(`      💬 ${inquiry.message}`);
+      inquiry.responses.forEach(response => console.log(`      ↩️  ${response.message}`));
+      console.log();
+    });
+  } catch (error) {
+    console.error('❌ Error handling inquiries:', error);
+    process.exit(1);
+  }
+}
+
+landlordInquiries();
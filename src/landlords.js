@@ -0,0 +1,156 @@
+import { randomToken, digestSecret } from './secrets.js';
+
+/**
+ * Landlord directory
+ *
+ * Each landlord email gets a random `landlordHandle` the first time one of its
+ * listings is ingested, and keeps it afterwards; search results only ever show
+ * the handle, which can't be traced back to the email. Signing in to answer
+ * inquiries takes a separate secret key issued by the operator, never the
+ * public handle or the email.
+ */
+
+const LANDLORD_FORMAT_VERSION = 1;
+
+/**
+ * Normalize an email for lookups
+ */
+function emailKey(email) {
+  return email.trim().toLowerCase();
+}
+
+/**
+ * LandlordDirectory - landlord handles and sign-in keys by email, optionally persisted
+ */
+export class LandlordDirectory {
+  /**
+   * @param {Object} options - Directory options
+   * @param {Object} options.storage - Persistence adapter with load() and save(landlords),
+   *   e.g. a FileLandlordStorage (default: memory only)
+   */
+  constructor(options = {}) {
+    const { storage = null } = options;
+    this.storage = storage;
+    this.landlords = new Map();
+  }
+
+  /**
+   * Load persisted landlords, replacing the ones in memory
+   * @returns {Promise<number>} Number of landlords loaded
+   */
+  async load() {
+    this.landlords.clear();
+    if (!this.storage) return 0;
+
+    for (const landlord of await this.storage.load()) {
+      this.landlords.set(emailKey(landlord.email), landlord);
+    }
+    return this.landlords.size;
+  }
+
+  /**
+   * Persist the current landlords
+   */
+  async save() {
+    if (this.storage) {
+      await this.storage.save([...this.landlords.values()]);
+    }
+  }
+
+  /**
+   * The landlord's handle, created at random on first use (call save() afterwards)
+   * @param {string} email - Landlord email
+   * @returns {string} Handle such as 'll_1f3a9c0b2d4e6f'
+   */
+  handleFor(email) {
+    const key = emailKey(email);
+    let landlord = this.landlords.get(key);
+    if (!landlord) {
+      landlord = { email: key, handle: randomToken('ll_', 7), keyDigest: null };
+      this.landlords.set(key, landlord);
+    }
+    return landlord.handle;
+  }
+
+  /**
+   * Issue a new sign-in key for a known landlord, replacing any previous key, and persist
+   * The key is returned once; only its digest is stored.
+   * @param {string} email - Landlord email
+   * @returns {Promise<string>} Secret key to hand to the landlord
+   */
+  async issueKey(email) {
+    const landlord = this.landlords.get(emailKey(email));
+    if (!landlord) {
+      throw new Error(`No listings for landlord ${email}`);
+    }
+
+    const key = randomToken('lk_');
+    landlord.keyDigest = await digestSecret(key);
+    await this.save();
+    return key;
+  }
+
+  /**
+   * The handle a sign-in key belongs to
+   * @param {string} key - Key from issueKey()
+   * @returns {Promise<string|null>} Handle, or null for an unknown key
+   */
+  async authenticate(key) {
+    if (typeof key !== 'string' || key === '') return null;
+
+    const digest = await digestSecret(key);
+    for (const landlord of this.landlords.values()) {
+      if (landlord.keyDigest === digest) return landlord.handle;
+    }
+    return null;
+  }
+}
+
+/**
+ * Replace a listing's landlordEmail with the landlord's handle from the directory
+ * @param {Object} listing - Listing
+ * @param {LandlordDirectory} directory - Directory that assigns the handle
+ * @returns {Object} Listing without contact details
+ */
+export function withLandlordHandle(listing, directory) {
+  const { landlordEmail, ...rest } = listing;
+  if (!landlordEmail) return rest;
+  if (!directory) {
+    throw new Error(`Listing ${listing.id} has a landlordEmail; a LandlordDirectory is needed to replace it with a handle`);
+  }
+  return { ...rest, landlordHandle: directory.handleFor(landlordEmail) };
+}
+
+/**
+ * Persist landlords to a JSON file (Node.js)
+ */
+export class FileLandlordStorage {
+  /**
+   * @param {string} path - Directory file, e.g. './data/landlords.json'
+   */
+  constructor(path) {
+    this.path = path;
+  }
+
+  async load() {
+    const { readFile } = await import('fs/promises');
+
+    let data;
+    try {
+      data = JSON.parse(await readFile(this.path, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Failed to read landlords ${this.path}: ${error.message}`);
+    }
+
+    if (data.version !== LANDLORD_FORMAT_VERSION || !Array.isArray(data.landlords)) {
+      throw new Error(`Unsupported landlord file ${this.path}`);
+    }
+    return data.landlords;
+  }
+
+  async save(landlords) {
+    const { writeFile } = await import('fs/promises');
+    await writeFile(this.path, JSON.stringify({ version: LANDLORD_FORMAT_VERSION, landlords }, null, 2));
+  }
+}
@@ -0,0 +1,139 @@
+import { parseCsv } from './data-utils.js';
+
+/**
+ * Listing import formats
+ *
+ * CSV: one listing per record with a header row. Columns are the listing fields;
+ * coordinates come from `lat` and `lng` columns, and `amenities` / `images` hold
+ * several values separated by `;` or `|`; `furnished` accepts true/false or yes/no. Quoted fields may contain commas,
+ * newlines and doubled quotes ("").
+ *
+ * JSON Lines: one listing object per line; blank lines are skipped. A plain JSON
+ * array of listings is accepted as well.
+ */
+
+const LIST_SEPARATOR = /\s*[;|]\s*/;
+const INTEGER_COLUMNS = ['bedrooms', 'minLeaseMonths', 'maxLeaseMonths'];
+const NUMBER_COLUMNS = ['price', 'bathrooms', 'lat', 'lng'];
+const LIST_COLUMNS = ['amenities', 'images'];
+const BOOLEAN_COLUMNS = ['furnished'];
+const BOOLEAN_VALUES = { true: true, yes: true, y: true, 1: true, false: false, no: false, n: false, 0: false };
+const EMBEDDING_FIELDS = ['embedding', 'embeddingText', 'embeddingHash', 'embeddingModel', 'chunkEmbeddings'];
+
+/**
+ * Turn one CSV record into a typed listing
+ * Values that don't parse are kept as strings so validation reports them
+ * @param {string[]} header - Column names
+ * @param {string[]} values - Record values
+ * @returns {Object} Listing
+ */
+export function csvRecordToListing(header, values) {
+  const listing = {};
+
+  header.forEach((column, i) => {
+    const raw = (values[i] ?? '').trim();
+    if (raw === '') return;
+
+    if (INTEGER_COLUMNS.includes(column) || NUMBER_COLUMNS.includes(column)) {
+      const number = Number(raw.replace(/[$,]/g, ''));
+      listing[column] = Number.isNaN(number) ? raw : number;
+    } else if (BOOLEAN_COLUMNS.includes(column)) {
+      listing[column] = BOOLEAN_VALUES[raw.toLowerCase()] ?? raw;
+    } else if (LIST_COLUMNS.includes(column)) {
+      listing[column] = raw.split(LIST_SEPARATOR).filter(Boolean);
+    } else if (column === 'id' && /^\d+$/.test(raw)) {
+      listing.id = Number(raw);
+    } else {
+      listing[column] = raw;
+    }
+  });
+
+  // Missing amenities means none, not a malformed row
+  if (header.includes('amenities') && listing.amenities === undefined) {
+    listing.amenities = [];
+  }
+
+  if (listing.lat !== undefined || listing.lng !== undefined) {
+    listing.coordinates = { lat: listing.lat, lng: listing.lng };
+    delete listing.lat;
+    delete listing.lng;
+  }
+
+  return listing;
+}
+
+/**
+ * Parse a CSV file's listings
+ * @param {string} text - CSV text with a header row
+ * @returns {Array<{row: number, listing: Object}>} Listings with the line number they start on
+ */
+export function parseCsvListings(text) {
+  const [headerRecord, ...records] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!headerRecord) return [];
+
+  const header = headerRecord.values.map(column => column.trim());
+  return records.map(({ line, values }) => ({ row: line, listing: csvRecordToListing(header, values) }));
+}
+
+/**
+ * Parse JSON Lines listings (or a JSON array)
+ * Lines that are not valid JSON become rows with a null listing so they are reported, not dropped
+ * @param {string} text - File contents
+ * @returns {Array<{row: number, listing: Object|null, parseError?: string}>} Listings with line numbers
+ */
+export function parseJsonListings(text) {
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith('[')) {
+    return JSON.parse(trimmed).map((listing, i) => ({ row: i + 1, listing }));
+  }
+
+  return text.split(/\r?\n/)
+    .map((content, i) => ({ row: i + 1, content: content.trim() }))
+    .filter(({ content }) => content !== '')
+    .map(({ row, content }) => {
+      try {
+        return { row, listing: JSON.parse(content) };
+      } catch (error) {
+        return { row, listing: null, parseError: `invalid JSON: ${error.message}` };
+      }
+    });
+}
+
+/**
+ * Parse listings by file extension (.csv, .jsonl / .ndjson, or .json)
+ * @param {string} fileName - Source file name
+ * @param {string} text - File contents
+ * @returns {Array<{row: number, listing: Object|null, parseError?: string}>} Parsed rows
+ */
+export function parseListings(fileName, text) {
+  const extension = fileName.toLowerCase().split('.').pop();
+
+  if (extension === 'csv') return parseCsvListings(text);
+  if (['jsonl', 'ndjson', 'json'].includes(extension)) return parseJsonListings(text);
+
+  throw new Error(`Unsupported listing file: ${fileName} (expected .csv, .jsonl or .json)`);
+}
+
+/**
+ * Merge imported listings into an existing catalogue
+ * Imported listings replace catalogue entries with the same id and new ones are appended; every
+ * other entry is kept. Embedding fields are dropped so the generator decides what to re-embed.
+ * @param {Array} catalogue - Current catalogue, e.g. data/properties-with-embeddings.json
+ * @param {Array} listings - Imported listings
+ * @returns {Array} Listings to embed, in catalogue order
+ */
+export function mergeListings(catalogue, listings) {
+  const imported = new Map(listings.map(listing => [listing.id, listing]));
+
+  const merged = catalogue.map(entry => {
+    const replacement = imported.get(entry.id);
+    if (replacement) {
+      imported.delete(entry.id);
+      return replacement;
+    }
+    return Object.fromEntries(Object.entries(entry).filter(([field]) => !EMBEDDING_FIELDS.includes(field)));
+  });
+
+  return [...merged, ...imported.values()];
+}
@@ -0,0 +1,175 @@
+import { normalizeAmenity } from './facets.js';
+import { isIsoDate } from './dates.js';
+
+/**
+ * Listing schema
+ *
+ * Every listing that reaches the embedding generator or the search engine has
+ * these fields. Search code relies on them (filters read `amenities`, `price`,
+ * `bedrooms`; geo filters read `coordinates`), so imports are checked here
+ * instead of failing mid-search.
+ *
+ * | Field            | Type                    | Rule                                      |
+ * | ---------------- | ----------------------- | ----------------------------------------- |
+ * | `id`             | integer or string       | required, unique                          |
+ * | `title`          | string                  | required, at most 200 characters          |
+ * | `address`        | string                  | required                                  |
+ * | `coordinates`    | `{ lat, lng }`          | optional; lat -90..90, lng -180..180      |
+ * | `price`          | number                  | required, monthly rent > 0                |
+ * | `bedrooms`       | integer                 | required, >= 0 (0 is a studio)            |
+ * | `bathrooms`      | number                  | required, >= 0 (halves allowed)           |
+ * | `landlordEmail`  | string                  | required, email address                   |
+ * | `description`    | string                  | required                                  |
+ * | `amenities`      | string[]                | required (may be empty); normalized       |
+ * | `images`         | string[]                | optional, http(s) URLs                    |
+ * | `availableFrom`  | string                  | optional, YYYY-MM-DD; missing = now       |
+ * | `minLeaseMonths` | integer                 | optional, >= 1                            |
+ * | `maxLeaseMonths` | integer                 | optional, >= minLeaseMonths               |
+ * | `furnished`      | boolean                 | optional; missing = unfurnished           |
+ *
+ * Other fields are kept as they are.
+ */
+
+const MAX_TITLE_LENGTH = 200;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_PATTERN = /^https?:\/\/\S+$/;
+
+/**
+ * Field rules: each returns an error message, or null when the value is valid
+ */
+const FIELD_RULES = {
+  id: value => (Number.isInteger(value) || (typeof value === 'string' && value.trim() !== ''))
+    ? null
+    : 'must be an integer or a non-empty string',
+  title: value => typeof value !== 'string' || value.trim() === ''
+    ? 'must be a non-empty string'
+    : value.length > MAX_TITLE_LENGTH ? `must be at most ${MAX_TITLE_LENGTH} characters` : null,
+  address: value => typeof value === 'string' && value.trim() !== '' ? null : 'must be a non-empty string',
+  price: value => Number.isFinite(value) && value > 0 ? null : 'must be a number greater than 0',
+  bedrooms: value => Number.isInteger(value) && value >= 0 ? null : 'must be a non-negative integer',
+  bathrooms: value => Number.isFinite(value) && value >= 0 ? null : 'must be a non-negative number',
+  landlordEmail: value => typeof value === 'string' && EMAIL_PATTERN.test(value.trim()) ? null : 'must be an email address',
+  description: value => typeof value === 'string' && value.trim() !== '' ? null : 'must be a non-empty string',
+  amenities: value => Array.isArray(value) && value.every(amenity => typeof amenity === 'string')
+    ? null
+    : 'must be an array of strings'
+};
+
+const OPTIONAL_RULES = {
+  coordinates: value => {
+    if (!value || typeof value !== 'object') return 'must be { lat, lng }';
+    if (!Number.isFinite(value.lat) || value.lat < -90 || value.lat > 90) return 'lat must be a number between -90 and 90';
+    if (!Number.isFinite(value.lng) || value.lng < -180 || value.lng > 180) return 'lng must be a number between -180 and 180';
+    return null;
+  },
+  images: value => Array.isArray(value) && value.every(url => typeof url === 'string' && URL_PATTERN.test(url))
+    ? null
+    : 'must be an array of http(s) URLs',
+  availableFrom: value => isIsoDate(value) ? null : 'must be a date written as YYYY-MM-DD',
+  minLeaseMonths: value => Number.isInteger(value) && value >= 1 ? null : 'must be a positive integer',
+  maxLeaseMonths: value => Number.isInteger(value) && value >= 1 ? null : 'must be a positive integer',
+  furnished: value => typeof value === 'boolean' ? null : 'must be true or false'
+};
+
+export const REQUIRED_LISTING_FIELDS = Object.keys(FIELD_RULES);
+
+/**
+ * Normalize amenities: canonical spelling (see normalizeAmenity), no blanks or duplicates
+ * @param {string[]} amenities - Amenities as written
+ * @returns {string[]} Normalized amenities in their original order
+ */
+export function normalizeAmenities(amenities) {
+  const normalized = amenities.map(normalizeAmenity).filter(Boolean);
+  return [...new Set(normalized)];
+}
+
+/**
+ * Validate a listing against the schema and normalize it
+ * @param {Object} listing - Raw listing (typed values; CSV rows are typed by listing-import.js)
+ * @returns {{valid: boolean, listing: Object|null, errors: Array<{field: string, message: string}>}}
+ *   The normalized listing when valid, otherwise every problem found
+ */
+export function validateListing(listing) {
+  if (!listing || typeof listing !== 'object' || Array.isArray(listing)) {
+    return { valid: false, listing: null, errors: [{ field: '(listing)', message: 'must be an object' }] };
+  }
+
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(FIELD_RULES)) {
+    if (listing[field] === undefined || listing[field] === null) {
+      errors.push({ field, message: 'is required' });
+      continue;
+    }
+    const message = rule(listing[field]);
+    if (message) errors.push({ field, message });
+  }
+
+  for (const [field, rule] of Object.entries(OPTIONAL_RULES)) {
+    if (listing[field] === undefined || listing[field] === null) continue;
+    const message = rule(listing[field]);
+    if (message) errors.push({ field, message });
+  }
+
+  if (listing.minLeaseMonths > listing.maxLeaseMonths) {
+    errors.push({ field: 'maxLeaseMonths', message: 'must not be less than minLeaseMonths' });
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, listing: null, errors };
+  }
+
+  return {
+    valid: true,
+    listing: {
+      ...listing,
+      id: typeof listing.id === 'string' ? listing.id.trim() : listing.id,
+      title: listing.title.trim(),
+      address: listing.address.trim(),
+      landlordEmail: listing.landlordEmail.trim().toLowerCase(),
+      description: listing.description.trim(),
+      amenities: normalizeAmenities(listing.amenities)
+    },
+    errors
+  };
+}
+
+/**
+ * Validate a batch of listings, also rejecting duplicate IDs
+ * @param {Array<{row: number, listing: Object, parseError?: string}>} rows - Listings with their
+ *   source row numbers (see listing-import.js); rows that failed to parse are rejected as they are
+ * @returns {{listings: Array, rejected: Array<{row: number, id: *, errors: Array}>}} Valid listings
+ *   and rejected rows with their errors
+ */
+export function validateListings(rows) {
+  const seenIds = new Map();
+  const listings = [];
+  const rejected = [];
+
+  for (const { row, listing, parseError } of rows) {
+    if (parseError) {
+      rejected.push({ row, id: null, errors: [{ field: '(row)', message: parseError }] });
+      continue;
+    }
+
+    const result = validateListing(listing);
+    const errors = [...result.errors];
+
+    if (result.valid) {
+      const key = String(result.listing.id);
+      if (seenIds.has(key)) {
+        errors.push({ field: 'id', message: `duplicates row ${seenIds.get(key)}` });
+      } else {
+        seenIds.set(key, row);
+      }
+    }
+
+    if (errors.length > 0) {
+      rejected.push({ row, id: listing?.id ?? null, errors });
+    } else {
+      listings.push(result.listing);
+    }
+  }
+
+  return { listings, rejected };
+}
@@ -0,0 +1,120 @@
+import { pipeline, env } from '@xenova/transformers';
+
+// Where vendored models live (npm run vendor-model), relative to the working directory or page
+export const DEFAULT_LOCAL_MODEL_PATH = './models/';
+
+const IS_NODE = typeof process !== 'undefined' && Boolean(process.versions?.node);
+
+/**
+ * Files a feature-extraction model needs, relative to its folder
+ * @param {Object} options - { quantized } (default: true, the variant Transformers.js loads by default)
+ * @returns {string[]} Relative file paths
+ */
+export function modelFiles(options = {}) {
+  const { quantized = true } = options;
+  return [
+    'config.json',
+    'tokenizer.json',
+    'tokenizer_config.json',
+    quantized ? 'onnx/model_quantized.onnx' : 'onnx/model.onnx'
+  ];
+}
+
+/**
+ * Joins a model folder and file, keeping exactly one slash between them
+ */
+function joinLocation(base, ...parts) {
+  return [base.replace(/\/+$/, ''), ...parts].join('/');
+}
+
+/**
+ * Checks whether a local file or URL exists
+ */
+async function locationExists(location) {
+  if (IS_NODE) {
+    const { access } = await import('fs/promises');
+    try {
+      await access(location);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  try {
+    const response = await fetch(location, { method: 'HEAD' });
+    return response.ok;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * List the model files missing from a local model folder
+ * @param {Object} model - Model configuration from models.js
+ * @param {Object} options - { localModelPath, quantized }
+ * @returns {Promise<string[]>} Locations of missing files (empty when the model is complete)
+ */
+export async function findMissingModelFiles(model, options = {}) {
+  const { localModelPath = DEFAULT_LOCAL_MODEL_PATH, quantized = true } = options;
+  const locations = modelFiles({ quantized }).map(file => joinLocation(localModelPath, model.name, file));
+
+  const exists = await Promise.all(locations.map(locationExists));
+  return locations.filter((location, i) => !exists[i]);
+}
+
+/**
+ * Load a Transformers.js pipeline, locally first and from the Hugging Face Hub otherwise
+ * @param {string} task - Pipeline task, e.g. 'feature-extraction' or 'text-classification'
+ * @param {Object} model - Model configuration from models.js (only `name` is needed)
+ * @param {Object} options - Loading options
+ * @param {boolean} options.offline - Never download; fail if the model is not vendored (default: false)
+ * @param {string} options.localModelPath - Folder with vendored models (default: './models/')
+ * @param {boolean} options.quantized - Load the quantized ONNX weights (default: true)
+ * @param {Object} options.pipelineOptions - Extra options passed to pipeline()
+ * @returns {Promise<{pipe: Function, source: {type: string, location: string}}>} Pipeline and
+ *   where it was loaded from ('local' folder or 'remote' hub)
+ */
+export async function loadModelPipeline(task, model, options = {}) {
+  const {
+    offline = false,
+    localModelPath = DEFAULT_LOCAL_MODEL_PATH,
+    quantized = true,
+    pipelineOptions = {}
+  } = options;
+
+  const missing = await findMissingModelFiles(model, { localModelPath, quantized });
+  const isLocal = missing.length === 0;
+
+  if (offline && !isLocal) {
+    throw new Error(
+      `Offline mode: ${model.name} is not available locally. Missing files:\n` +
+      missing.map(location => `  - ${location}`).join('\n') +
+      `\nRun "npm run vendor-model -- --model ${model.name}" on a machine with network access and copy ${localModelPath} over.`
+    );
+  }
+
+  env.localModelPath = localModelPath;
+  env.allowLocalModels = true;
+  env.allowRemoteModels = !offline;
+
+  const pipe = await pipeline(task, model.name, { quantized, ...pipelineOptions });
+
+  return {
+    pipe,
+    source: isLocal
+      ? { type: 'local', location: joinLocation(localModelPath, model.name) }
+      : { type: 'remote', location: joinLocation(env.remoteHost, model.name) }
+  };
+}
+
+/**
+ * Load a feature-extraction pipeline for embeddings (see loadModelPipeline)
+ * @param {Object} model - Model configuration from models.js
+ * @param {Object} options - Loading options (offline, localModelPath, quantized, pipelineOptions)
+ * @returns {Promise<{extractor: Function, source: {type: string, location: string}}>} Pipeline and its source
+ */
+export async function loadEmbeddingPipeline(model, options = {}) {
+  const { pipe, source } = await loadModelPipeline('feature-extraction', model, options);
+  return { extractor: pipe, source };
+}
@@ -0,0 +1,99 @@
+/**
+ * Embedding models the generator and the search engine know how to use
+ *
+ * Vectors from different models live in different spaces, so the model that
+ * embedded the catalogue must also embed the queries. Each entry records what
+ * is needed to do that consistently:
+ *   dimensions      length of the vectors the model produces
+ *   pooling         'mean' or 'cls' token pooling
+ *   queryPrefix     prepended to search queries (e.g. e5's "query: ")
+ *   documentPrefix  prepended to listing text (e.g. e5's "passage: ")
+ */
+const MODEL_REGISTRY = new Map();
+
+export const DEFAULT_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+/**
+ * Add a model to the registry (or replace an existing entry)
+ * @param {Object} config - Model configuration
+ * @param {string} config.name - Transformers.js model ID
+ * @param {number} config.dimensions - Embedding length
+ * @param {string} config.pooling - 'mean' (default) or 'cls'
+ * @param {string} config.queryPrefix - Text prepended to queries (default: '')
+ * @param {string} config.documentPrefix - Text prepended to listings (default: '')
+ * @returns {Object} The registered configuration
+ */
+export function registerModel(config) {
+  const { name, dimensions, pooling = 'mean', queryPrefix = '', documentPrefix = '' } = config;
+
+  if (!name || typeof name !== 'string') {
+    throw new Error('Model name must be a non-empty string');
+  }
+  if (!Number.isInteger(dimensions) || dimensions < 1) {
+    throw new Error(`Model ${name} must declare a positive integer dimensions`);
+  }
+  if (pooling !== 'mean' && pooling !== 'cls') {
+    throw new Error(`Model ${name} has unknown pooling: ${pooling}`);
+  }
+
+  const model = Object.freeze({ name, dimensions, pooling, queryPrefix, documentPrefix });
+  MODEL_REGISTRY.set(name, model);
+  return model;
+}
+
+registerModel({ name: 'Xenova/all-MiniLM-L6-v2', dimensions: 384 });
+registerModel({ name: 'Xenova/all-MiniLM-L12-v2', dimensions: 384 });
+registerModel({ name: 'Xenova/all-mpnet-base-v2', dimensions: 768 });
+registerModel({ name: 'Xenova/e5-small-v2', dimensions: 384, queryPrefix: 'query: ', documentPrefix: 'passage: ' });
+registerModel({
+  name: 'Xenova/bge-small-en-v1.5',
+  dimensions: 384,
+  pooling: 'cls',
+  queryPrefix: 'Represent this sentence for searching relevant passages: '
+});
+
+/**
+ * Look up a registered model
+ * @param {string} name - Model ID
+ * @returns {Object} Model configuration
+ */
+export function getModelConfig(name) {
+  const model = MODEL_REGISTRY.get(name);
+  if (!model) {
+    throw new Error(`Unknown embedding model: ${name} (registered: ${[...MODEL_REGISTRY.keys()].join(', ')})`);
+  }
+  return model;
+}
+
+/**
+ * Prepare text for a model, adding its query or document prefix
+ * @param {Object} model - Model configuration
+ * @param {string} text - Query or listing text
+ * @param {string} role - 'query' or 'document'
+ * @returns {string} Text to embed
+ */
+export function embeddingInput(model, text, role) {
+  return (role === 'document' ? model.documentPrefix : model.queryPrefix) + text;
+}
+
+/**
+ * Check that stored vectors can be compared with a model's query vectors
+ * @param {Object} model - Model that embeds the queries
+ * @param {Object} stored - What the stored vectors record ({ model, dimensions, source })
+ *   where `source` names them in errors, e.g. 'The vector store' or 'Property 12'
+ * @throws {Error} If the dimensions differ, or the vectors were made by another model
+ */
+export function assertCompatibleEmbeddings(model, { model: storedModel, dimensions, source = 'The catalogue' }) {
+  if (dimensions !== model.dimensions) {
+    throw new Error(
+      `${source} has ${dimensions}-dimensional vectors but ${model.name} produces ${model.dimensions}; ` +
+      're-generate the embeddings with this model'
+    );
+  }
+  if (storedModel && storedModel !== model.name) {
+    throw new Error(
+      `${source} was embedded with ${storedModel} but queries use ${model.name}; ` +
+      `search with new PropertySearchEngine({ model: '${storedModel}' }) or re-generate the embeddings`
+    );
+  }
+}
@@ -0,0 +1,82 @@
+import { hashText } from './property-text.js';
+import { InvalidSearchError } from './errors.js';
+
+/**
+ * Serializes a value with object keys sorted, so equal options hash the same
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Fingerprints everything that decides a search's ranking
+ * A cursor is only valid for the search that produced it
+ * @param {string} query - Search query text
+ * @param {Object} options - Ranking options ({ filters, mode, fusion, alpha, sortBy, parseQuery, scoring, temperature, rerank, commute })
+ * @returns {string} Hex digest
+ */
+export function searchFingerprint(query, options = {}) {
+  const {
+    filters = {}, mode = 'semantic', fusion = 'rrf', alpha = 0.5, sortBy = 'similarity', parseQuery = true,
+    scoring = 'single', temperature = 0.1, rerank = false, commute = null
+  } = options;
+  return hashText(stableStringify({ query, filters, mode, fusion, alpha, sortBy, parseQuery, scoring, temperature, rerank, commute }));
+}
+
+/**
+ * Orders property IDs so tied scores always page the same way
+ * @param {number|string} a - Property ID
+ * @param {number|string} b - Property ID
+ * @returns {number} Negative, zero or positive, like a sort comparator
+ */
+export function compareIds(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Encodes the position after the last result of a page as an opaque string
+ * @param {Object} position - { queryHash, score, id, offset }
+ * @returns {string} URL-safe cursor
+ */
+export function encodeCursor({ queryHash, score, id, offset }) {
+  const json = JSON.stringify({ q: queryHash, s: score, i: id, o: offset });
+  const bytes = new TextEncoder().encode(json);
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Decodes a cursor produced by encodeCursor()
+ * @param {string} cursor - Opaque cursor
+ * @returns {{queryHash: string, score: number, id: number|string, offset: number}} Position
+ */
+export function decodeCursor(cursor) {
+  let position;
+  try {
+    const base64 = String(cursor).replace(/-/g, '+').replace(/_/g, '/');
+    const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    position = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    throw new InvalidSearchError('Invalid cursor');
+  }
+
+  const { q, s, i, o } = position || {};
+  if (typeof q !== 'string' || typeof s !== 'number' || (typeof i !== 'number' && typeof i !== 'string') ||
+      !Number.isInteger(o) || o < 0) {
+    throw new InvalidSearchError('Invalid cursor');
+  }
+  return { queryHash: q, score: s, id: i, offset: o };
+}
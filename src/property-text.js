@@ -0,0 +1,81 @@
+/**
+ * Creates a comprehensive text representation of a property for embedding
+ * @param {Object} property - Property listing
+ * @returns {string} Text fed to the embedding model
+ */
+export function createPropertyText(property) {
+  const parts = [
+    property.title,
+    property.description,
+    `${property.bedrooms} bedroom${property.bedrooms !== 1 ? 's' : ''}`,
+    `${property.bathrooms} bathroom${property.bathrooms !== 1 ? 's' : ''}`,
+    `$${property.price} per month`,
+    `Located at ${property.address}`,
+    (property.amenities || []).join(', ')
+  ];
+
+  return parts.join('. ');
+}
+
+/**
+ * Split a listing into chunks for multi-vector embeddings and explanations
+ * @param {Object} property - Property listing
+ * @returns {Array<{field: string, text: string}>} Title, description sentences and amenities
+ */
+export function splitPropertyText(property) {
+  const chunks = [];
+
+  if (property.title) {
+    chunks.push({ field: 'title', text: property.title.trim() });
+  }
+
+  const sentences = (property.description || '')
+    .split(/(?<=[.!?])\s+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+  for (const sentence of sentences) {
+    chunks.push({ field: 'description', text: sentence });
+  }
+
+  for (const amenity of property.amenities || []) {
+    if (amenity.trim()) chunks.push({ field: 'amenities', text: amenity.trim() });
+  }
+
+  return chunks;
+}
+
+/**
+ * Hashes text into a short, stable hex digest (cyrb53)
+ * Works the same in Node.js and the browser, which is all change detection needs
+ * @param {string} text - Text to hash
+ * @returns {string} 14-character hex digest
+ */
+export function hashText(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
+
+/**
+ * Decides whether a property needs a fresh embedding
+ * @param {Object|undefined} existing - Previously embedded version of the property
+ * @param {string} textHash - hashText() of the property's current text
+ * @param {string} modelName - Model that would produce the new embedding
+ * @returns {boolean} True if the property is new, changed, or embedded by another model
+ */
+export function needsEmbedding(existing, textHash, modelName) {
+  if (!existing || !Array.isArray(existing.embedding)) return true;
+  if (existing.embeddingModel !== modelName) return true;
+
+  // Files written before hashes were recorded still carry the embedded text
+  const existingHash = existing.embeddingHash ?? hashText(existing.embeddingText ?? '');
+  return existingHash !== textHash;
+}
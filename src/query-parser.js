@@ -0,0 +1,372 @@
+import { toIsoDate, endOfMonth } from './dates.js';
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+
+// Never starts inside a number or word, so "1.5 baths" can't be read as "5 baths"
+const COUNT = `(?<![\\w.])(\\d+(?:\\.\\d+)?|${Object.keys(NUMBER_WORDS).join('|')})`;
+const AMOUNT = '\\$?\\s?(\\d+(?:,\\d{3})*(?:\\.\\d+)?)\\s?(k)?';
+const CURRENCY = '(?:\\s?(?:dollars?|bucks|usd))?';
+const PER_MONTH = '(?:\\s?(?:\\/\\s?mo(?:nth)?|per month|a month|\\/mo))?';
+const AVAILABLE = '(?:available|move[- ]in|moving in|starting)';
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const PRICE_WORDS = /\b(?:rent|price[ds]?|budget|costs?|pay(?:ing)?|dollars?|bucks|usd|monthly|month|mo)\b/i;
+const YEAR_WORDS = /\b(?:built|since|renovated|remodell?ed|constructed|updated|year)\s*(?:from\s*)?$/i;
+const NON_PRICE_UNIT = /^\s?(?:sq\.?\s?f(?:ee)?t|sqft|sf|square|ft|feet|m2|minutes?|mins?|hours?|miles?|mi|km|blocks?|years?|yrs?|%|floors?|stories|units?|people)\b/i;
+const RANGE_END = /^\s?(?:-|to)\s?\$?\d[\d,.]*\s?k?/i;
+// Smaller bare numbers are counts ("at least 2 bedrooms"), not rents
+const MIN_BARE_PRICE = 300;
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+
+/**
+ * Amenity phrases renters type, mapped to the amenity text used in listings
+ * (requiredAmenities matches by substring, so 'parking' also covers 'parking available')
+ */
+const AMENITY_PATTERNS = [
+  { pattern: /\bpet[- ]?friendly\b|\bpets? (?:allowed|ok|welcome)\b|\bdog[- ]friendly\b/i, amenity: 'pet friendly' },
+  { pattern: /\bparking\b/i, amenity: 'parking' },
+  { pattern: /\bgarage\b/i, amenity: 'garage' },
+  { pattern: /\bwasher\s?(?:\/|and|&)\s?dryer\b/i, amenity: 'washer/dryer' },
+  { pattern: /\b(?:in[- ]unit )?laundry\b/i, amenity: 'laundry' },
+  { pattern: /\bgym\b|\bfitness (?:center|room)\b/i, amenity: 'gym' },
+  { pattern: /\b(?:swimming )?pool\b/i, amenity: 'pool' },
+  { pattern: /\bbalcony\b/i, amenity: 'balcony' },
+  { pattern: /\bconcierge\b|\bdoorman\b/i, amenity: 'concierge' },
+  { pattern: /\bdishwasher\b/i, amenity: 'dishwasher' },
+  { pattern: /\belevator\b/i, amenity: 'elevator' },
+  { pattern: /\butilities included\b/i, amenity: 'utilities included' }
+];
+
+/**
+ * A negation just before a phrase ("no parking", "without a pool", "don't need a gym")
+ * or just after it ("parking not needed")
+ */
+const NEGATED_BEFORE = /\b(?:no|not|non|without|don'?t (?:need|want)|doesn'?t (?:need|have to have))[- ]\s*(?:(?:a|an|any)\s+)?$/i;
+const NEGATED_AFTER = /^\s*(?:is\s+)?(?:not (?:needed|required|necessary|important)|unnecessary|optional)\b/i;
+
+/**
+ * Words left dangling once a phrase has been cut out of the query
+ */
+const DANGLING_WORDS = /^(?:and|with|for|or|on|to|of|by)\b\s*|\s*\b(?:and|with|for|in|at|on|to|of|by|from|or|a|an|the|under|below)$/i;
+
+/**
+ * Whether a matched phrase is negated, so it must not become a filter
+ * @param {RegExpMatchArray} match - Match against the remaining query text
+ * @returns {boolean} True for "no parking", "not a studio", "pool optional" and the like
+ */
+function isNegated(match) {
+  const before = match.input.slice(0, match.index);
+  const after = match.input.slice(match.index + match[0].length);
+  return NEGATED_BEFORE.test(before) || NEGATED_AFTER.test(after);
+}
+
+/**
+ * Parses a numeric count written as digits or a word ("2", "1.5", "two")
+ * @param {string} value - Matched count
+ * @returns {number} Parsed count
+ */
+function parseCount(value) {
+  return NUMBER_WORDS[value.toLowerCase()] ?? parseFloat(value);
+}
+
+/**
+ * Parses a price amount such as "2,500", "$3k" or "2.5k"
+ * @param {string} digits - Matched digits
+ * @param {string} [thousands] - "k" suffix if present
+ * @returns {number} Price in dollars
+ */
+function parseAmount(digits, thousands) {
+  const value = parseFloat(digits.replace(/,/g, ''));
+  return Math.round(thousands ? value * 1000 : value);
+}
+
+/**
+ * Distinguishes "under $2500" or "under 4000" from "over 2000 sqft", "at least 2 bedrooms"
+ * or "built from 2020". A unit after the number never makes it a price; otherwise a bare
+ * number is a price next to a rent word, or when it is a plausible rent and not a year.
+ * @param {RegExpMatchArray} match - Match against the remaining query text
+ * @param {string} [thousands] - "k" suffix if present
+ * @param {number} amount - Largest amount in the match, in dollars
+ * @returns {boolean} True if the amount reads as a monthly rent
+ */
+function looksLikePrice(match, thousands, amount) {
+  const end = match.index + match[0].length;
+  // Look past the upper end of a range the match stopped short of ("from 2000 to 3000 sqft")
+  const after = match.input.slice(end).replace(RANGE_END, '');
+  if (NON_PRICE_UNIT.test(after)) return false;
+  if (match[0].includes('$') || thousands) return true;
+
+  const nearby = match.input.slice(Math.max(0, match.index - 20), end + 20);
+  if (PRICE_WORDS.test(nearby)) return true;
+  return amount >= MIN_BARE_PRICE && !YEAR_WORDS.test(match.input.slice(0, match.index));
+}
+
+/**
+ * Builds a min/max price filter from a range such as "3k to 4k" or "between 3 and 4k"
+ * A bare small lower bound borrows the upper bound's "k" ("between 3 and 4k" means 3k-4k)
+ * @returns {{filters: Object, label: string}|null} Range filters, or null for non-price ranges
+ */
+function priceRange(minDigits, minK, maxDigits, maxK) {
+  const minSuffix = minK || (maxK && parseFloat(minDigits) < 100 ? 'k' : undefined);
+  const minPrice = parseAmount(minDigits, minSuffix);
+  const maxPrice = parseAmount(maxDigits, maxK);
+
+  if (maxPrice < 100 || minPrice > maxPrice) return null;
+
+  return {
+    filters: { minPrice, maxPrice },
+    label: `$${minPrice.toLocaleString()}-$${maxPrice.toLocaleString()}`
+  };
+}
+
+/**
+ * Formats an ISO date for a chip label ("Nov 30")
+ */
+function formatDay(isoDate) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Builds a moveInBy filter
+ */
+function moveInBy(isoDate) {
+  return { filters: { moveInBy: isoDate }, label: `Move in by ${formatDay(isoDate)}` };
+}
+
+/**
+ * Resolves "available in March" / "available by March 15" to the next such date
+ * A month without a day means any time that month, so it resolves to the month's last day
+ * @param {string} monthName - Matched month name
+ * @param {string} [day] - Matched day of the month
+ * @param {Date} now - Today
+ * @returns {string|null} ISO date, or null for an impossible day
+ */
+function upcomingDate(monthName, day, now) {
+  const month = MONTHS.indexOf(monthName.slice(0, 3).toLowerCase());
+  const today = toIsoDate(now);
+
+  for (const year of [now.getFullYear(), now.getFullYear() + 1]) {
+    const date = day
+      ? new Date(year, month, Number(day))
+      : new Date(year, month + 1, 0);
+    if (date.getMonth() !== month) return null;
+
+    const isoDate = toIsoDate(date);
+    if (isoDate >= today) return isoDate;
+  }
+  return null;
+}
+
+/**
+ * Rules that turn phrases into filters; each handler returns the filters and a chip label,
+ * or null when the phrase turns out not to be a constraint. Handlers receive the match
+ * and { now } for relative dates. Negated phrases ("not a studio") are skipped and stay
+ * in the semantic text.
+ */
+const RULES = [
+  {
+    type: 'price',
+    pattern: new RegExp(`\\bbetween ${AMOUNT} and ${AMOUNT}${CURRENCY}${PER_MONTH}`, 'i'),
+    handle: (match) => {
+      const [, minDigits, minK, maxDigits, maxK] = match;
+      return looksLikePrice(match, minK || maxK, parseAmount(maxDigits, maxK)) ? priceRange(minDigits, minK, maxDigits, maxK) : null;
+    }
+  },
+  {
+    type: 'price',
+    // "$2000-2500", "2000 to 2500 dollars", "from 3k to 4k"
+    pattern: new RegExp(`(?<![\\w.$])(?:from\\s)?${AMOUNT}\\s?(?:-|to)\\s?${AMOUNT}${CURRENCY}${PER_MONTH}`, 'i'),
+    handle: (match) => {
+      const [, minDigits, minK, maxDigits, maxK] = match;
+      return looksLikePrice(match, minK || maxK, parseAmount(maxDigits, maxK)) ? priceRange(minDigits, minK, maxDigits, maxK) : null;
+    }
+  },
+  {
+    type: 'price',
+    pattern: new RegExp(`\\b(?:for )?(?:under|below|less than|max(?:imum)?|up to|no more than|at most|<)\\s?${AMOUNT}${CURRENCY}${PER_MONTH}`, 'i'),
+    handle: (match) => {
+      const [, digits, thousands] = match;
+      const maxPrice = parseAmount(digits, thousands);
+      if (!looksLikePrice(match, thousands, maxPrice)) return null;
+      return { filters: { maxPrice }, label: `Under $${maxPrice.toLocaleString()}` };
+    }
+  },
+  {
+    type: 'price',
+    pattern: new RegExp(`\\b(?:over|above|more than|min(?:imum)?|at least|from|>)\\s?${AMOUNT}${CURRENCY}${PER_MONTH}`, 'i'),
+    handle: (match) => {
+      const [, digits, thousands] = match;
+      const minPrice = parseAmount(digits, thousands);
+      if (!looksLikePrice(match, thousands, minPrice)) return null;
+      return { filters: { minPrice }, label: `Over $${minPrice.toLocaleString()}` };
+    }
+  },
+  {
+    type: 'bedrooms',
+    pattern: /\bstudios?\b/i,
+    handle: () => ({ filters: { maxBedrooms: 0 }, label: 'Studio' })
+  },
+  {
+    type: 'bedrooms',
+    pattern: new RegExp(`\\b(?:at least )?${COUNT}(\\+|\\s?or more)?[- ]?(?:br|bd|beds?|bedrooms?)\\b`, 'i'),
+    handle: ([match, count, orMore]) => {
+      const bedrooms = parseCount(count);
+      if (!Number.isInteger(bedrooms)) return null;
+      if (orMore || /^at least/i.test(match)) {
+        return { filters: { minBedrooms: bedrooms }, label: `${bedrooms}+ BR` };
+      }
+      return { filters: { minBedrooms: bedrooms, maxBedrooms: bedrooms }, label: `${bedrooms} BR` };
+    }
+  },
+  {
+    type: 'bathrooms',
+    pattern: new RegExp(`\\b(?:at least )?${COUNT}(?:\\+|\\s?or more)?[- ]?(?:ba|baths?|bathrooms?)\\b`, 'i'),
+    handle: ([, count]) => {
+      const bathrooms = parseCount(count);
+      return { filters: { minBathrooms: bathrooms }, label: `${bathrooms}+ BA` };
+    }
+  },
+  {
+    type: 'availability',
+    pattern: new RegExp(`\\b${AVAILABLE}\\s(?:ready\\s)?(?:now|immediately|today|asap)\\b|\\bimmediately available\\b`, 'i'),
+    handle: (match, { now }) => ({ ...moveInBy(toIsoDate(now)), label: 'Available now' })
+  },
+  {
+    type: 'availability',
+    pattern: new RegExp(`\\b${AVAILABLE}\\s(?:(?:by|from|in)\\s)?(this|next) month\\b`, 'i'),
+    handle: ([, which], { now }) => moveInBy(endOfMonth(now, which.toLowerCase() === 'next' ? 1 : 0))
+  },
+  {
+    type: 'availability',
+    pattern: new RegExp(`\\b${AVAILABLE}\\s(?:(?:by|from|in|on|starting)\\s)?${MONTH_NAME}(?:\\s(\\d{1,2})(?:st|nd|rd|th)?)?\\b`, 'i'),
+    handle: ([, monthName, day], { now }) => {
+      const date = upcomingDate(monthName, day, now);
+      return date ? moveInBy(date) : null;
+    }
+  },
+  {
+    type: 'lease',
+    pattern: new RegExp(`\\b${COUNT}[- ]?(?:months?|mo)[- ](?:lease|term|rental|stay|sublet)\\b|\\blease (?:of|for) ${COUNT} months?\\b`, 'i'),
+    handle: ([, count, countAfterLease]) => {
+      const leaseMonths = parseCount(count ?? countAfterLease);
+      return Number.isInteger(leaseMonths) && leaseMonths > 0 ? { filters: { leaseMonths }, label: `${leaseMonths}-month lease` } : null;
+    }
+  },
+  {
+    type: 'lease',
+    pattern: new RegExp(`\\b(?:(a|${COUNT})[- ])?years?(?:[- ]long)? (?:lease|term|rental)\\b`, 'i'),
+    handle: ([, a, count]) => {
+      const years = count ? parseCount(count) : 1;
+      const leaseMonths = years * 12;
+      return Number.isInteger(leaseMonths) && leaseMonths > 0 ? { filters: { leaseMonths }, label: `${leaseMonths}-month lease` } : null;
+    }
+  },
+  {
+    type: 'furnished',
+    // Handles its own negation: "not furnished" and "unfurnished" both mean furnished: false
+    pattern: /\b(?:(not|non|without)[- ]?)?(un)?furnished\b/i,
+    handle: ([, not, un]) => Boolean(not) !== Boolean(un)
+      ? { filters: { furnished: false }, label: 'Unfurnished' }
+      : { filters: { furnished: true }, label: 'Furnished' }
+  }
+];
+
+/**
+ * Extracts structured filters from a free-text query
+ *
+ * "quiet studio near a park for under $2500" becomes
+ * { text: 'quiet near a park', filters: { maxBedrooms: 0, maxPrice: 2500 }, extracted: [...] }
+ *
+ * "furnished 2BR available next month on a 6-month lease" becomes
+ * { furnished: true, minBedrooms: 2, maxBedrooms: 2, moveInBy: '<end of next month>', leaseMonths: 6 }
+ *
+ * @param {string} text - Natural language query
+ * @param {Object} options - Parsing options
+ * @param {Date} options.now - Today, for relative dates such as "next month" (default: new Date())
+ * @returns {{text: string, filters: Object, extracted: Array<{type: string, label: string, phrase: string, filters: Object}>}}
+ *   Remaining semantic text (empty when the query was nothing but filters), merged filters,
+ *   and one entry per recognised phrase (for UI chips)
+ */
+export function parseQuery(text, options = {}) {
+  const { now = new Date() } = options;
+  let remaining = String(text || '');
+  const filters = {};
+  const extracted = [];
+
+  const cut = (match) => {
+    remaining = remaining.slice(0, match.index) + ' ' + remaining.slice(match.index + match[0].length);
+  };
+
+  for (const rule of RULES) {
+    const pattern = new RegExp(rule.pattern.source, 'gi');
+    let match;
+    let parsed = null;
+    for (match of remaining.matchAll(pattern)) {
+      if (isNegated(match)) continue;
+      parsed = rule.handle(match, { now });
+      if (parsed) break;
+    }
+    if (!parsed) continue;
+
+    const { filters: ruleFilters, label } = parsed;
+    // The first (most specific) rule wins for each filter key
+    const fresh = Object.fromEntries(
+      Object.entries(ruleFilters).filter(([key]) => filters[key] === undefined)
+    );
+    if (Object.keys(fresh).length === 0) continue;
+
+    Object.assign(filters, fresh);
+    extracted.push({ type: rule.type, label, phrase: match[0].trim(), filters: fresh });
+    cut(match);
+  }
+
+  for (const { pattern, amenity } of AMENITY_PATTERNS) {
+    const match = [...remaining.matchAll(new RegExp(pattern.source, 'gi'))].find(found => !isNegated(found));
+    if (!match) continue;
+
+    filters.requiredAmenities = [...(filters.requiredAmenities || []), amenity];
+    extracted.push({ type: 'amenity', label: amenity, phrase: match[0].trim(), filters: { requiredAmenities: [amenity] } });
+    cut(match);
+  }
+
+  let cleaned = remaining
+    .replace(/(^|\s)[\/,;&+-](?=\s|$)/g, '$1') // separators orphaned by a cut ("2BR / 2BA")
+    .replace(/\s+([,.!?])/g, '$1')
+    .replace(/([,.!?])(?:\s*[,.!?])+/g, '$1')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+  let previous;
+  do {
+    previous = cleaned;
+    cleaned = cleaned.replace(/^[,.\s]+|[,.\s]+$/g, '').replace(DANGLING_WORDS, '').trim();
+  } while (cleaned !== previous);
+
+  return {
+    text: cleaned,
+    filters,
+    extracted
+  };
+}
+
+/**
+ * Merges parsed filters with explicitly supplied ones
+ * Explicit values win; required amenities are combined
+ * @param {Object} parsedFilters - Filters extracted by parseQuery
+ * @param {Object} explicitFilters - Filters supplied by the caller
+ * @returns {Object} Merged filters
+ */
+export function mergeFilters(parsedFilters, explicitFilters = {}) {
+  const merged = { ...parsedFilters, ...explicitFilters };
+
+  if (parsedFilters.requiredAmenities || explicitFilters.requiredAmenities) {
+    merged.requiredAmenities = [...new Set([
+      ...(parsedFilters.requiredAmenities || []),
+      ...(explicitFilters.requiredAmenities || [])
+    ])];
+  }
+
+  return merged;
+}
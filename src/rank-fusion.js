@@ -0,0 +1,62 @@
+/**
+ * Converts a list of scored items into 1-based ranks (highest score first)
+ * Tied scores share the best rank ("1, 2, 2, 4"), so input order never decides a fused score
+ * @param {Array} items - Items to rank
+ * @param {Function} getScore - Returns the score for an item
+ * @param {Function} getId - Returns the unique ID for an item
+ * @returns {Map<*, number>} Item ID -> rank
+ */
+export function rankByScore(items, getScore, getId = item => item.id) {
+  const ranks = new Map();
+  let previous;
+  let rank = 0;
+  [...items]
+    .map(item => ({ id: getId(item), score: getScore(item) }))
+    .sort((a, b) => b.score - a.score)
+    .forEach(({ id, score }, index) => {
+      if (index === 0 || score !== previous) rank = index + 1;
+      previous = score;
+      ranks.set(id, rank);
+    });
+  return ranks;
+}
+
+/**
+ * Reciprocal rank fusion: sum of 1 / (k + rank) over every ranking an item appears in
+ * Scale-free, so it works for scores that live on different ranges (cosine vs BM25)
+ * @param {Array<Map<*, number>>} rankings - Item ID -> rank maps
+ * @param {number} k - Damping constant (default: 60)
+ * @param {number[]} [weights] - Weight per ranking (default: all 1)
+ * @returns {Map<*, number>} Item ID -> fused score
+ */
+export function reciprocalRankFusion(rankings, k = 60, weights = null) {
+  const fused = new Map();
+  rankings.forEach((ranking, j) => {
+    const weight = weights ? weights[j] : 1;
+    for (const [id, rank] of ranking) {
+      fused.set(id, (fused.get(id) || 0) + weight / (k + rank));
+    }
+  });
+  return fused;
+}
+
+/**
+ * Min-max normalizes scores into [0, 1]
+ * @param {Map<*, number>} scores - Item ID -> raw score
+ * @returns {Map<*, number>} Item ID -> normalized score
+ */
+export function normalizeScores(scores) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const score of scores.values()) {
+    if (score < min) min = score;
+    if (score > max) max = score;
+  }
+  const range = max - min;
+
+  const normalized = new Map();
+  for (const [id, score] of scores) {
+    normalized.set(id, range > 0 ? (score - min) / range : 0);
+  }
+  return normalized;
+}
@@ -0,0 +1,99 @@
+import { loadModelPipeline, DEFAULT_LOCAL_MODEL_PATH } from './model-loader.js';
+
+/**
+ * Cross-encoder re-ranking
+ *
+ * The bi-encoder embeds queries and listings separately, which is fast enough to
+ * score a whole catalogue but blurs fine distinctions. A cross-encoder reads the
+ * query and one listing together and scores their relevance directly: too slow
+ * for every listing, accurate enough to reorder the top few candidates.
+ */
+
+export const DEFAULT_RERANK_MODEL = 'Xenova/ms-marco-MiniLM-L-6-v2';
+
+/**
+ * Turn one row of classifier logits into a 0-1 relevance score
+ * Single-logit models (MS MARCO) use a sigmoid; multi-label models use the
+ * softmax probability of the last ("relevant") label
+ */
+function relevance(logits) {
+  if (logits.length === 1) {
+    return 1 / (1 + Math.exp(-logits[0]));
+  }
+  const max = Math.max(...logits);
+  const exps = logits.map(logit => Math.exp(logit - max));
+  return exps[exps.length - 1] / exps.reduce((sum, value) => sum + value, 0);
+}
+
+/**
+ * CrossEncoderReranker - Scores (query, listing text) pairs with a local cross-encoder
+ */
+export class CrossEncoderReranker {
+  /**
+   * @param {Object} options - Reranker options
+   * @param {string} options.model - Hugging Face cross-encoder (default: Xenova/ms-marco-MiniLM-L-6-v2)
+   * @param {boolean} options.offline - Only load vendored model files (default: false)
+   * @param {string} options.localModelPath - Folder with vendored models (default: './models/')
+   */
+  constructor(options = {}) {
+    const {
+      model = DEFAULT_RERANK_MODEL,
+      offline = false,
+      localModelPath = DEFAULT_LOCAL_MODEL_PATH
+    } = options;
+
+    this.modelName = model;
+    this.offline = offline;
+    this.localModelPath = localModelPath;
+    this.classifier = null;
+    this.source = null;
+    this.loading = null;
+  }
+
+  /**
+   * Load the cross-encoder once; concurrent callers share the same load, and a failed
+   * load is attempted again by the next call
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = loadModelPipeline('text-classification', { name: this.modelName }, {
+        offline: this.offline,
+        localModelPath: this.localModelPath
+      }).then(({ pipe, source }) => {
+        this.classifier = pipe;
+        this.source = source;
+        console.log(`📦 Re-ranker loaded from ${source.type === 'local' ? 'local files' : 'the Hugging Face Hub'}: ${source.location}`);
+      }).catch(error => {
+        // Let a failed load be retried on the next call
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Score how relevant each text is to the query
+   * The text-classification pipeline only classifies single texts, so pairs are
+   * tokenized and run through its model directly
+   * @param {string} query - Search query text
+   * @param {string[]} texts - Candidate texts
+   * @returns {Promise<number[]>} Relevance scores between 0 and 1, in input order
+   */
+  async score(query, texts) {
+    if (texts.length === 0) return [];
+    await this.load();
+
+    const { tokenizer, model } = this.classifier;
+    const inputs = tokenizer(texts.map(() => query), {
+      text_pair: texts,
+      padding: true,
+      truncation: true
+    });
+    const { logits } = await model(inputs);
+
+    const labels = logits.dims[1];
+    return texts.map((_, i) => relevance(Array.from(logits.data.slice(i * labels, (i + 1) * labels))));
+  }
+}
@@ -0,0 +1,77 @@
+import { PropertySearchEngine } from './vectorSearch.js';
+import { SavedSearchStore, FileSavedSearchStorage } from './saved-searches.js';
+
+const DEFAULT_SAVED_SEARCHES_PATH = './data/saved-searches.json';
+
+/**
+ * Reads the value following a command-line flag
+ */
+function argValue(flag) {
+  const i = process.argv.indexOf(flag);
+  return i === -1 ? undefined : process.argv[i + 1];
+}
+
+/**
+ * Saves a search for new-listing alerts, or lists / removes saved searches
+ * Usage: npm run save-search -- "<query>" [--name <name>] [--threshold 0.5] [--filters '<json>'] [--no-parse-query]
+ *        npm run save-search -- --list
+ *        npm run save-search -- --remove <id>
+ * Searches are kept in data/saved-searches.json (--file <path> for another file); alerts are sent
+ * by npm run update-embeddings -- --alerts.
+ */
+async function saveSearch() {
+  const store = new SavedSearchStore({
+    storage: new FileSavedSearchStorage(argValue('--file') ?? DEFAULT_SAVED_SEARCHES_PATH)
+  });
+
+  try {
+    await store.load();
+
+    if (process.argv.includes('--list')) {
+      const searches = store.list();
+      console.log(`🔖 ${searches.length} saved search${searches.length === 1 ? '' : 'es'}`);
+      searches.forEach(search => {
+        const filters = Object.keys(search.filters).length > 0 ? ` ${JSON.stringify(search.filters)}` : '';
+        console.log(`   ${search.id}  "${search.name}" (threshold ${search.threshold})${filters}`);
+      });
+      return;
+    }
+
+    const removeId = argValue('--remove');
+    if (removeId) {
+      if (!(await store.remove(removeId))) {
+        throw new Error(`No saved search with ID ${removeId}`);
+      }
+      console.log(`🗑️  Removed saved search ${removeId}`);
+      return;
+    }
+
+    const query = process.argv[2];
+    if (!query || query.startsWith('--')) {
+      throw new Error('Usage: npm run save-search -- "<query>" [--name <name>] [--threshold 0.5] [--filters <json>] [--no-parse-query]');
+    }
+
+    const threshold = argValue('--threshold');
+    const filters = argValue('--filters');
+
+    const engine = new PropertySearchEngine({ offline: process.argv.includes('--offline') });
+    await engine.initialize();
+
+    const saved = await store.add(await engine.createSavedSearch(query, {
+      name: argValue('--name'),
+      threshold: threshold === undefined ? undefined : Number(threshold),
+      filters: filters === undefined ? {} : JSON.parse(filters),
+      parseQuery: !process.argv.includes('--no-parse-query')
+    }));
+
+    console.log(`🔖 Saved "${saved.name}" as ${saved.id}`);
+    if (Object.keys(saved.filters).length > 0) {
+      console.log(`   Filters: ${JSON.stringify(saved.filters)}`);
+    }
+  } catch (error) {
+    console.error('❌ Error saving search:', error);
+    process.exit(1);
+  }
+}
+
+saveSearch();
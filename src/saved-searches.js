@@ -0,0 +1,315 @@
+import { cosineSimilarity, matchesFilters } from './embedding-utils.js';
+
+/**
+ * Saved searches and new-listing alerts
+ *
+ * A saved search keeps the query embedding, so checking a new listing against
+ * every saved search is a cosine similarity and a filter check, with no model
+ * call. Searches are persisted to a JSON file (Node.js) or localStorage
+ * (browser); alerts go out through notifiers (anything with `notify(alert)`).
+ */
+
+export const DEFAULT_ALERT_THRESHOLD = 0.5;
+
+const SAVED_SEARCH_FORMAT_VERSION = 1;
+
+/**
+ * Build a saved search record
+ * @param {Object} search - Saved search fields
+ * @param {string} search.query - Query text as the renter typed it
+ * @param {number[]} search.embedding - Query embedding (see PropertySearchEngine.createSavedSearch)
+ * @param {string} search.embeddingModel - Model that produced the embedding
+ * @param {string} search.name - Display name (default: the query)
+ * @param {Object} search.filters - Filters a listing must pass (default: none). maxCommuteMinutes is
+ *   not supported: new listings are matched without a transit network, so it could never pass
+ * @param {number} search.threshold - Minimum cosine similarity for an alert, 0-1 (default: 0.5)
+ * @returns {Object} Saved search with an `id` and `createdAt`
+ */
+export function createSavedSearch(search) {
+  const {
+    query,
+    embedding,
+    embeddingModel,
+    name = query,
+    filters = {},
+    threshold = DEFAULT_ALERT_THRESHOLD
+  } = search;
+
+  if (!query || typeof query !== 'string') {
+    throw new Error('Saved search needs a non-empty query');
+  }
+  if (!Array.isArray(embedding) || embedding.length === 0) {
+    throw new Error('Saved search needs the query embedding');
+  }
+  if (!embeddingModel) {
+    throw new Error('Saved search needs the embedding model name');
+  }
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+    throw new Error('threshold must be a number between 0 and 1');
+  }
+  if (filters.maxCommuteMinutes != null) {
+    throw new Error('Saved searches cannot filter on maxCommuteMinutes: new listings have no commute estimate');
+  }
+
+  return {
+    id: search.id ?? globalThis.crypto.randomUUID(),
+    name,
+    query,
+    filters,
+    threshold,
+    embedding,
+    embeddingModel,
+    createdAt: search.createdAt ?? new Date().toISOString()
+  };
+}
+
+/**
+ * Saved searches that a listing matches: it passes the search's filters and its
+ * similarity to the query reaches the search's threshold
+ * Searches made with another model than the listing's are skipped.
+ * @param {Object} listing - Listing with `embedding` (and `embeddingModel` when known)
+ * @param {Array} searches - Saved searches
+ * @returns {Array<{search: Object, similarity: number}>} Matches, most similar first
+ */
+export function matchSavedSearches(listing, searches) {
+  return searches
+    .filter(search => !listing.embeddingModel || search.embeddingModel === listing.embeddingModel)
+    .filter(search => matchesFilters(listing, search.filters))
+    .map(search => ({ search, similarity: cosineSimilarity(search.embedding, listing.embedding) }))
+    .filter(({ search, similarity }) => similarity >= search.threshold)
+    .sort((a, b) => b.similarity - a.similarity);
+}
+
+/**
+ * Match newly embedded listings against saved searches
+ * @param {Array} listings - New listings with embeddings (e.g. from generate-embeddings.js)
+ * @param {Array} searches - Saved searches
+ * @returns {Array<{listing: Object, matches: Array<{search: Object, similarity: number}>}>}
+ *   One entry per listing that matched at least one search
+ */
+export function matchNewListings(listings, searches) {
+  return listings
+    .map(listing => ({ listing, matches: matchSavedSearches(listing, searches) }))
+    .filter(({ matches }) => matches.length > 0);
+}
+
+/**
+ * The alert sent for one (saved search, listing) match
+ * Only the listing summary goes out, never its embedding or contact details.
+ */
+function toAlert(search, listing, similarity) {
+  return {
+    searchId: search.id,
+    searchName: search.name,
+    query: search.query,
+    similarity: Number(similarity.toFixed(4)),
+    listing: {
+      id: listing.id,
+      title: listing.title,
+      address: listing.address,
+      price: listing.price,
+      bedrooms: listing.bedrooms,
+      bathrooms: listing.bathrooms
+    },
+    matchedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Send one alert per match through every notifier
+ * A failing notifier is reported and does not stop the others.
+ * @param {Array} matched - Output of matchNewListings()
+ * @param {Array<{notify: Function}>} notifiers - Notifiers, e.g. ConsoleNotifier and FileOutboxNotifier
+ * @returns {Promise<{sent: number, failed: number}>} Notifications delivered and failed
+ */
+export async function sendAlerts(matched, notifiers) {
+  let sent = 0;
+  let failed = 0;
+
+  for (const { listing, matches } of matched) {
+    for (const { search, similarity } of matches) {
+      const alert = toAlert(search, listing, similarity);
+      for (const notifier of notifiers) {
+        try {
+          await notifier.notify(alert);
+          sent++;
+        } catch (error) {
+          failed++;
+          console.warn(`⚠️  ${notifier.constructor.name} failed for saved search ${search.id}: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  return { sent, failed };
+}
+
+/**
+ * Print alerts to the console
+ */
+export class ConsoleNotifier {
+  async notify(alert) {
+    const { listing } = alert;
+    console.log(`🔔 "${alert.searchName}" matched ${listing.title} ($${listing.price}/month, ${(alert.similarity * 100).toFixed(1)}%)`);
+  }
+}
+
+/**
+ * Append alerts to a JSON Lines outbox file, for local testing or a mailer to pick up
+ */
+export class FileOutboxNotifier {
+  /**
+   * @param {string} path - Outbox file, e.g. './data/alerts-outbox.jsonl'
+   */
+  constructor(path) {
+    this.path = path;
+  }
+
+  async notify(alert) {
+    const { appendFile } = await import('fs/promises');
+    await appendFile(this.path, JSON.stringify(alert) + '\n');
+  }
+}
+
+/**
+ * SavedSearchStore - saved searches by ID, optionally persisted
+ */
+export class SavedSearchStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {Object|string} options.storage - Persistence adapter with load() and save(searches), or
+   *   'localstorage' for a LocalStorageSavedSearchStorage (default: memory only)
+   */
+  constructor(options = {}) {
+    let { storage = null } = options;
+
+    if (storage === 'localstorage') {
+      storage = new LocalStorageSavedSearchStorage();
+    }
+
+    this.storage = storage;
+    this.searches = new Map();
+  }
+
+  /**
+   * Load persisted searches, replacing the ones in memory
+   * @returns {Promise<number>} Number of searches loaded
+   */
+  async load() {
+    this.searches.clear();
+    if (!this.storage) return 0;
+
+    for (const search of await this.storage.load()) {
+      this.searches.set(search.id, search);
+    }
+    return this.searches.size;
+  }
+
+  /**
+   * Persist the current searches
+   */
+  async save() {
+    if (this.storage) {
+      await this.storage.save(this.list());
+    }
+  }
+
+  /**
+   * Add (or replace, by ID) a saved search and persist
+   * @param {Object} search - Saved search fields (see createSavedSearch)
+   * @returns {Promise<Object>} The stored search
+   */
+  async add(search) {
+    const saved = createSavedSearch(search);
+    this.searches.set(saved.id, saved);
+    await this.save();
+    return saved;
+  }
+
+  /**
+   * Remove a saved search and persist
+   * @param {string} id - Saved search ID
+   * @returns {Promise<boolean>} True if it existed
+   */
+  async remove(id) {
+    const removed = this.searches.delete(id);
+    if (removed) await this.save();
+    return removed;
+  }
+
+  get(id) {
+    return this.searches.get(id);
+  }
+
+  /**
+   * @returns {Array} Saved searches, oldest first
+   */
+  list() {
+    return [...this.searches.values()];
+  }
+
+  /**
+   * Saved searches each new listing matches (see matchNewListings)
+   */
+  match(listings) {
+    return matchNewListings(listings, this.list());
+  }
+}
+
+/**
+ * Persist saved searches to a JSON file (Node.js)
+ */
+export class FileSavedSearchStorage {
+  /**
+   * @param {string} path - Saved search file, e.g. './data/saved-searches.json'
+   */
+  constructor(path) {
+    this.path = path;
+  }
+
+  async load() {
+    const { readFile } = await import('fs/promises');
+
+    let data;
+    try {
+      data = JSON.parse(await readFile(this.path, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Failed to read saved searches ${this.path}: ${error.message}`);
+    }
+
+    if (data.version !== SAVED_SEARCH_FORMAT_VERSION || !Array.isArray(data.searches)) {
+      throw new Error(`Unsupported saved search file ${this.path}`);
+    }
+    return data.searches;
+  }
+
+  async save(searches) {
+    const { writeFile } = await import('fs/promises');
+    await writeFile(this.path, JSON.stringify({ version: SAVED_SEARCH_FORMAT_VERSION, searches }, null, 2));
+  }
+}
+
+/**
+ * Persist saved searches in localStorage (browser)
+ */
+export class LocalStorageSavedSearchStorage {
+  /**
+   * @param {string} key - localStorage key (default: 'hackleasa-saved-searches')
+   */
+  constructor(key = 'hackleasa-saved-searches') {
+    this.key = key;
+  }
+
+  async load() {
+    const raw = localStorage.getItem(this.key);
+    if (raw === null) return [];
+
+    const data = JSON.parse(raw);
+    return data.version === SAVED_SEARCH_FORMAT_VERSION && Array.isArray(data.searches) ? data.searches : [];
+  }
+
+  async save(searches) {
+    localStorage.setItem(this.key, JSON.stringify({ version: SAVED_SEARCH_FORMAT_VERSION, searches }));
+  }
+}
@@ -0,0 +1,135 @@
+import { PropertySearchEngine } from './vectorSearch.js';
+import { VectorStore } from './vector-store.js';
+import { HNSWIndex } from './hnsw-index.js';
+import { serializeError } from './errors.js';
+
+/**
+ * Web Worker side of WorkerSearchEngine
+ * Owns the model and the catalogues so embedding and similarity scans never block the page.
+ *
+ * Requests arrive as { id, type, payload } and are answered with { id, result } or
+ * { id, error: { name, code, message } }. Loading progress is posted as { type: 'progress', event }.
+ * Requests run one at a time, in order; { type: 'cancel', id } drops a request that
+ * has not started yet, or discards its result if it is already running.
+ */
+
+let engine = null;
+const catalogues = new Map();
+const indexes = new Map();
+const inFlight = new Set();
+const cancelled = new Set();
+let queue = Promise.resolve();
+
+/**
+ * Look up a catalogue sent earlier with loadCatalogue
+ */
+function getCatalogue(catalogueId) {
+  const catalogue = catalogues.get(catalogueId);
+  if (!catalogue) {
+    throw new Error(`Unknown catalogue: ${catalogueId}`);
+  }
+  return catalogue;
+}
+
+/**
+ * Replace the transferable index reference in search options with the worker's copy
+ */
+function resolveOptions(options = {}) {
+  const { indexId, ...rest } = options;
+  return indexId ? { ...rest, index: indexes.get(indexId) } : rest;
+}
+
+const handlers = {
+  async initialize({ engineOptions }) {
+    engine = new PropertySearchEngine(engineOptions);
+    await engine.initialize({
+      onProgress: event => self.postMessage({ type: 'progress', event })
+    });
+    return engine.getStatus();
+  },
+
+  async loadCatalogue({ catalogueId, properties, store }) {
+    catalogues.set(catalogueId, store
+      ? new VectorStore(store.metadata, store.buffer, store.quantization)
+      : properties);
+  },
+
+  async loadIndex({ indexId, catalogueId, data }) {
+    indexes.set(indexId, HNSWIndex.deserialize(data, getCatalogue(catalogueId)));
+  },
+
+  async search({ query, catalogueId, options }) {
+    return engine.search(query, getCatalogue(catalogueId), resolveOptions(options));
+  },
+
+  async searchDetailed({ query, catalogueId, options }) {
+    return engine.searchDetailed(query, getCatalogue(catalogueId), resolveOptions(options));
+  },
+
+  async multiSearch({ queries, catalogueId, options }) {
+    return engine.multiSearch(queries, getCatalogue(catalogueId), resolveOptions(options));
+  },
+
+  async findSimilarToProperty({ id, catalogueId, options }) {
+    return engine.findSimilarToProperty(id, getCatalogue(catalogueId), resolveOptions(options));
+  },
+
+  async generateEmbedding({ text, options }) {
+    return engine.generateEmbedding(text, options);
+  },
+
+  async warmEmbeddingCache({ queries }) {
+    return engine.warmEmbeddingCache(queries);
+  },
+
+  async saveEmbeddingCache() {
+    return engine.saveEmbeddingCache();
+  },
+
+  async dispose() {
+    return engine ? engine.dispose() : 0;
+  },
+
+  async getStatus() {
+    return engine ? engine.getStatus() : null;
+  }
+};
+
+/**
+ * Run one request and post its outcome, unless it was cancelled
+ */
+async function handle({ id, type, payload }) {
+  if (cancelled.delete(id)) {
+    inFlight.delete(id);
+    return;
+  }
+
+  let response;
+  try {
+    const handler = handlers[type];
+    if (!handler) {
+      throw new Error(`Unknown request type: ${type}`);
+    }
+    if (!engine && type !== 'initialize' && type !== 'loadCatalogue' && type !== 'loadIndex' && type !== 'getStatus' && type !== 'dispose') {
+      throw new Error('SearchEngine not initialized. Call initialize() first.');
+    }
+    response = { id, result: await handler(payload) };
+  } catch (error) {
+    response = { id, error: serializeError(error) };
+  }
+
+  inFlight.delete(id);
+  if (!cancelled.delete(id)) {
+    self.postMessage(response);
+  }
+}
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'cancel') {
+    // A request that already finished has nothing left to cancel, and must not leave its id behind
+    if (inFlight.has(data.id)) cancelled.add(data.id);
+    return;
+  }
+  inFlight.add(data.id);
+  queue = queue.then(() => handle(data));
+};
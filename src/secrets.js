@@ -0,0 +1,28 @@
+/**
+ * Random tokens and the digests kept in their place
+ *
+ * Tokens handed to renters and landlords are random, and only their SHA-256
+ * digests are persisted, so a copied data file can't be used to sign in.
+ * Web Crypto keeps this usable in Node.js and the browser alike.
+ */
+
+/**
+ * Random hex token
+ * @param {string} prefix - Prefix telling token kinds apart, e.g. 'rt_'
+ * @param {number} bytes - Random bytes (default: 16, i.e. 128 bits)
+ * @returns {string} Token such as 'rt_3f9c…'
+ */
+export function randomToken(prefix, bytes = 16) {
+  const values = globalThis.crypto.getRandomValues(new Uint8Array(bytes));
+  return prefix + Array.from(values, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * SHA-256 digest of a secret, for storing and comparing without keeping the secret
+ * @param {string} secret - Token or key
+ * @returns {Promise<string>} Hex digest
+ */
+export async function digestSecret(secret) {
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(secret));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,524 @@
+import http from 'http';
+import { readFile } from 'fs/promises';
+import { PropertySearchEngine } from './vectorSearch.js';
+import { validateGeoFilters, validateLeaseFilters } from './embedding-utils.js';
+import { decodeCursor, searchFingerprint } from './pagination.js';
+import { InquiryStore, FileInquiryStorage, InquiryError } from './inquiries.js';
+import { TransitNetwork } from './commute.js';
+import { InvalidSearchError } from './errors.js';
+import { hasCoordinates } from './geo-utils.js';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_QUERY_LENGTH = 500;
+const MAX_TOP_K = 100;
+const MAX_OFFSET = 10000;
+const MAX_QUERIES = 10;
+
+const NUMERIC_FILTERS = ['minPrice', 'maxPrice', 'priceBelow', 'minBedrooms', 'maxBedrooms', 'minBathrooms', 'maxBathrooms', 'maxCommuteMinutes'];
+const SEARCH_MODES = ['semantic', 'hybrid'];
+const FUSION_METHODS = ['rrf', 'weighted'];
+const MULTI_SEARCH_FUSIONS = ['centroid', 'rrf', 'max', 'min'];
+const CHUNK_SCORING = ['single', 'max', 'softmax'];
+
+const INQUIRY_ERROR_STATUS = { INVALID_INQUIRY: 400, UNAUTHORIZED: 401, FORBIDDEN: 403, NOT_FOUND: 404, RATE_LIMITED: 429 };
+
+/**
+ * Error carrying an HTTP status and a machine-readable code
+ */
+export class HttpError extends Error {
+  constructor(status, code, message, headers = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Removes the embedding vectors and the landlord's email from a property before it goes over the wire
+ */
+function toPublicProperty(property) {
+  const { embedding, embeddingText, embeddingHash, embeddingModel, chunkEmbeddings, landlordEmail, ...listing } = property;
+  return listing;
+}
+
+/**
+ * Reads the renter token from an `Authorization: Bearer <token>` header
+ * @returns {string|null} Token, or null without the header
+ */
+function bearerToken(req) {
+  const header = req.headers.authorization;
+  if (!header) return null;
+
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (!match) {
+    throw new HttpError(401, 'UNAUTHORIZED', 'Authorization must be "Bearer <renter token>"', { 'WWW-Authenticate': 'Bearer' });
+  }
+  return match[1];
+}
+
+/**
+ * Writes a JSON response
+ */
+function sendJson(res, status, body) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload)
+  });
+  res.end(payload);
+}
+
+/**
+ * Decodes a URL path parameter, rejecting malformed % escapes
+ */
+function decodePathParam(param) {
+  try {
+    return decodeURIComponent(param);
+  } catch (error) {
+    throw new HttpError(400, 'INVALID_PATH', `Malformed path parameter: ${param}`);
+  }
+}
+
+/**
+ * Reads and parses a JSON request body
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new HttpError(413, 'PAYLOAD_TOO_LARGE', `Request body exceeds ${MAX_BODY_BYTES} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  if (size === 0) {
+    throw new HttpError(400, 'INVALID_BODY', 'Request body must be a JSON object');
+  }
+
+  let body;
+  try {
+    body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch (error) {
+    throw new HttpError(400, 'INVALID_JSON', `Request body is not valid JSON: ${error.message}`);
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'INVALID_BODY', 'Request body must be a JSON object');
+  }
+  return body;
+}
+
+/**
+ * Validates a search query string
+ */
+function validateQuery(query, field = 'query') {
+  if (typeof query !== 'string' || query.trim().length === 0) {
+    throw new HttpError(400, 'INVALID_QUERY', `${field} must be a non-empty string`);
+  }
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw new HttpError(400, 'INVALID_QUERY', `${field} must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+}
+
+/**
+ * Validates topK (or a page limit), returning the default when it is absent
+ */
+function validateTopK(topK, field = 'topK') {
+  if (topK === undefined) return 5;
+  if (!Number.isInteger(topK) || topK < 1 || topK > MAX_TOP_K) {
+    throw new HttpError(400, 'INVALID_TOP_K', `${field} must be an integer between 1 and ${MAX_TOP_K}`);
+  }
+  return topK;
+}
+
+/**
+ * Validates a page offset
+ */
+function validateOffset(offset) {
+  if (offset === undefined) return 0;
+  if (!Number.isInteger(offset) || offset < 0 || offset > MAX_OFFSET) {
+    throw new HttpError(400, 'INVALID_OFFSET', `offset must be an integer between 0 and ${MAX_OFFSET}`);
+  }
+  return offset;
+}
+
+/**
+ * Validates a page cursor against the search it is meant to continue
+ */
+function validateCursor(cursor, query, options) {
+  if (cursor === undefined || cursor === null) return null;
+
+  let position;
+  try {
+    position = decodeCursor(cursor);
+  } catch (error) {
+    throw new HttpError(400, 'INVALID_CURSOR', 'cursor is not a valid page cursor');
+  }
+  if (position.queryHash !== searchFingerprint(query, options)) {
+    throw new HttpError(400, 'INVALID_CURSOR', 'cursor belongs to a different search');
+  }
+  return cursor;
+}
+
+/**
+ * Validates a filters object against the filters applyFilters understands
+ */
+function validateFilters(filters) {
+  if (filters === undefined) return {};
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    throw new HttpError(400, 'INVALID_FILTERS', 'filters must be an object');
+  }
+
+  for (const key of NUMERIC_FILTERS) {
+    if (filters[key] !== undefined && (typeof filters[key] !== 'number' || !Number.isFinite(filters[key]))) {
+      throw new HttpError(400, 'INVALID_FILTERS', `filters.${key} must be a number`);
+    }
+  }
+
+  for (const key of ['requiredAmenities', 'zipCodes']) {
+    const values = filters[key];
+    if (values !== undefined && (!Array.isArray(values) || !values.every(value => typeof value === 'string'))) {
+      throw new HttpError(400, 'INVALID_FILTERS', `filters.${key} must be an array of strings`);
+    }
+  }
+
+  try {
+    validateGeoFilters(filters);
+    validateLeaseFilters(filters);
+  } catch (error) {
+    throw new HttpError(400, 'INVALID_FILTERS', error.message);
+  }
+
+  return filters;
+}
+
+/**
+ * Validates an option that must be one of a fixed set of values
+ */
+function validateChoice(value, allowed, field) {
+  if (value !== undefined && !allowed.includes(value)) {
+    throw new HttpError(400, 'INVALID_OPTION', `${field} must be one of: ${allowed.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Validates the rerank option; clients choose how many candidates, not the model
+ */
+function validateRerank(rerank) {
+  if (rerank === undefined || rerank === false) return false;
+  if (rerank === true) return true;
+  if (!rerank || typeof rerank !== 'object' || Array.isArray(rerank)) {
+    throw new HttpError(400, 'INVALID_OPTION', 'rerank must be a boolean or { candidates }');
+  }
+  return { candidates: validateTopK(rerank.candidates ?? 20, 'rerank.candidates') };
+}
+
+/**
+ * Validates the commute option; commute search needs the server's GTFS feed
+ */
+function validateCommute(commute, filters, engine) {
+  if (commute === undefined) {
+    if (filters.maxCommuteMinutes !== undefined) {
+      throw new HttpError(400, 'INVALID_FILTERS', 'filters.maxCommuteMinutes needs commute: { destination: { lat, lng } }');
+    }
+    return undefined;
+  }
+  if (!engine.transit) {
+    throw new HttpError(400, 'COMMUTE_UNAVAILABLE', 'Commute search needs a transit feed (start the server with GTFS_PATH)');
+  }
+  if (!commute || typeof commute !== 'object' || !hasCoordinates(commute.destination)) {
+    throw new HttpError(400, 'INVALID_OPTION', 'commute must be { destination: { lat, lng }, weight?, horizonMinutes? }');
+  }
+  if (commute.weight !== undefined && !(typeof commute.weight === 'number' && commute.weight >= 0 && commute.weight <= 1)) {
+    throw new HttpError(400, 'INVALID_OPTION', 'commute.weight must be a number between 0 and 1');
+  }
+  if (commute.horizonMinutes !== undefined && !(typeof commute.horizonMinutes === 'number' && commute.horizonMinutes > 0)) {
+    throw new HttpError(400, 'INVALID_OPTION', 'commute.horizonMinutes must be a positive number');
+  }
+  return {
+    destination: { lat: commute.destination.lat, lng: commute.destination.lng },
+    weight: commute.weight,
+    horizonMinutes: commute.horizonMinutes
+  };
+}
+
+/**
+ * Looks up a property by the ID in the URL
+ */
+function findProperty(properties, id) {
+  const property = properties.find(p => String(p.id) === id);
+  if (!property) {
+    throw new HttpError(404, 'NOT_FOUND', `Property ${id} not found`);
+  }
+  return property;
+}
+
+/**
+ * Runs an engine call, reporting its failures as structured errors
+ */
+async function runSearch(fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    // Options the engine rejects are the client's mistake
+    if (error instanceof InvalidSearchError) {
+      throw new HttpError(400, error.code, error.message);
+    }
+    // The engine wraps failures as "Search failed: <reason>"; report the reason
+    const reason = error.cause ? error.cause.message : error.message;
+    throw new HttpError(500, 'SEARCH_FAILED', reason);
+  }
+}
+
+/**
+ * Runs an inquiry store call, reporting InquiryErrors with their HTTP status
+ */
+async function runInquiry(fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    if (!(error instanceof InquiryError)) throw error;
+    const headers = error.retryAfterMs ? { 'Retry-After': String(Math.ceil(error.retryAfterMs / 1000)) } : {};
+    if (error.code === 'UNAUTHORIZED') headers['WWW-Authenticate'] = 'Bearer';
+    throw new HttpError(INQUIRY_ERROR_STATUS[error.code] ?? 400, error.code, error.message, headers);
+  }
+}
+
+/**
+ * Create the route table for an engine, its properties and the inquiry outbox
+ */
+function createRoutes(engine, properties, inquiries) {
+  return [
+    {
+      method: 'GET',
+      pattern: /^\/health$/,
+      handler: async () => ({
+        status: engine.getStatus().initialized ? 'ok' : 'starting',
+        properties: properties.length,
+        engine: engine.getStatus()
+      })
+    },
+    {
+      method: 'POST',
+      pattern: /^\/search$/,
+      handler: async (req) => {
+        const body = await readJsonBody(req);
+        validateQuery(body.query);
+
+        const options = {
+          limit: validateTopK(body.limit ?? body.topK, body.limit !== undefined ? 'limit' : 'topK'),
+          offset: validateOffset(body.offset),
+          filters: validateFilters(body.filters),
+          mode: validateChoice(body.mode, SEARCH_MODES, 'mode'),
+          fusion: validateChoice(body.fusion, FUSION_METHODS, 'fusion'),
+          sortBy: validateChoice(body.sortBy, ['similarity', 'distance'], 'sortBy'),
+          scoring: validateChoice(body.scoring, CHUNK_SCORING, 'scoring'),
+          parseQuery: body.parseQuery !== false,
+          facets: body.facets === true,
+          explain: body.explain === true,
+          rerank: validateRerank(body.rerank)
+        };
+        options.commute = validateCommute(body.commute, options.filters, engine);
+        options.cursor = validateCursor(body.cursor, body.query, options);
+
+        const start = performance.now();
+        const { results, total, offset, nextCursor, facets, rerank } =
+          await runSearch(() => engine.searchDetailed(body.query, properties, options));
+        return {
+          results: results.map(toPublicProperty),
+          count: results.length,
+          total,
+          offset,
+          nextCursor,
+          ...(facets ? { facets } : {}),
+          ...(rerank ? { rerank } : {}),
+          tookMs: Number((performance.now() - start).toFixed(2))
+        };
+      }
+    },
+    {
+      method: 'POST',
+      pattern: /^\/multi-search$/,
+      handler: async (req) => {
+        const body = await readJsonBody(req);
+        if (!Array.isArray(body.queries) || body.queries.length === 0 || body.queries.length > MAX_QUERIES) {
+          throw new HttpError(400, 'INVALID_QUERY', `queries must be an array of 1 to ${MAX_QUERIES} queries`);
+        }
+        body.queries.forEach((query, i) => {
+          if (typeof query === 'string') {
+            validateQuery(query, `queries[${i}]`);
+            return;
+          }
+          if (!query || typeof query !== 'object') {
+            throw new HttpError(400, 'INVALID_QUERY', `queries[${i}] must be a string or { text, weight }`);
+          }
+          validateQuery(query.text, `queries[${i}].text`);
+          if (query.weight !== undefined && (typeof query.weight !== 'number' || !Number.isFinite(query.weight))) {
+            throw new HttpError(400, 'INVALID_QUERY', `queries[${i}].weight must be a number`);
+          }
+        });
+        if (!body.queries.some(query => typeof query === 'string' || (query.weight ?? 1) > 0)) {
+          throw new HttpError(400, 'INVALID_QUERY', 'At least one query must have a positive weight');
+        }
+
+        const options = {
+          topK: validateTopK(body.topK),
+          filters: validateFilters(body.filters),
+          fusion: validateChoice(body.fusion, MULTI_SEARCH_FUSIONS, 'fusion')
+        };
+        if (options.filters.maxCommuteMinutes !== undefined) {
+          throw new HttpError(400, 'INVALID_FILTERS', 'filters.maxCommuteMinutes is only supported by /search');
+        }
+
+        const start = performance.now();
+        const results = await runSearch(() => engine.multiSearch(body.queries, properties, options));
+        return {
+          results: results.map(toPublicProperty),
+          count: results.length,
+          tookMs: Number((performance.now() - start).toFixed(2))
+        };
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/properties\/([^/]+)$/,
+      handler: async (req, [id]) => toPublicProperty(findProperty(properties, id))
+    },
+    {
+      method: 'POST',
+      pattern: /^\/inquiries$/,
+      handler: async (req) => {
+        const body = await readJsonBody(req);
+        const listing = properties.find(p => String(p.id) === String(body.listingId));
+
+        // The first inquiry issues the renter token; later ones send it back as a bearer token
+        const { inquiry, renterToken } = await runInquiry(() => inquiries.submit(body, listing, {
+          renterToken: bearerToken(req),
+          client: req.socket.remoteAddress
+        }));
+        return { inquiry, renterToken };
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/inquiries$/,
+      handler: async (req) => {
+        const renterToken = bearerToken(req);
+        if (!renterToken) {
+          throw new HttpError(401, 'UNAUTHORIZED', 'Send the renter token from POST /inquiries as "Authorization: Bearer <token>"', { 'WWW-Authenticate': 'Bearer' });
+        }
+
+        const results = await runInquiry(() => inquiries.forRenter(renterToken));
+        return { inquiries: results, count: results.length };
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/properties\/([^/]+)\/similar$/,
+      handler: async (req, [id], url) => {
+        const property = findProperty(properties, id);
+        const topK = validateTopK(url.searchParams.has('topK') ? Number(url.searchParams.get('topK')) : undefined);
+
+        const results = await runSearch(() => engine.findSimilarToProperty(property.id, properties, { topK }));
+        return {
+          results: results.map(toPublicProperty),
+          count: results.length
+        };
+      }
+    }
+  ];
+}
+
+/**
+ * Create an HTTP server around an initialized engine
+ * @param {PropertySearchEngine} engine - Initialized search engine (kept warm between requests)
+ * @param {Array} properties - Properties with embeddings
+ * @param {Object} options - Server options
+ * @param {InquiryStore} options.inquiries - Landlord inquiry outbox (default: in memory)
+ * @returns {http.Server} Server (not yet listening)
+ */
+export function createSearchServer(engine, properties, options = {}) {
+  const { inquiries = new InquiryStore() } = options;
+  const routes = createRoutes(engine, properties, inquiries);
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      const pathRoutes = routes.filter(route => route.pattern.test(url.pathname));
+      if (pathRoutes.length === 0) {
+        throw new HttpError(404, 'NOT_FOUND', `No route for ${url.pathname}`);
+      }
+
+      const route = pathRoutes.find(r => r.method === req.method);
+      if (!route) {
+        res.setHeader('Allow', pathRoutes.map(r => r.method).join(', '));
+        throw new HttpError(405, 'METHOD_NOT_ALLOWED', `${req.method} is not allowed on ${url.pathname}`);
+      }
+
+      const params = url.pathname.match(route.pattern).slice(1).map(decodePathParam);
+      sendJson(res, 200, await route.handler(req, params, url));
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        console.error('❌ Unhandled request error:', error);
+      }
+      const httpError = error instanceof HttpError
+        ? error
+        : new HttpError(500, 'INTERNAL_ERROR', 'Internal server error');
+      for (const [name, value] of Object.entries(httpError.headers)) {
+        res.setHeader(name, value);
+      }
+
+      sendJson(res, httpError.status, {
+        error: { code: httpError.code, message: httpError.message }
+      });
+    }
+  });
+}
+
+/**
+ * Load the data, warm up the engine and start listening
+ */
+async function startServer() {
+  const port = Number(process.env.PORT) || 3000;
+  const dataPath = process.env.PROPERTIES_PATH || './data/properties-with-embeddings.json';
+  const inquiriesPath = process.env.INQUIRIES_PATH || './data/inquiries.json';
+  const gtfsPath = process.env.GTFS_PATH;
+
+  try {
+    console.log('📄 Loading property data...');
+    const properties = JSON.parse(await readFile(dataPath, 'utf8'));
+    console.log(`✅ Loaded ${properties.length} properties with embeddings`);
+
+    const inquiries = new InquiryStore({ storage: new FileInquiryStorage(inquiriesPath) });
+    console.log(`📬 Loaded ${await inquiries.load()} landlord inquiries from ${inquiriesPath}`);
+
+    let transit = null;
+    if (gtfsPath) {
+      transit = await TransitNetwork.fromDirectory(gtfsPath);
+      const { stops, routes } = transit.getStats();
+      console.log(`🚇 Loaded transit feed ${gtfsPath}: ${stops} stops, ${routes} routes`);
+    }
+
+    const engine = new PropertySearchEngine({ offline: process.env.OFFLINE === '1', transit });
+    await engine.initialize();
+
+    createSearchServer(engine, properties, { inquiries }).listen(port, () => {
+      console.log(`🚀 Search API listening on http://localhost:${port}`);
+    });
+  } catch (error) {
+    console.error('❌ Failed to start search server:', error);
+    process.exit(1);
+  }
+}
+
+// Start the server if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  startServer();
+}
@@ -0,0 +1,263 @@
+/**
+ * Compact binary embedding storage
+ *
+ * Layout (little-endian, which every browser and Node platform uses for typed arrays):
+ *   <name>.json     metadata + slim property records (no embedding / embeddingText)
+ *   <name>.f32.bin  Float32 vectors, `count * dimensions` values in property order
+ *   <name>.i8.bin   Float32 per-vector scales (`count` values) followed by
+ *                   Int8 scalar-quantized vectors (`count * dimensions` values)
+ */
+
+export const VECTOR_STORE_FORMAT = 'hackleasa-vectors';
+const FORMAT_VERSION = 1;
+
+/**
+ * Strips the heavy fields from a property so only listing data goes into the metadata
+ * @param {Object} property - Property with embedding
+ * @returns {Object} Property without embedding, embeddingText or chunkEmbeddings
+ */
+function slimProperty(property) {
+  const { embedding, embeddingText, chunkEmbeddings, ...listing } = property;
+  return listing;
+}
+
+/**
+ * Scalar-quantizes one vector to int8 with its own scale (max |value| / 127)
+ * @param {ArrayLike<number>} vector - Float vector
+ * @param {Int8Array} target - Destination slice
+ * @returns {number} Scale to multiply int8 values by to recover floats
+ */
+function quantizeVector(vector, target) {
+  let maxAbs = 0;
+  for (let i = 0; i < vector.length; i++) {
+    maxAbs = Math.max(maxAbs, Math.abs(vector[i]));
+  }
+  const scale = maxAbs > 0 ? maxAbs / 127 : 1;
+  for (let i = 0; i < vector.length; i++) {
+    target[i] = Math.round(vector[i] / scale);
+  }
+  return scale;
+}
+
+/**
+ * Encodes properties with embeddings into the binary store layout
+ * @param {Array} properties - Properties with `embedding` arrays
+ * @param {Object} options - Encoding options
+ * @param {boolean} options.int8 - Also produce the int8 quantized variant (default: false)
+ * @param {string} options.name - Base file name used in the metadata (default: 'properties-vectors')
+ * @param {string} options.model - Embedding model name to record
+ * @returns {{metadata: Object, float32: ArrayBuffer, int8: ArrayBuffer|null}} Encoded store
+ */
+export function encodeVectorStore(properties, options = {}) {
+  const { int8 = false, name = 'properties-vectors', model = null } = options;
+
+  if (properties.length === 0) {
+    throw new Error('Cannot encode an empty property list');
+  }
+
+  const dimensions = properties[0].embedding.length;
+  const count = properties.length;
+  const vectors = new Float32Array(count * dimensions);
+
+  properties.forEach((property, row) => {
+    if (!property.embedding || property.embedding.length !== dimensions) {
+      throw new Error(`Property ${property.id} must have a ${dimensions}-dimensional embedding`);
+    }
+    vectors.set(property.embedding, row * dimensions);
+  });
+
+  let quantized = null;
+  if (int8) {
+    quantized = new ArrayBuffer(count * 4 + count * dimensions);
+    const scales = new Float32Array(quantized, 0, count);
+    const values = new Int8Array(quantized, count * 4);
+    properties.forEach((property, row) => {
+      scales[row] = quantizeVector(property.embedding, values.subarray(row * dimensions, (row + 1) * dimensions));
+    });
+  }
+
+  const metadata = {
+    format: VECTOR_STORE_FORMAT,
+    version: FORMAT_VERSION,
+    model,
+    dimensions,
+    count,
+    files: {
+      float32: `${name}.f32.bin`,
+      ...(int8 ? { int8: `${name}.i8.bin` } : {})
+    },
+    properties: properties.map(slimProperty)
+  };
+
+  return { metadata, float32: vectors.buffer, int8: quantized };
+}
+
+/**
+ * VectorStore - Typed-array backed embeddings that PropertySearchEngine can search directly
+ */
+export class VectorStore {
+  /**
+   * @param {Object} metadata - Store metadata (see encodeVectorStore)
+   * @param {ArrayBuffer} buffer - Contents of the float32 or int8 vector file
+   * @param {string} quantization - 'float32' or 'int8'
+   */
+  constructor(metadata, buffer, quantization = 'float32') {
+    if (metadata.format !== VECTOR_STORE_FORMAT || metadata.version !== FORMAT_VERSION) {
+      throw new Error(`Unsupported vector store format: ${metadata.format} v${metadata.version}`);
+    }
+
+    const { count, dimensions } = metadata;
+    if (!Array.isArray(metadata.properties) || metadata.properties.length !== count) {
+      throw new Error(`Vector store metadata lists ${metadata.properties?.length ?? 0} properties, expected ${count}`);
+    }
+    this.metadata = metadata;
+    this.properties = metadata.properties;
+    this.dimensions = dimensions;
+    this.count = count;
+    this.quantization = quantization;
+    this.rows = new Map(this.properties.map((property, row) => [property.id, row]));
+
+    if (quantization === 'float32') {
+      if (buffer.byteLength !== count * dimensions * 4) {
+        throw new Error(`Float32 vector file has ${buffer.byteLength} bytes, expected ${count * dimensions * 4}`);
+      }
+      this.vectors = new Float32Array(buffer);
+      this.scales = null;
+    } else if (quantization === 'int8') {
+      if (buffer.byteLength !== count * 4 + count * dimensions) {
+        throw new Error(`Int8 vector file has ${buffer.byteLength} bytes, expected ${count * 4 + count * dimensions}`);
+      }
+      this.scales = new Float32Array(buffer, 0, count);
+      this.vectors = new Int8Array(buffer, count * 4);
+    } else {
+      throw new Error(`Unknown quantization: ${quantization}`);
+    }
+
+    // Pre-compute magnitudes so cosine similarity is a single dot product per row
+    this.norms = new Float32Array(count);
+    for (let row = 0; row < count; row++) {
+      let sum = 0;
+      const offset = row * dimensions;
+      for (let i = 0; i < dimensions; i++) {
+        sum += this.vectors[offset + i] * this.vectors[offset + i];
+      }
+      this.norms[row] = Math.sqrt(sum) * (this.scales ? this.scales[row] : 1);
+    }
+  }
+
+  /**
+   * Check whether a property is stored
+   * @param {number|string} id - Property ID
+   * @returns {boolean} True if the store has a vector for the property
+   */
+  has(id) {
+    return this.rows.has(id);
+  }
+
+  /**
+   * Cosine similarity between a query embedding and a stored property
+   * @param {ArrayLike<number>} queryEmbedding - Query vector
+   * @param {number|string} id - Property ID
+   * @returns {number} Cosine similarity between -1 and 1
+   */
+  similarity(queryEmbedding, id) {
+    const row = this.rows.get(id);
+    if (row === undefined) {
+      throw new Error(`Property ${id} is not in the vector store`);
+    }
+    if (queryEmbedding.length !== this.dimensions) {
+      throw new Error(`Query has ${queryEmbedding.length} dimensions, store expects ${this.dimensions}`);
+    }
+
+    const offset = row * this.dimensions;
+    let dot = 0;
+    let queryMagnitude = 0;
+    for (let i = 0; i < this.dimensions; i++) {
+      dot += queryEmbedding[i] * this.vectors[offset + i];
+      queryMagnitude += queryEmbedding[i] * queryEmbedding[i];
+    }
+
+    const magnitude = Math.sqrt(queryMagnitude) * this.norms[row];
+    if (magnitude === 0) return 0;
+
+    return (this.scales ? dot * this.scales[row] : dot) / magnitude;
+  }
+
+  /**
+   * Get a property's vector (dequantized for int8 stores)
+   * @param {number|string} id - Property ID
+   * @returns {Float32Array|undefined} Vector view or copy, undefined if not stored
+   */
+  getVector(id) {
+    const row = this.rows.get(id);
+    if (row === undefined) return undefined;
+
+    const slice = this.vectors.subarray(row * this.dimensions, (row + 1) * this.dimensions);
+    if (!this.scales) return slice;
+
+    const scale = this.scales[row];
+    return Float32Array.from(slice, value => value * scale);
+  }
+}
+
+/**
+ * Resolves a path or URL relative to the metadata file
+ * @param {string} metadataLocation - Path or URL of the metadata JSON
+ * @param {string} file - File name from the metadata
+ * @returns {string} Location of the vector file
+ */
+function siblingLocation(metadataLocation, file) {
+  const slash = metadataLocation.lastIndexOf('/');
+  return slash === -1 ? file : metadataLocation.slice(0, slash + 1) + file;
+}
+
+/**
+ * Load a vector store from disk (Node.js)
+ * @param {string} metadataPath - Path to the metadata JSON
+ * @param {Object} options - Loader options
+ * @param {string} options.quantization - 'float32' (default) or 'int8'
+ * @returns {Promise<VectorStore>} Loaded store
+ */
+export async function loadVectorStore(metadataPath, options = {}) {
+  const { quantization = 'float32' } = options;
+  const { readFile } = await import('fs/promises');
+
+  const metadata = JSON.parse(await readFile(metadataPath, 'utf8'));
+  const file = metadata.files[quantization];
+  if (!file) {
+    throw new Error(`Vector store has no ${quantization} variant (generate it with --int8)`);
+  }
+
+  const bytes = await readFile(siblingLocation(metadataPath, file));
+  // Copy into a standalone, aligned ArrayBuffer (Node may pool small file buffers)
+  const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+  return new VectorStore(metadata, buffer, quantization);
+}
+
+/**
+ * Load a vector store over HTTP (browser, or anywhere fetch is available)
+ * @param {string} metadataUrl - URL of the metadata JSON
+ * @param {Object} options - Loader options
+ * @param {string} options.quantization - 'float32' (default) or 'int8'
+ * @returns {Promise<VectorStore>} Loaded store
+ */
+export async function fetchVectorStore(metadataUrl, options = {}) {
+  const { quantization = 'float32' } = options;
+
+  const metadataResponse = await fetch(metadataUrl);
+  if (!metadataResponse.ok) {
+    throw new Error(`Failed to fetch ${metadataUrl}: ${metadataResponse.status}`);
+  }
+  const metadata = await metadataResponse.json();
+  const file = metadata.files[quantization];
+  if (!file) {
+    throw new Error(`Vector store has no ${quantization} variant (generate it with --int8)`);
+  }
+
+  const vectorUrl = siblingLocation(metadataUrl, file);
+  const vectorResponse = await fetch(vectorUrl);
+  if (!vectorResponse.ok) {
+    throw new Error(`Failed to fetch ${vectorUrl}: ${vectorResponse.status}`);
+  }
+  return new VectorStore(metadata, await vectorResponse.arrayBuffer(), quantization);
+}
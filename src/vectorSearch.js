@@ -1,31 +1,119 @@
-import { pipeline } from '@xenova/transformers';
-import { cosineSimilarity } from './embedding-utils.js';
+import { cosineSimilarity, chunkSimilarity, filterProperties, calculateCentroid, validateGeoFilters, validateLeaseFilters } from './embedding-utils.js';
+import { BM25Index } from './bm25.js';
+import { rankByScore, reciprocalRankFusion, normalizeScores } from './rank-fusion.js';
+import { parseQuery, mergeFilters } from './query-parser.js';
+import { VectorStore } from './vector-store.js';
+import { createPropertyText, splitPropertyText, hashText, needsEmbedding } from './property-text.js';
+import { computeFacets } from './facets.js';
+import { searchFingerprint, compareIds, encodeCursor, decodeCursor } from './pagination.js';
+import { DEFAULT_MODEL, getModelConfig, embeddingInput, assertCompatibleEmbeddings } from './models.js';
+import { loadEmbeddingPipeline, DEFAULT_LOCAL_MODEL_PATH } from './model-loader.js';
+import { configureBackend } from './backends.js';
+import { EmbeddingCache } from './embedding-cache.js';
+import { explainFilters } from './explain.js';
+import { CrossEncoderReranker, DEFAULT_RERANK_MODEL } from './reranker.js';
+import { createSavedSearch } from './saved-searches.js';
+import { withLandlordHandle } from './landlords.js';
+import { hasCoordinates } from './geo-utils.js';
+import { InvalidSearchError } from './errors.js';
+
+// Below this share of the index, filtered candidates are scanned directly:
+// graph traversal would visit most of the index to find enough matches anyway
+const BRUTE_FORCE_RATIO = 0.1;
+
+const MULTI_SEARCH_FUSIONS = ['centroid', 'rrf', 'max', 'min'];
+
+const CHUNK_SCORING = ['single', 'max', 'softmax'];
 
 /**
- * PropertySearchEngine - Client-side vector similarity search using WebAssembly
- * Uses @xenova/transformers for running models directly in the browser/Node.js
+ * PropertySearchEngine - Client-side vector similarity search
+ * Uses @xenova/transformers for running models directly in the browser (WebAssembly) or Node.js (onnxruntime-node)
  */
 export class PropertySearchEngine {
-  constructor() {
+  /**
+   * @param {Object} options - Engine options
+   * @param {string} options.model - Registered embedding model (see models.js; default: all-MiniLM-L6-v2)
+   * @param {boolean} options.offline - Only load vendored model files, never download (default: false)
+   * @param {string} options.localModelPath - Folder with vendored models (default: './models/')
+   * @param {string} options.backend - 'auto' (default), 'native' (Node.js onnxruntime) or 'wasm' (browser)
+   * @param {number} options.numThreads - WebAssembly threads when the browser allows them (Node.js rejects
+   *   this option)
+   * @param {Object|EmbeddingCache|false} options.embeddingCache - Query embedding cache: an EmbeddingCache,
+   *   its options ({ maxEntries, storage, saveDelayMs }), or false to disable (default: 500 entries in memory)
+   * @param {TransitNetwork} options.transit - Transit network for commute-aware search (see commute.js)
+   */
+  constructor(options = {}) {
+    const {
+      model = DEFAULT_MODEL,
+      offline = false,
+      localModelPath = DEFAULT_LOCAL_MODEL_PATH,
+      backend = 'auto',
+      numThreads,
+      embeddingCache = {},
+      transit = null
+    } = options;
     this.embedder = null;
     this.isInitialized = false;
+    this.model = getModelConfig(model);
+    this.modelName = this.model.name;
+    this.offline = offline;
+    this.localModelPath = localModelPath;
+    this.modelSource = null;
+    this.requestedBackend = backend;
+    this.numThreads = numThreads;
+    // What actually ran: filled in by initialize()
+    this.runtime = null;
+    this.embeddingCache = embeddingCache instanceof EmbeddingCache || embeddingCache === false
+      ? embeddingCache || null
+      : new EmbeddingCache(embeddingCache);
+    // Query embeddings being computed, so concurrent identical queries embed once
+    this.pendingEmbeddings = new Map();
+    // BM25 indexes are cached per properties array so repeated searches don't re-tokenize
+    this.lexicalIndexes = new WeakMap();
+    // Catalogues already checked against the model, so the check runs once per array or store
+    this.verifiedCatalogues = new WeakSet();
+    // Listing chunks embedded for explanations; listings repeat across searches
+    this.chunkEmbeddings = new EmbeddingCache({ maxEntries: 2000 });
+    // Cross-encoders by model name, loaded on the first search that asks for re-ranking
+    this.rerankers = new Map();
+    this.transit = transit;
   }
 
   /**
    * Initialize the search engine by loading the embedding model
-   * This model runs entirely in the browser using WebAssembly
+   * The model runs locally: WebAssembly in the browser, onnxruntime-node in Node.js
+   * @param {Object} options - Initialization options
+   * @param {Function} options.onProgress - Called with Transformers.js loading events
+   *   ({ status: 'initiate'|'download'|'progress'|'done'|'ready', file, progress, loaded, total })
    */
-  async initialize() {
+  async initialize(options = {}) {
+    const { onProgress } = options;
+
     try {
       console.log('Loading embedding model...');
       
-      // Load a small embedding model that runs in the browser via WebAssembly
-      this.embedder = await pipeline('feature-extraction', 
-        'Xenova/all-MiniLM-L6-v2', {
-          // Configure to use WebAssembly backend
-          device: 'webgpu' // Falls back to WebAssembly if WebGPU not available
-        });
+      // Probe the environment and pick the backend before anything is loaded
+      const backend = await configureBackend({ backend: this.requestedBackend, numThreads: this.numThreads });
+      
+      // Load a small embedding model, from ./models when it has been vendored (npm run vendor-model)
+      const loadStart = performance.now();
+      const { extractor, source } = await loadEmbeddingPipeline(this.model, {
+        offline: this.offline,
+        localModelPath: this.localModelPath,
+        pipelineOptions: onProgress ? { progress_callback: onProgress } : {}
+      });
+      this.embedder = extractor;
+      this.modelSource = source;
+      this.runtime = { ...backend, loadTimeMs: Number((performance.now() - loadStart).toFixed(2)) };
+      
+      console.log(`📦 Model loaded from ${source.type === 'local' ? 'local files' : 'the Hugging Face Hub'}: ${source.location}`);
+      const threads = backend.threads === null ? 'default threads' : `${backend.threads} thread${backend.threads === 1 ? '' : 's'}`;
+      console.log(`⚙️  Running on ${backend.runtime} (${backend.executionProvider}, ${threads})`);
       
+      if (this.embeddingCache) {
+        const restored = await this.embeddingCache.load(this.modelName);
+        if (restored > 0) console.log(`🗄️  Restored ${restored} cached query embeddings`);
+      }
       this.isInitialized = true;
       console.log('✅ PropertySearchEngine initialized successfully!');
     } catch (error) {
@@ -37,15 +125,49 @@ export class PropertySearchEngine {
   /**
    * Generate embedding for a given text query
    * @param {string} text - Text to embed
-   * @returns {Promise<number[]>} Embedding vector
+   * @param {Object} options - Embedding options
+   * @param {string} options.role - 'query' (default) or 'document'; selects the model's prefix
+   * @returns {Promise<number[]>} Embedding vector (queries are served from the embedding cache when possible)
    */
-  async generateEmbedding(text) {
+  async generateEmbedding(text, options = {}) {
+    const { role = 'query' } = options;
+
     if (!this.isInitialized) {
       throw new Error('SearchEngine not initialized. Call initialize() first.');
     }
 
+    if (role !== 'query' || !this.embeddingCache) {
+      return this.embedText(text, role);
+    }
+
+    const cached = this.embeddingCache.get(this.modelName, text);
+    if (cached) return cached;
+
+    const key = this.embeddingCache.key(this.modelName, text);
+    if (!this.pendingEmbeddings.has(key)) {
+      const pending = this.embedText(text, role)
+        .then(embedding => {
+          this.embeddingCache.set(this.modelName, text, embedding);
+          return embedding;
+        })
+        .finally(() => this.pendingEmbeddings.delete(key));
+      this.pendingEmbeddings.set(key, pending);
+    }
+    return Array.from(await this.pendingEmbeddings.get(key));
+  }
+
+  /**
+   * Run the model on one text
+   * @param {string} text - Text to embed
+   * @param {string} role - 'query' or 'document'
+   * @returns {Promise<number[]>} Embedding vector
+   */
+  async embedText(text, role) {
     try {
-      const output = await this.embedder(text, { pooling: 'mean', normalize: true });
+      const output = await this.embedder(embeddingInput(this.model, text, role), {
+        pooling: this.model.pooling,
+        normalize: true
+      });
       
       // Convert tensor to array and flatten if needed
       let embedding = Array.from(output.data);
@@ -60,162 +182,1126 @@ export class PropertySearchEngine {
   /**
    * Search for properties similar to the query
    * @param {string} query - Search query text
-   * @param {Array} properties - Array of properties with embeddings
+   * @param {Array|VectorStore} properties - Array of properties with embeddings, or a binary VectorStore
    * @param {Object} options - Search options
    * @param {number} options.topK - Number of results to return (default: 5)
-   * @param {Object} options.filters - Property filters (price, bedrooms, etc.)
+   * @param {number} options.limit - Page size; overrides topK when paging
+   * @param {number} options.offset - Number of ranked results to skip (default: 0)
+   * @param {string} options.cursor - nextCursor from a previous page of the same search (takes precedence over offset)
+   * @param {Object} options.filters - Property filters (price, bedrooms, near, withinPolygon, etc.)
+   * @param {string} options.sortBy - 'similarity' (default) or 'distance' (requires filters.near)
+   * @param {string} options.mode - 'semantic' (default) or 'hybrid' (BM25 fused with cosine similarity)
+   * @param {string} options.fusion - Hybrid fusion method: 'rrf' (default) or 'weighted'
+   * @param {number} options.alpha - Semantic weight for 'weighted' fusion, 0-1 (default: 0.5)
+   * @param {boolean} options.parseQuery - Extract price/bedroom/amenity filters from the query text (default: true;
+   *   pass false when the caller already supplies every filter and wants the text embedded verbatim)
+   * @param {HNSWIndex} options.index - Approximate nearest-neighbour index over `properties` (default: linear scan)
+   * @param {number} options.efSearch - HNSW candidate list size; higher trades speed for recall (default: 50)
+   * @param {string} options.scoring - 'single' (default) scores the listing vector; 'max' or 'softmax' score
+   *   the listing's chunk vectors (generate-embeddings --chunks). Chunk scoring always scans every candidate
+   * @param {number} options.temperature - Softmax temperature for 'softmax' scoring (default: 0.1)
+   * @param {boolean|Object} options.rerank - Re-order the top candidates with a cross-encoder:
+   *   true, or { model (default: Xenova/ms-marco-MiniLM-L-6-v2), candidates (default: 20) }.
+   *   If the re-ranker fails, the original order is kept
+   * @param {Object} options.commute - Estimate each listing's transit commute (needs the engine's `transit`
+   *   network): { destination: { lat, lng }, weight (0-1, share of the score given to a short commute;
+   *   default: 0), horizonMinutes (commute that scores 0; default: filters.maxCommuteMinutes or 60) }.
+   *   Enables the filters.maxCommuteMinutes filter. A weight above 0 scans every candidate instead of
+   *   using `index`
    * @returns {Promise<Array>} Top K most similar properties with similarity scores
+   *   (hybrid results also carry semanticScore, lexicalScore and hybridScore; chunk scoring adds bestChunk;
+   *   re-ranked results add rerankScore; commute adds commuteMinutes and commute ({ minutes, mode, boardAt,
+   *   route }), plus commuteScore and commuteBlendedScore when weighted)
    */
   async search(query, properties, options = {}) {
-    const { topK = 5, filters = {} } = options;
+    const { results } = await this.searchDetailed(query, properties, options);
+    return results;
+  }
+
+  /**
+   * Search like search(), but also return what the UI needs to render around the results
+   * @param {string} query - Search query text
+   * @param {Array|VectorStore} properties - Array of properties with embeddings, or a binary VectorStore
+   * @param {Object} options - Search options (see search())
+   * @param {boolean|Object} options.facets - Compute facets over the filtered candidates;
+   *   pass an object for computeFacets options (priceBucketSize, maxAmenities)
+   * @param {boolean|Object} options.explain - Add an `explanation` to each result (see explainResults());
+   *   pass an object to set maxMatches (default: 3)
+   * @returns {Promise<{results: Array, total: number, offset: number, nextCursor: string|null,
+   *   facets: Object|null, query: Object, rerank: Object|null}>} One page of results, the number of
+   *   listings that matched the filters, the cursor for the next page (null on the last page), facets
+   *   (null unless requested), the parsed query ({ text, filters, extracted }) and what re-ranking did
+   *   ({ model, candidates, applied, timeMs, error }; null unless requested)
+   */
+  async searchDetailed(query, properties, options = {}) {
+    const {
+      facets: facetOptions = false,
+      explain = false,
+      topK = 5,
+      limit = topK,
+      offset = 0,
+      cursor = null,
+      sortBy = 'similarity',
+      mode = 'semantic',
+      fusion = 'rrf',
+      alpha = 0.5,
+      parseQuery: shouldParseQuery = true,
+      index = null,
+      efSearch = 50,
+      scoring = 'single',
+      temperature = 0.1,
+      rerank = false,
+      commute = null
+    } = options;
+    let { filters = {} } = options;
 
     if (!this.isInitialized) {
       throw new Error('SearchEngine not initialized. Call initialize() first.');
     }
 
     if (!query || typeof query !== 'string') {
-      throw new Error('Query must be a non-empty string');
+      throw new InvalidSearchError('Query must be a non-empty string');
     }
 
-    if (!Array.isArray(properties) || properties.length === 0) {
+    // A VectorStore keeps listings apart from its typed-array vectors
+    const store = properties instanceof VectorStore ? properties : null;
+    const listings = store ? store.properties : properties;
+
+    if (!Array.isArray(listings) || listings.length === 0) {
       throw new Error('Properties must be a non-empty array');
     }
 
+    if (mode !== 'semantic' && mode !== 'hybrid') {
+      throw new InvalidSearchError(`Unknown search mode: ${mode}`);
+    }
+
+    if (!CHUNK_SCORING.includes(scoring)) {
+      throw new InvalidSearchError(`Unknown scoring: ${scoring} (expected one of: ${CHUNK_SCORING.join(', ')})`);
+    }
+    if (scoring !== 'single' && store) {
+      throw new InvalidSearchError('Chunk scoring needs the JSON catalogue; vector stores only hold one vector per listing');
+    }
+    if (!(temperature > 0)) {
+      throw new InvalidSearchError('temperature must be a positive number');
+    }
+
+    if (sortBy === 'distance' && !filters.near) {
+      throw new InvalidSearchError('sortBy: distance needs a filters.near point to measure from');
+    }
+
+    const rerankOptions = rerank ? this.normalizeRerankOptions(rerank) : null;
+    if (rerankOptions && sortBy === 'distance') {
+      throw new InvalidSearchError('rerank orders by relevance and cannot be combined with sortBy: distance');
+    }
+
+    const commuteOptions = commute || filters.maxCommuteMinutes != null
+      ? this.normalizeCommuteOptions(commute, filters)
+      : null;
+
+    this.assertCompatibleCatalogue(properties);
+
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new InvalidSearchError('limit must be a positive integer');
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new InvalidSearchError('offset must be a non-negative integer');
+    }
+
+    // Cursors only continue the search that issued them
+    const queryHash = searchFingerprint(query, { ...options, filters });
+    const position = cursor ? decodeCursor(cursor) : null;
+    if (position && position.queryHash !== queryHash) {
+      throw new InvalidSearchError('Cursor does not belong to this search');
+    }
+    const start = position ? position.offset : offset;
+
     try {
       console.log(`🔍 Searching for: "${query}"`);
+
+      // Pull structured constraints out of the text; explicit filters take precedence
+      let semanticQuery = query;
+      let extracted = [];
+      if (shouldParseQuery) {
+        const parsed = this.parseQuery(query);
+        // A query that is nothing but filters still needs text to embed
+        semanticQuery = parsed.text || query;
+        filters = mergeFilters(parsed.filters, filters);
+        extracted = parsed.extracted;
+        if (parsed.extracted.length > 0) {
+          console.log(`🧩 Extracted filters: ${parsed.extracted.map(e => e.label).join(', ')}`);
+        }
+      }
       
       // Generate query embedding
-      const queryEmbedding = await this.generateEmbedding(query);
+      const queryEmbedding = await this.generateEmbedding(semanticQuery);
       
-      // Apply filters if provided
-      let filteredProperties = properties;
+      // Apply filters if provided; commutes are only estimated for listings that pass
+      // the other filters, then maxCommuteMinutes applies to the estimates
+      const { maxCommuteMinutes, ...otherFilters } = filters;
+      let filteredProperties = Object.keys(otherFilters).length > 0
+        ? this.applyFilters(listings, otherFilters)
+        : listings;
+      if (commuteOptions) {
+        filteredProperties = this.annotateCommutes(filteredProperties, commuteOptions.destination);
+        if (maxCommuteMinutes != null) {
+          filteredProperties = this.applyFilters(filteredProperties, { maxCommuteMinutes });
+        }
+      }
       if (Object.keys(filters).length > 0) {
-        filteredProperties = this.applyFilters(properties, filters);
-        console.log(`📊 Filtered ${properties.length} properties to ${filteredProperties.length}`);
+        console.log(`📊 Filtered ${listings.length} properties to ${filteredProperties.length}`);
       }
 
-      // Calculate cosine similarity with all filtered properties
-      const results = filteredProperties.map(property => {
-        if (!property.embedding || !Array.isArray(property.embedding)) {
-          console.warn(`Property ${property.id} missing embedding, skipping`);
-          return null;
-        }
+      // Calculate cosine similarity with all filtered properties, or ask the ANN index
+      // (the index holds one vector per listing, so chunk scoring scans; so does a weighted
+      // commute, since a listing far down the semantic ranking can win on its commute)
+      const useIndex = index && scoring === 'single' && !(commuteOptions?.weight > 0);
+      const shortlistSize = Math.max(start + limit + 1, efSearch, rerankOptions?.candidates ?? 0);
+      const results = useIndex
+        ? this.searchIndex(index, queryEmbedding, filteredProperties, { efSearch, limit: shortlistSize, store })
+        : scoring === 'single'
+          ? this.scoreProperties(queryEmbedding, filteredProperties, store)
+          : this.scoreChunkedProperties(queryEmbedding, filteredProperties, { scoring, temperature });
 
-        return {
-          ...property,
-          similarity: cosineSimilarity(queryEmbedding, property.embedding)
-        };
-      }).filter(Boolean); // Remove null entries
+      if (mode === 'hybrid' && useIndex) {
+        this.addLexicalCandidates(semanticQuery, listings, filteredProperties, results, {
+          count: shortlistSize,
+          queryEmbedding,
+          store
+        });
+      }
+
+      if (mode === 'hybrid') {
+        this.applyHybridScores(semanticQuery, listings, results, { fusion, alpha });
+      }
+
+      if (commuteOptions && commuteOptions.weight > 0) {
+        this.applyCommuteScores(results, commuteOptions, mode);
+      }
+
+      // Sort by similarity score (or distance when requested), breaking ties by ID
+      const rankScore = this.getRankScore(sortBy, mode, commuteOptions?.weight ?? 0);
+      const direction = sortBy === 'distance' ? 1 : -1;
+      const compareRank = (scoreA, idA, scoreB, idB) => direction * (scoreA - scoreB) || compareIds(idA, idB);
+      results.sort((a, b) => compareRank(rankScore(a), a.id, rankScore(b), b.id));
+
+      // The cross-encoder reorders the head of the ranking
+      const rerankInfo = rerankOptions
+        ? await this.rerankResults(semanticQuery, results, rerankOptions)
+        : null;
+
+      // Resume strictly after the cursor's last result, even if rows shifted since
+      // (a re-ranked head is no longer in score order, so those cursors resume by position)
+      const first = position && !rerankOptions
+        ? results.findIndex(result => compareRank(rankScore(result), result.id, position.score, position.id) > 0)
+        : start;
+      const pageStart = first === -1 ? results.length : first;
+      const topResults = results.slice(pageStart, pageStart + limit);
 
-      // Sort by similarity score in descending order and return top K
-      const topResults = results
-        .sort((a, b) => b.similarity - a.similarity)
-        .slice(0, topK);
+      const last = topResults[topResults.length - 1];
+      const nextCursor = pageStart + limit < results.length
+        ? encodeCursor({ queryHash, score: rankScore(last), id: last.id, offset: pageStart + limit })
+        : null;
+
+      if (explain) {
+        await this.explainResults(queryEmbedding, topResults, filters, explain === true ? {} : explain);
+      }
+
+      // Facets describe the whole filtered candidate set, not just the top K
+      const facets = facetOptions
+        ? computeFacets(filteredProperties, facetOptions === true ? {} : facetOptions)
+        : null;
 
       console.log(`✅ Found ${topResults.length} results`);
-      return topResults;
+      return {
+        results: topResults,
+        total: filteredProperties.length,
+        offset: pageStart,
+        nextCursor,
+        facets,
+        query: { text: semanticQuery, filters, extracted },
+        rerank: rerankInfo
+      };
 
     } catch (error) {
+      // Filters are validated while filtering; those are the caller's mistake, not a failure
+      if (error instanceof InvalidSearchError) throw error;
       console.error('Error during search:', error);
-      throw new Error(`Search failed: ${error.message}`);
+      throw new Error(`Search failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Validate the rerank option
+   * @param {boolean|Object} rerank - true, or { model, candidates }
+   * @returns {{model: string, candidates: number}} Re-ranking settings
+   */
+  normalizeRerankOptions(rerank) {
+    const { model = DEFAULT_RERANK_MODEL, candidates = 20 } = rerank === true ? {} : rerank;
+
+    if (typeof model !== 'string' || model.trim() === '') {
+      throw new InvalidSearchError('rerank.model must be a model name');
+    }
+    if (!Number.isInteger(candidates) || candidates < 1) {
+      throw new InvalidSearchError('rerank.candidates must be a positive integer');
+    }
+    return { model, candidates };
+  }
+
+  /**
+   * Get (or create) the cross-encoder for a model
+   * @param {string} model - Cross-encoder model name
+   * @returns {CrossEncoderReranker} Reranker, loaded on first use
+   */
+  getReranker(model) {
+    let reranker = this.rerankers.get(model);
+    if (!reranker) {
+      reranker = new CrossEncoderReranker({ model, offline: this.offline, localModelPath: this.localModelPath });
+      this.rerankers.set(model, reranker);
+    }
+    return reranker;
+  }
+
+  /**
+   * Re-order the top candidates by cross-encoder relevance (mutates results)
+   * Failures are reported, not thrown: the bi-encoder order is still a good answer
+   * @param {string} query - Search query text
+   * @param {Array} results - Ranked results; the first `candidates` are re-ranked
+   * @param {Object} options - { model, candidates }
+   * @returns {Promise<{model: string, candidates: number, applied: boolean, timeMs: number, error: string|null}>}
+   */
+  async rerankResults(query, results, { model, candidates }) {
+    const head = results.slice(0, candidates);
+    const rerankStart = performance.now();
+    const info = { model, candidates: head.length, applied: false, timeMs: 0, error: null };
+
+    try {
+      const scores = await this.getReranker(model).score(query, head.map(createPropertyText));
+      head.forEach((result, i) => {
+        result.rerankScore = scores[i];
+      });
+      head.sort((a, b) => b.rerankScore - a.rerankScore || compareIds(a.id, b.id));
+      results.splice(0, head.length, ...head);
+      info.applied = true;
+    } catch (error) {
+      console.warn(`⚠️  Re-ranking with ${model} failed, keeping the original order: ${error.message}`);
+      info.error = error.message;
+    }
+
+    info.timeMs = Number((performance.now() - rerankStart).toFixed(2));
+    if (info.applied) {
+      console.log(`🔁 Re-ranked ${head.length} candidates with ${model} in ${info.timeMs}ms`);
+    }
+    return info;
+  }
+
+  /**
+   * Explain why results matched (mutates results)
+   * Each result gets `explanation: { matches, filters }`: its title, description sentences
+   * and amenities most similar to the query, and the filters it was checked against.
+   * @param {number[]} queryEmbedding - Query vector the results were ranked by
+   * @param {Array} results - Results to explain
+   * @param {Object} filters - Filters the search applied (including ones parsed from the query)
+   * @param {Object} options - Explanation options
+   * @param {number} options.maxMatches - Chunks reported per result (default: 3)
+   */
+  async explainResults(queryEmbedding, results, filters = {}, options = {}) {
+    const { maxMatches = 3 } = options;
+
+    if (!Number.isInteger(maxMatches) || maxMatches < 1) {
+      throw new InvalidSearchError('maxMatches must be a positive integer');
+    }
+
+    for (const result of results) {
+      // Multi-vector listings already carry their chunk vectors
+      const chunks = result.chunkEmbeddings?.length ? result.chunkEmbeddings : splitPropertyText(result);
+      const matches = [];
+      for (const { field, text, embedding } of chunks) {
+        const chunkEmbedding = embedding ?? await this.embedChunk(text);
+        matches.push({ field, text, score: cosineSimilarity(queryEmbedding, chunkEmbedding) });
+      }
+      matches.sort((a, b) => b.score - a.score);
+
+      result.explanation = {
+        matches: matches.slice(0, maxMatches),
+        filters: explainFilters(result, filters)
+      };
+    }
+  }
+
+  /**
+   * Embed a listing chunk as a document, reusing earlier chunk embeddings
+   * @param {string} text - Chunk text
+   * @returns {Promise<number[]>} Embedding vector
+   */
+  async embedChunk(text) {
+    const cached = this.chunkEmbeddings.get(this.modelName, text);
+    if (cached) return cached;
+
+    const embedding = await this.embedText(text, 'document');
+    this.chunkEmbeddings.set(this.modelName, text, embedding);
+    return embedding;
+  }
+
+  /**
+   * Embed every chunk of a listing for chunk scoring
+   * @param {Object} listing - Property listing
+   * @returns {Promise<Array<{field: string, text: string, embedding: number[]}>>} Chunk vectors
+   */
+  async embedChunks(listing) {
+    const chunks = [];
+    for (const chunk of splitPropertyText(listing)) {
+      chunks.push({ ...chunk, embedding: await this.embedChunk(chunk.text) });
+    }
+    return chunks;
+  }
+
+  /**
+   * Make sure a catalogue's vectors come from this engine's model
+   * Listings written before model metadata was recorded are checked by dimensions only
+   * @param {Array|VectorStore} properties - Array of properties with embeddings, or a binary VectorStore
+   * @throws {Error} If the vectors were made by another model or have the wrong dimensions
+   */
+  assertCompatibleCatalogue(properties) {
+    if (this.verifiedCatalogues.has(properties)) return;
+
+    if (properties instanceof VectorStore) {
+      assertCompatibleEmbeddings(this.model, {
+        model: properties.metadata.model,
+        dimensions: properties.dimensions,
+        source: 'The vector store'
+      });
+    } else {
+      for (const property of properties) {
+        if (!Array.isArray(property.embedding)) continue;
+        assertCompatibleEmbeddings(this.model, {
+          model: property.embeddingModel,
+          dimensions: property.embedding.length,
+          source: `Property ${property.id}`
+        });
+      }
+    }
+
+    this.verifiedCatalogues.add(properties);
+  }
+
+  /**
+   * Pick the value results are ranked by
+   * @param {string} sortBy - 'similarity' or 'distance'
+   * @param {string} mode - 'semantic' or 'hybrid'
+   * @returns {Function} result => score (distance ranks ascending, scores descending)
+   */
+  getRankScore(sortBy, mode, commuteWeight = 0) {
+    if (sortBy === 'distance') return result => result.distanceKm ?? Number.MAX_VALUE;
+    if (commuteWeight > 0) return result => result.commuteBlendedScore;
+    if (mode === 'hybrid') return result => result.hybridScore;
+    return result => result.similarity;
+  }
+
+  /**
+   * Score every property against a query embedding (exact, linear scan)
+   * @param {number[]} queryEmbedding - Query vector
+   * @param {Array} properties - Properties with embeddings
+   * @param {VectorStore} [store] - Score against the store's typed arrays instead of `property.embedding`
+   * @returns {Array} Properties with similarity scores (unsorted)
+   */
+  scoreProperties(queryEmbedding, properties, store = null) {
+    if (store) {
+      return properties
+        .filter(property => store.has(property.id))
+        .map(property => ({
+          ...property,
+          similarity: store.similarity(queryEmbedding, property.id)
+        }));
+    }
+
+    return properties.map(property => {
+      if (!property.embedding || !Array.isArray(property.embedding)) {
+        console.warn(`Property ${property.id} missing embedding, skipping`);
+        return null;
+      }
+
+      return {
+        ...property,
+        similarity: cosineSimilarity(queryEmbedding, property.embedding)
+      };
+    }).filter(Boolean); // Remove null entries
+  }
+
+  /**
+   * Score every property by its chunk vectors (exact, linear scan)
+   * Listings without chunkEmbeddings fall back to their single listing vector
+   * @param {number[]} queryEmbedding - Query vector
+   * @param {Array} properties - Properties with chunkEmbeddings ([{ field, text, embedding }])
+   * @param {Object} options - { scoring: 'max'|'softmax', temperature }
+   * @returns {Array} Properties with similarity scores and their best chunk (unsorted)
+   */
+  scoreChunkedProperties(queryEmbedding, properties, options) {
+    const singleVector = properties.filter(property => !property.chunkEmbeddings?.length);
+    if (singleVector.length > 0) {
+      console.warn(`${singleVector.length} properties have no chunk embeddings, scoring their listing vector`);
+    }
+
+    return properties.map(property => {
+      const chunks = property.chunkEmbeddings;
+      if (!chunks?.length) {
+        return this.scoreProperties(queryEmbedding, [property])[0] ?? null;
+      }
+
+      const { similarity, bestChunk } = chunkSimilarity(queryEmbedding, chunks, options);
+      const { field, text } = chunks[bestChunk];
+      return {
+        ...property,
+        similarity,
+        bestChunk: { field, text, score: cosineSimilarity(queryEmbedding, chunks[bestChunk].embedding) }
+      };
+    }).filter(Boolean);
+  }
+
+  /**
+   * Find the nearest candidates through an HNSW index
+   * Only IDs present in `candidates` are returned, so filters are still honoured. Candidates
+   * the index doesn't hold (e.g. upserted without passing the index) are scored exactly
+   * @param {HNSWIndex} index - Index built over the full property set
+   * @param {number[]} queryEmbedding - Query vector
+   * @param {Array} candidates - Properties that passed the filters
+   * @param {Object} options - { efSearch, limit, store }
+   * @returns {Array} Up to `limit` indexed properties, plus every unindexed one, with similarity scores
+   */
+  searchIndex(index, queryEmbedding, candidates, { efSearch, limit, store = null }) {
+    if (candidates.length <= limit || candidates.length < index.size * BRUTE_FORCE_RATIO) {
+      return this.scoreProperties(queryEmbedding, candidates, store);
+    }
+
+    const indexed = candidates.filter(property => index.has(property.id));
+    const unindexed = candidates.length > indexed.length
+      ? this.scoreProperties(queryEmbedding, candidates.filter(property => !index.has(property.id)), store)
+      : [];
+    if (unindexed.length > 0) {
+      console.warn(`${unindexed.length} properties are missing from the index, scoring them exactly`);
+    }
+    if (indexed.length === 0) return unindexed;
+
+    const byId = new Map(indexed.map(property => [property.id, property]));
+    const filter = indexed.length < index.size ? id => byId.has(id) : undefined;
+
+    return index.search(queryEmbedding, limit, { efSearch, filter })
+      .filter(({ id }) => byId.has(id))
+      .map(({ id, similarity }) => ({ ...byId.get(id), similarity }))
+      .concat(unindexed);
+  }
+
+  /**
+   * Extract structured filters from a natural language query
+   * Useful for showing the recognised constraints (e.g. as chips) before searching
+   * @param {string} text - Natural language query
+   * @param {Object} options - Parsing options ({ now } for relative dates such as "next month")
+   * @returns {{text: string, filters: Object, extracted: Array}} Remaining semantic text and filters
+   */
+  parseQuery(text, options = {}) {
+    return parseQuery(text, options);
+  }
+
+  /**
+   * Get (or build) the BM25 index for a properties array
+   * @param {Array} properties - Full array of properties passed to search()
+   * @returns {BM25Index} Lexical index
+   */
+  getLexicalIndex(properties) {
+    let index = this.lexicalIndexes.get(properties);
+    if (!index) {
+      index = new BM25Index(properties);
+      this.lexicalIndexes.set(properties, index);
+    }
+    return index;
+  }
+
+  /**
+   * Add the best keyword matches missing from an ANN shortlist, with exact cosine scores (mutates results)
+   * The index picks its shortlist by vector similarity alone, so without this a listing that
+   * matches the keywords exactly could never reach hybrid fusion.
+   * @param {string} query - Search query text
+   * @param {Array} properties - Full array of properties (the lexical index's corpus)
+   * @param {Array} candidates - Filtered properties the shortlist was drawn from
+   * @param {Array} results - ANN shortlist carrying cosine `similarity`
+   * @param {Object} options - { count (keyword matches to consider), queryEmbedding, store }
+   */
+  addLexicalCandidates(query, properties, candidates, results, { count, queryEmbedding, store = null }) {
+    const shortlisted = new Set(results.map(result => result.id));
+    const byId = new Map(candidates.map(property => [property.id, property]));
+
+    const missing = [...this.getLexicalIndex(properties).score(query, candidates)]
+      .filter(([, score]) => score > 0)
+      .sort(([idA, a], [idB, b]) => b - a || compareIds(idA, idB))
+      .slice(0, count)
+      .filter(([id]) => !shortlisted.has(id))
+      .map(([id]) => byId.get(id));
+
+    results.push(...this.scoreProperties(queryEmbedding, missing, store));
+  }
+
+  /**
+   * Annotate results with BM25 and fused scores (mutates results)
+   * @param {string} query - Search query text
+   * @param {Array} properties - Full array of properties (used for corpus statistics)
+   * @param {Array} results - Candidates already carrying cosine `similarity`
+   * @param {Object} options - Fusion options ({ fusion, alpha })
+   */
+  applyHybridScores(query, properties, results, { fusion, alpha }) {
+    if (results.length === 0) return;
+
+    const lexicalScores = this.getLexicalIndex(properties).score(query, results);
+    let fusedScores;
+
+    if (fusion === 'rrf') {
+      fusedScores = reciprocalRankFusion([
+        rankByScore(results, result => result.similarity),
+        rankByScore(results, result => lexicalScores.get(result.id))
+      ]);
+    } else if (fusion === 'weighted') {
+      const normalizedLexical = normalizeScores(lexicalScores);
+      fusedScores = new Map(results.map(result => [
+        result.id,
+        alpha * result.similarity + (1 - alpha) * normalizedLexical.get(result.id)
+      ]));
+    } else {
+      throw new InvalidSearchError(`Unknown fusion method: ${fusion}`);
+    }
+
+    for (const result of results) {
+      result.semanticScore = result.similarity;
+      result.lexicalScore = lexicalScores.get(result.id);
+      result.hybridScore = fusedScores.get(result.id);
+    }
+  }
+
+  /**
+   * Validate the commute option (and the maxCommuteMinutes filter that depends on it)
+   * @param {Object} commute - { destination, weight, horizonMinutes }
+   * @param {Object} filters - Search filters
+   * @returns {{destination: Object, weight: number, horizonMinutes: number}} Commute settings
+   */
+  normalizeCommuteOptions(commute, filters) {
+    if (!commute) {
+      throw new InvalidSearchError('maxCommuteMinutes filter needs the commute option ({ destination: { lat, lng } })');
+    }
+    if (!this.transit) {
+      throw new Error('Commute search needs a transit network: new PropertySearchEngine({ transit })');
+    }
+
+    const { destination, weight = 0, horizonMinutes = filters.maxCommuteMinutes ?? 60 } = commute;
+    if (!hasCoordinates(destination)) {
+      throw new InvalidSearchError('commute.destination must be { lat, lng }');
+    }
+    if (!(weight >= 0 && weight <= 1)) {
+      throw new InvalidSearchError('commute.weight must be between 0 and 1');
+    }
+    if (!(horizonMinutes > 0)) {
+      throw new InvalidSearchError('commute.horizonMinutes must be a positive number');
+    }
+    if (filters.maxCommuteMinutes != null && !(filters.maxCommuteMinutes > 0)) {
+      throw new InvalidSearchError('maxCommuteMinutes filter must be a positive number');
+    }
+    return { destination, weight, horizonMinutes };
+  }
+
+  /**
+   * Add each listing's estimated commute to a destination
+   * @param {Array} properties - Listings
+   * @param {{lat: number, lng: number}} destination - Commute destination
+   * @returns {Array} Copies with commuteMinutes and commute (null without coordinates)
+   */
+  annotateCommutes(properties, destination) {
+    return properties.map(property => {
+      const commute = this.transit.estimate(property.coordinates, destination);
+      return { ...property, commuteMinutes: commute ? commute.minutes : null, commute };
+    });
+  }
+
+  /**
+   * Blend relevance with a commute score (1 for no commute, 0 at horizonMinutes or beyond)
+   * Hybrid scores are on another scale, so they are min-max normalized before blending
+   * @param {Array} results - Scored results with commuteMinutes (modified in place)
+   * @param {Object} options - { weight, horizonMinutes }
+   * @param {string} mode - 'semantic' or 'hybrid'
+   */
+  applyCommuteScores(results, { weight, horizonMinutes }, mode) {
+    const hybridScores = mode === 'hybrid'
+      ? normalizeScores(new Map(results.map(result => [result.id, result.hybridScore])))
+      : null;
+
+    for (const result of results) {
+      const relevance = hybridScores ? hybridScores.get(result.id) : result.similarity;
+      result.commuteScore = result.commuteMinutes === null ? 0 : Math.max(0, 1 - result.commuteMinutes / horizonMinutes);
+      result.commuteBlendedScore = (1 - weight) * relevance + weight * result.commuteScore;
     }
   }
 
   /**
    * Apply filters to properties
    * @param {Array} properties - Array of properties
-   * @param {Object} filters - Filter criteria
-   * @returns {Array} Filtered properties
+   * @param {Object} filters - Filter criteria (see filterProperties in embedding-utils.js)
+   * @returns {Array} Filtered properties, annotated with distanceKm when filtering by `near`
    */
   applyFilters(properties, filters) {
-    return properties.filter(property => {
-      // Price range filter
-      if (filters.minPrice && property.price < filters.minPrice) return false;
-      if (filters.maxPrice && property.price > filters.maxPrice) return false;
-      
-      // Bedroom filter
-      if (filters.minBedrooms && property.bedrooms < filters.minBedrooms) return false;
-      if (filters.maxBedrooms && property.bedrooms > filters.maxBedrooms) return false;
-      
-      // Bathroom filter
-      if (filters.minBathrooms && property.bathrooms < filters.minBathrooms) return false;
-      
-      // Amenities filter
-      if (filters.requiredAmenities && filters.requiredAmenities.length > 0) {
-        const hasAllAmenities = filters.requiredAmenities.every(amenity =>
-          property.amenities.some(a => a.toLowerCase().includes(amenity.toLowerCase()))
-        );
-        if (!hasAllAmenities) return false;
-      }
-      
-      return true;
-    });
+    return filterProperties(properties, filters);
   }
 
   /**
    * Search for multiple queries and combine results
-   * @param {string[]} queries - Array of search queries
-   * @param {Array} properties - Array of properties with embeddings
+   * Queries can be weighted; negative weights steer away from a query ("not near nightlife")
+   * @param {Array<string|{text: string, weight: number}>} queries - Queries (plain strings weigh 1)
+   * @param {Array|VectorStore} properties - Array of properties with embeddings, or a binary VectorStore
    * @param {Object} options - Search options
-   * @returns {Promise<Array>} Combined and deduplicated results
+   * @param {number} options.topK - Number of results to return (default: 5)
+   * @param {Object} options.filters - Property filters, as in search()
+   * @param {string} options.fusion - 'centroid' (default) searches with one weighted centroid embedding;
+   *   'rrf', 'max' or 'min' rank with each query separately and fuse the ranks
+   *   ('min' rewards listings that rank well for every query)
+   * @param {number} options.rrfK - Rank damping constant for rank fusion (default: 60)
+   * @param {HNSWIndex} options.index - Approximate nearest-neighbour index over `properties`
+   * @param {number} options.efSearch - HNSW candidate list size (default: 50)
+   * @returns {Promise<Array>} Top K properties with similarity scores
+   *   (rank fusion also adds fusedScore and per-query queryScores)
    */
   async multiSearch(queries, properties, options = {}) {
-    const { topK = 5 } = options;
+    const { topK = 5, filters = {}, fusion = 'centroid', rrfK = 60, index = null, efSearch = 50 } = options;
+
+    const weightedQueries = this.normalizeWeightedQueries(queries);
+    if (!MULTI_SEARCH_FUSIONS.includes(fusion)) {
+      throw new InvalidSearchError(`Unknown fusion method: ${fusion} (expected one of: ${MULTI_SEARCH_FUSIONS.join(', ')})`);
+    }
+
+    this.assertCompatibleCatalogue(properties);
     
     // Get embeddings for all queries
     const queryEmbeddings = await Promise.all(
-      queries.map(query => this.generateEmbedding(query))
+      weightedQueries.map(query => this.generateEmbedding(query.text))
     );
+    const weights = weightedQueries.map(query => query.weight);
 
-    // Calculate average embedding (centroid)
-    const avgEmbedding = this.calculateCentroid(queryEmbeddings);
+    const store = properties instanceof VectorStore ? properties : null;
+    const listings = store ? store.properties : properties;
+    const candidates = Object.keys(filters).length > 0 ? this.applyFilters(listings, filters) : listings;
 
-    // Search using the combined embedding
-    const results = properties.map(property => ({
-      ...property,
-      similarity: cosineSimilarity(avgEmbedding, property.embedding)
-    }));
+    if (fusion !== 'centroid') {
+      return this.fuseQueryRankings(queryEmbeddings, weights, candidates, { fusion, rrfK, topK, index, efSearch, store });
+    }
+
+    // Search using the combined (weighted) embedding
+    const centroid = calculateCentroid(queryEmbeddings, weights);
+    const results = index
+      ? this.searchIndex(index, centroid, candidates, { efSearch, limit: Math.max(topK, efSearch), store })
+      : this.scoreProperties(centroid, candidates, store);
 
     return results
-      .sort((a, b) => b.similarity - a.similarity)
+      .sort((a, b) => b.similarity - a.similarity || compareIds(a.id, b.id))
       .slice(0, topK);
   }
 
   /**
-   * Calculate centroid of multiple embeddings
-   * @param {Array<number[]>} embeddings - Array of embedding vectors
-   * @returns {number[]} Centroid embedding
+   * Validate multiSearch queries into { text, weight } entries
+   * @param {Array<string|Object>} queries - Strings or { text, weight } objects
+   * @returns {Array<{text: string, weight: number}>} Queries with non-zero weights
    */
-  calculateCentroid(embeddings) {
-    if (embeddings.length === 0) return [];
-    
-    const dimensions = embeddings[0].length;
-    const centroid = new Array(dimensions).fill(0);
-    
-    // Sum all embeddings
-    for (const embedding of embeddings) {
-      for (let i = 0; i < dimensions; i++) {
-        centroid[i] += embedding[i];
+  normalizeWeightedQueries(queries) {
+    if (!Array.isArray(queries) || queries.length === 0) {
+      throw new InvalidSearchError('Queries must be a non-empty array');
+    }
+
+    const weighted = queries.map(query => typeof query === 'string'
+      ? { text: query, weight: 1 }
+      : { text: query?.text, weight: query?.weight ?? 1 });
+
+    for (const { text, weight } of weighted) {
+      if (!text || typeof text !== 'string') {
+        throw new InvalidSearchError('Each query must have non-empty text');
+      }
+      if (typeof weight !== 'number' || !Number.isFinite(weight)) {
+        throw new InvalidSearchError(`Query "${text}" has an invalid weight`);
       }
     }
-    
-    // Average and normalize
-    for (let i = 0; i < dimensions; i++) {
-      centroid[i] /= embeddings.length;
+
+    if (!weighted.some(query => query.weight > 0)) {
+      throw new InvalidSearchError('At least one query must have a positive weight');
     }
-    
-    return centroid;
+    return weighted.filter(query => query.weight !== 0);
+  }
+
+  /**
+   * Rank candidates with each query separately and fuse the ranks
+   * Negative queries rank the least similar listings first
+   * @param {Array<number[]>} queryEmbeddings - One embedding per query
+   * @param {number[]} weights - One weight per query
+   * @param {Array} candidates - Properties that passed the filters
+   * @param {Object} options - { fusion, rrfK, topK, index, efSearch, store }
+   * @returns {Array} Top K properties with similarity, fusedScore and queryScores
+   */
+  fuseQueryRankings(queryEmbeddings, weights, candidates, { fusion, rrfK, topK, index, efSearch, store }) {
+    // With an index, shortlist the neighbours of the positive queries, then score those exactly
+    let pool = candidates;
+    if (index) {
+      const byId = new Map(candidates.map(property => [property.id, property]));
+      const shortlist = new Map();
+      queryEmbeddings.forEach((embedding, j) => {
+        if (weights[j] <= 0) return;
+        const limit = Math.max(topK, efSearch);
+        for (const result of this.searchIndex(index, embedding, candidates, { efSearch, limit, store })) {
+          shortlist.set(result.id, byId.get(result.id));
+        }
+      });
+      pool = [...shortlist.values()];
+    }
+
+    const perQuery = queryEmbeddings.map(embedding => this.scoreProperties(embedding, pool, store));
+    const rankings = perQuery.map((results, j) =>
+      rankByScore(results, result => weights[j] > 0 ? result.similarity : -result.similarity)
+    );
+    const absoluteWeights = weights.map(Math.abs);
+    const totalWeight = absoluteWeights.reduce((sum, weight) => sum + weight, 0);
+
+    const queryScores = new Map(perQuery[0].map(result => [result.id, []]));
+    perQuery.forEach((results, j) => {
+      for (const result of results) queryScores.get(result.id)[j] = result.similarity;
+    });
+
+    let fusedScores;
+    if (fusion === 'rrf') {
+      fusedScores = reciprocalRankFusion(rankings, rrfK, absoluteWeights);
+    } else {
+      const pick = fusion === 'max' ? Math.max : Math.min;
+      fusedScores = new Map([...queryScores.keys()].map(id => [
+        id,
+        pick(...rankings.map((ranking, j) => absoluteWeights[j] / (rrfK + ranking.get(id))))
+      ]));
+    }
+
+    return perQuery[0]
+      .map(result => {
+        const scores = queryScores.get(result.id);
+        return {
+          ...result,
+          // Weighted mean cosine, so "% match" stays meaningful next to single-query results
+          similarity: scores.reduce((sum, score, j) => sum + weights[j] * score, 0) / totalWeight,
+          fusedScore: fusedScores.get(result.id),
+          queryScores: scores
+        };
+      })
+      .sort((a, b) => b.fusedScore - a.fusedScore || compareIds(a.id, b.id))
+      .slice(0, topK);
+  }
+
+  /**
+   * Find listings similar to one a renter already likes ("more like this")
+   * Uses the listing's stored embedding, so no model call is needed
+   * @param {number|string} id - Property ID
+   * @param {Array|VectorStore} properties - Array of properties with embeddings, or a binary VectorStore
+   * @param {Object} options - Search options
+   * @param {number} options.topK - Number of results to return (default: 5)
+   * @param {Object} options.filters - Property filters, as in search()
+   * @param {boolean} options.excludeSelf - Leave the listing itself out of the results (default: true)
+   * @param {HNSWIndex} options.index - Approximate nearest-neighbour index over `properties`
+   * @param {number} options.efSearch - HNSW candidate list size (default: 50)
+   * @returns {Array} Most similar properties with similarity scores
+   */
+  findSimilarToProperty(id, properties, options = {}) {
+    const { excludeSelf = true, ...rankOptions } = options;
+    const embedding = this.getPropertyEmbedding(id, properties);
+
+    return this.rankByEmbedding(embedding, properties, {
+      ...rankOptions,
+      excludeIds: excludeSelf ? [id] : []
+    });
+  }
+
+  /**
+   * Recommend listings from several liked and disliked listings
+   * The query vector is the centroid of the liked listings pushed away from the
+   * centroid of the disliked ones
+   * @param {Object} feedback - Renter feedback
+   * @param {Array} feedback.likedIds - IDs of listings the renter liked (at least one)
+   * @param {Array} feedback.dislikedIds - IDs of listings the renter disliked
+   * @param {Array|VectorStore} properties - Array of properties with embeddings, or a binary VectorStore
+   * @param {Object} options - Search options (topK, filters, index, efSearch as in findSimilarToProperty)
+   * @param {number} options.dislikeWeight - How strongly disliked listings push results away (default: 0.5)
+   * @returns {Array} Recommended properties with similarity scores, excluding the rated listings
+   */
+  findSimilarToProperties({ likedIds = [], dislikedIds = [] }, properties, options = {}) {
+    const { dislikeWeight = 0.5, ...rankOptions } = options;
+
+    if (likedIds.length === 0) {
+      throw new InvalidSearchError('At least one liked property ID is required');
+    }
+
+    const liked = calculateCentroid(likedIds.map(id => this.getPropertyEmbedding(id, properties)));
+    let queryEmbedding = liked;
+
+    if (dislikedIds.length > 0) {
+      const disliked = calculateCentroid(dislikedIds.map(id => this.getPropertyEmbedding(id, properties)));
+      queryEmbedding = calculateCentroid([
+        liked.map((value, i) => value - dislikeWeight * disliked[i])
+      ]);
+    }
+
+    return this.rankByEmbedding(queryEmbedding, properties, {
+      ...rankOptions,
+      excludeIds: [...likedIds, ...dislikedIds]
+    });
+  }
+
+  /**
+   * Look up the stored embedding for a property
+   * @param {number|string} id - Property ID
+   * @param {Array|VectorStore} properties - Array of properties with embeddings, or a binary VectorStore
+   * @returns {ArrayLike<number>} Embedding vector
+   */
+  getPropertyEmbedding(id, properties) {
+    if (properties instanceof VectorStore) {
+      const vector = properties.getVector(id);
+      if (!vector) throw new Error(`Property ${id} not found`);
+      return vector;
+    }
+
+    const property = properties.find(p => p.id === id);
+    if (!property) {
+      throw new Error(`Property ${id} not found`);
+    }
+    if (!property.embedding) {
+      throw new Error(`Property ${id} has no embedding`);
+    }
+    return property.embedding;
+  }
+
+  /**
+   * Rank properties against an embedding that is already known
+   * @param {ArrayLike<number>} embedding - Query vector
+   * @param {Array|VectorStore} properties - Array of properties with embeddings, or a binary VectorStore
+   * @param {Object} options - { topK, filters, excludeIds, index, efSearch }
+   * @returns {Array} Top K properties with similarity scores
+   */
+  rankByEmbedding(embedding, properties, options = {}) {
+    const { topK = 5, filters = {}, excludeIds = [], index = null, efSearch = 50 } = options;
+
+    const store = properties instanceof VectorStore ? properties : null;
+    const excluded = new Set(excludeIds);
+    let candidates = store ? store.properties : properties;
+
+    if (Object.keys(filters).length > 0) {
+      candidates = this.applyFilters(candidates, filters);
+    }
+    candidates = candidates.filter(property => !excluded.has(property.id));
+
+    const results = index
+      ? this.searchIndex(index, embedding, candidates, { efSearch, limit: Math.max(topK, efSearch), store })
+      : this.scoreProperties(embedding, candidates, store);
+
+    // Break ties by ID so equally similar listings keep a stable order
+    return results
+      .sort((a, b) => b.similarity - a.similarity || compareIds(a.id, b.id))
+      .slice(0, topK);
+  }
+
+  /**
+   * Add or update listings in a live catalogue
+   * Only new listings, or listings whose embedding text changed, are re-embedded
+   * @param {Array} properties - Catalogue of properties with embeddings (updated in place)
+   * @param {Array} listings - New or changed listings, without embeddings
+   * @param {Object} options - Upsert options
+   * @param {HNSWIndex} options.index - ANN index over the catalogue to keep in sync
+   * @param {boolean} options.chunks - Also embed chunk vectors for chunk scoring
+   *   (default: when the catalogue already has them)
+   * @param {LandlordDirectory} options.landlords - Directory that swaps landlordEmail for a handle
+   *   (required when listings carry landlordEmail; save it afterwards)
+   * @returns {Promise<{added: Array, updated: Array, unchanged: Array}>} Property IDs by outcome
+   */
+  async upsertProperties(properties, listings, options = {}) {
+    const { index = null, landlords = null } = options;
+
+    if (!Array.isArray(properties)) {
+      throw new Error('Only property arrays can be updated; regenerate vector stores with npm run update-embeddings');
+    }
+
+    const { chunks = properties.some(property => property.chunkEmbeddings) } = options;
+    const positions = new Map(properties.map((property, position) => [property.id, position]));
+    const lexicalIndex = this.lexicalIndexes.get(properties);
+    const summary = { added: [], updated: [], unchanged: [] };
+
+    for (const listing of listings) {
+      if (listing.id === undefined || listing.id === null) {
+        throw new Error('Listings must have an id');
+      }
+
+      const embeddingText = createPropertyText(listing);
+      const embeddingHash = hashText(embeddingText);
+      const position = positions.get(listing.id);
+      const existing = position === undefined ? undefined : properties[position];
+      const changed = needsEmbedding(existing, embeddingHash, this.modelName);
+
+      // Catalogue entries carry the landlord's handle, never their email
+      const entry = {
+        ...withLandlordHandle(listing, landlords),
+        embedding: changed ? await this.generateEmbedding(embeddingText, { role: 'document' }) : existing.embedding,
+        embeddingText,
+        embeddingHash,
+        embeddingModel: this.modelName
+      };
+      if (chunks) {
+        entry.chunkEmbeddings = changed || !existing.chunkEmbeddings
+          ? await this.embedChunks(listing)
+          : existing.chunkEmbeddings;
+      }
+
+      if (position === undefined) {
+        positions.set(listing.id, properties.length);
+        properties.push(entry);
+        summary.added.push(listing.id);
+      } else {
+        properties[position] = entry;
+        (changed ? summary.updated : summary.unchanged).push(listing.id);
+      }
+
+      if (lexicalIndex) lexicalIndex.add(entry);
+      if (index && changed) {
+        index.remove(listing.id);
+        index.add(listing.id, entry.embedding);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Remove listings from a live catalogue
+   * @param {Array} properties - Catalogue of properties (updated in place)
+   * @param {Array} ids - Property IDs to remove
+   * @param {Object} options - Removal options
+   * @param {HNSWIndex} options.index - ANN index over the catalogue to keep in sync
+   * @returns {Array} IDs that were present and removed
+   */
+  removeProperties(properties, ids, options = {}) {
+    const { index = null } = options;
+
+    if (!Array.isArray(properties)) {
+      throw new Error('Only property arrays can be updated; regenerate vector stores with npm run update-embeddings');
+    }
+
+    const toRemove = new Set(ids);
+    const lexicalIndex = this.lexicalIndexes.get(properties);
+    const removed = [];
+
+    // Compact in place so callers holding the array see the change
+    let kept = 0;
+    for (const property of properties) {
+      if (toRemove.has(property.id)) {
+        removed.push(property.id);
+      } else {
+        properties[kept++] = property;
+      }
+    }
+    properties.length = kept;
+
+    for (const id of removed) {
+      if (lexicalIndex) lexicalIndex.remove(id);
+      if (index) index.remove(id);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Pre-compute query embeddings, e.g. for the most popular searches, and persist the cache
+   * @param {string[]} queries - Query texts
+   * @returns {Promise<{embedded: number, alreadyCached: number}>} How many queries needed the model
+   */
+  async warmEmbeddingCache(queries) {
+    if (!this.embeddingCache) {
+      throw new Error('Embedding cache is disabled');
+    }
+
+    let embedded = 0;
+    for (const query of queries) {
+      if (this.embeddingCache.has(this.modelName, query)) continue;
+      this.embeddingCache.set(this.modelName, query, await this.embedText(query, 'query'));
+      embedded++;
+    }
+
+    await this.embeddingCache.save();
+    return { embedded, alreadyCached: queries.length - embedded };
+  }
+
+  /**
+   * Persist the query embedding cache (no-op without a storage adapter)
+   * @returns {Promise<number>} Number of entries saved
+   */
+  async saveEmbeddingCache() {
+    return this.embeddingCache ? this.embeddingCache.save() : 0;
+  }
+
+  /**
+   * Save what the embedding cache hasn't persisted yet; call before the process or page goes away
+   * @returns {Promise<number>} Number of entries saved (0 if the cache was already up to date)
+   */
+  async dispose() {
+    return this.embeddingCache ? this.embeddingCache.dispose() : 0;
+  }
+
+  /**
+   * Embed a query as a saved search, for new-listing alerts (see saved-searches.js)
+   * @param {string} query - Query text
+   * @param {Object} options - Saved search options
+   * @param {string} options.name - Display name (default: the query)
+   * @param {Object} options.filters - Filters a new listing must pass (not maxCommuteMinutes)
+   * @param {number} options.threshold - Minimum similarity for an alert, 0-1 (default: 0.5)
+   * @param {boolean} options.parseQuery - Extract filters from the query text, as search() does (default: true)
+   * @returns {Promise<Object>} Saved search record, ready for SavedSearchStore.add()
+   */
+  async createSavedSearch(query, options = {}) {
+    const { name, threshold, parseQuery: shouldParseQuery = true } = options;
+    let { filters = {} } = options;
+
+    if (!query || typeof query !== 'string') {
+      throw new InvalidSearchError('Query must be a non-empty string');
+    }
+
+    let semanticQuery = query;
+    if (shouldParseQuery) {
+      const parsed = this.parseQuery(query);
+      semanticQuery = parsed.text || query;
+      filters = mergeFilters(parsed.filters, filters);
+    }
+    validateGeoFilters(filters);
+    validateLeaseFilters(filters);
+
+    return createSavedSearch({
+      name,
+      query,
+      filters,
+      threshold,
+      embedding: await this.generateEmbedding(semanticQuery),
+      embeddingModel: this.modelName
+    });
   }
 
   /**
    * Get search engine status
-   * @returns {Object} Status information
+   * @returns {Object} Status information; `backend` is 'native' or 'wasm' once initialized and
+   *   `runtime` holds what actually ran (runtime, executionProvider, simd, threads, loadTimeMs)
+   *   plus the probed `available` backends; `embeddingCache` holds cache size and hit/miss stats
    */
   getStatus() {
     return {
       initialized: this.isInitialized,
-      modelName: 'Xenova/all-MiniLM-L6-v2',
-      backend: 'WebAssembly'
+      modelName: this.modelName,
+      modelSource: this.modelSource,
+      offline: this.offline,
+      backend: this.runtime ? this.runtime.name : null,
+      runtime: this.runtime,
+      embeddingCache: this.embeddingCache ? this.embeddingCache.getStats() : null,
+      transit: this.transit ? this.transit.getStats() : null,
+      rerankers: [...this.rerankers.values()].map(reranker => ({
+        model: reranker.modelName,
+        loaded: Boolean(reranker.classifier),
+        source: reranker.source
+      }))
     };
   }
 }
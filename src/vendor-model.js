@@ -0,0 +1,67 @@
+import { env } from '@xenova/transformers';
+import fs from 'fs/promises';
+import path from 'path';
+import { DEFAULT_MODEL, getModelConfig } from './models.js';
+import { DEFAULT_LOCAL_MODEL_PATH, modelFiles } from './model-loader.js';
+import { DEFAULT_RERANK_MODEL } from './reranker.js';
+
+/**
+ * Reads the value following a command-line flag
+ */
+function argValue(flag) {
+  const i = process.argv.indexOf(flag);
+  return i === -1 ? undefined : process.argv[i + 1];
+}
+
+/**
+ * Downloads a model's files into ./models so it can be loaded without network access
+ * Usage: npm run vendor-model [-- --model <name> | --reranker [name]] [--unquantized] [--force]
+ */
+async function vendorModel() {
+  // Cross-encoders are not embedding models, so they bypass the registry
+  const rerankerName = argValue('--reranker');
+  const reranker = process.argv.includes('--reranker')
+    ? { name: rerankerName && !rerankerName.startsWith('--') ? rerankerName : DEFAULT_RERANK_MODEL }
+    : null;
+  const model = reranker ?? getModelConfig(argValue('--model') ?? DEFAULT_MODEL);
+  const quantized = !process.argv.includes('--unquantized');
+  const force = process.argv.includes('--force');
+  const targetDir = path.join(process.cwd(), DEFAULT_LOCAL_MODEL_PATH, model.name);
+
+  console.log(`📦 Vendoring ${model.name} into ${targetDir}`);
+
+  try {
+    for (const file of modelFiles({ quantized })) {
+      const target = path.join(targetDir, file);
+
+      if (!force) {
+        try {
+          await fs.access(target);
+          console.log(`   ⏭️  ${file} (already present)`);
+          continue;
+        } catch {
+          // Not vendored yet
+        }
+      }
+
+      const url = `${env.remoteHost}${model.name}/resolve/main/${file}`;
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Failed to download ${url}: ${response.status}`);
+      }
+
+      const bytes = new Uint8Array(await response.arrayBuffer());
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, bytes);
+      console.log(`   ✅ ${file} (${(bytes.length / 1024 / 1024).toFixed(1)} MB)`);
+    }
+
+    console.log(`\n✅ ${model.name} is ready for offline use`);
+    console.log('   Load it with new PropertySearchEngine({ offline: true }) or --offline');
+  } catch (error) {
+    console.error('❌ Error vendoring model:', error);
+    process.exit(1);
+  }
+}
+
+vendorModel();
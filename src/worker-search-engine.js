@@ -0,0 +1,303 @@
+import { VectorStore } from './vector-store.js';
+import { deserializeError } from './errors.js';
+
+/**
+ * Error used to reject requests that were cancelled or superseded
+ */
+function abortError(message) {
+  return new DOMException(message, 'AbortError');
+}
+
+/**
+ * WorkerSearchEngine - PropertySearchEngine API backed by a Web Worker
+ * The model, query embedding and similarity scans run in src/search-worker.js,
+ * so the page stays responsive while the model loads and while searching.
+ *
+ * Catalogues (property arrays or VectorStores) and HNSW indexes are copied to the
+ * worker the first time they are used and reused afterwards, so mutate them with
+ * a main-thread PropertySearchEngine and pass a new array to pick up changes.
+ */
+export class WorkerSearchEngine {
+  /**
+   * @param {Object} options - Engine options (model, offline, localModelPath, backend, numThreads)
+   * @param {string|URL} options.workerUrl - Worker script (default: search-worker.js next to this file)
+   * @param {boolean} options.cancelSuperseded - A new search cancels the previous unfinished one (default: true)
+   */
+  constructor(options = {}) {
+    const {
+      workerUrl = new URL('./search-worker.js', import.meta.url),
+      cancelSuperseded = true,
+      ...engineOptions
+    } = options;
+
+    this.engineOptions = engineOptions;
+    this.cancelSuperseded = cancelSuperseded;
+    this.isInitialized = false;
+    this.status = { initialized: false };
+    this.onProgress = null;
+
+    this.pending = new Map();
+    this.nextId = 1;
+    this.activeSearchId = null;
+    this.catalogueIds = new WeakMap();
+    this.indexIds = new WeakMap();
+
+    this.worker = new Worker(workerUrl, { type: 'module' });
+    this.worker.onmessage = event => this.handleMessage(event.data);
+    this.worker.onerror = event => this.failAll(new Error(`Search worker failed: ${event.message}`));
+  }
+
+  /**
+   * Route a worker message to its pending request (or the progress callback)
+   */
+  handleMessage(message) {
+    if (message.type === 'progress') {
+      if (this.onProgress) this.onProgress(message.event);
+      return;
+    }
+
+    const request = this.pending.get(message.id);
+    if (!request) return; // Cancelled; the worker finished it anyway
+
+    this.pending.delete(message.id);
+    if (this.activeSearchId === message.id) this.activeSearchId = null;
+
+    if (message.error) {
+      // Rebuilt with its name and code, so an InvalidSearchError is still one on this side
+      request.reject(deserializeError(message.error));
+    } else {
+      request.resolve(message.result);
+    }
+  }
+
+  /**
+   * Reject every pending request, e.g. when the worker crashed
+   */
+  failAll(error) {
+    for (const request of this.pending.values()) {
+      request.reject(error);
+    }
+    this.pending.clear();
+    this.activeSearchId = null;
+  }
+
+  /**
+   * Send a request to the worker
+   * @param {string} type - Handler name in search-worker.js
+   * @param {Object} payload - Structured-cloneable arguments
+   * @param {AbortSignal} [signal] - Cancels the request when aborted
+   * @returns {{id: number, promise: Promise}} Request ID and its result
+   */
+  request(type, payload, signal) {
+    const id = this.nextId++;
+
+    const promise = new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(abortError('Request aborted'));
+        return;
+      }
+
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ id, type, payload });
+
+      signal?.addEventListener('abort', () => this.cancel(id, 'Request aborted'), { once: true });
+    });
+
+    return { id, promise };
+  }
+
+  /**
+   * Cancel a pending request, rejecting it with an AbortError
+   * @param {number} id - Request ID
+   * @param {string} reason - Error message
+   */
+  cancel(id, reason) {
+    const request = this.pending.get(id);
+    if (!request) return;
+
+    this.pending.delete(id);
+    if (this.activeSearchId === id) this.activeSearchId = null;
+    this.worker.postMessage({ type: 'cancel', id });
+    request.reject(abortError(reason));
+  }
+
+  /**
+   * Run a search-like request, cancelling the one it supersedes
+   */
+  async searchRequest(type, payload, properties, options = {}) {
+    const { signal, index, ...rest } = options;
+    const catalogueId = await this.ensureCatalogue(properties);
+    const indexId = index ? await this.ensureIndex(index, properties, catalogueId) : undefined;
+
+    if (this.cancelSuperseded && this.activeSearchId !== null) {
+      this.cancel(this.activeSearchId, 'Search superseded by a newer query');
+    }
+
+    const { id, promise } = this.request(type, { ...payload, catalogueId, options: { ...rest, indexId } }, signal);
+    this.activeSearchId = id;
+    return promise;
+  }
+
+  /**
+   * Copy a catalogue to the worker once
+   * @returns {Promise<number>} Catalogue ID in the worker
+   */
+  ensureCatalogue(properties) {
+    let entry = this.catalogueIds.get(properties);
+    if (!entry) {
+      const catalogueId = this.nextId++;
+      const payload = properties instanceof VectorStore
+        ? {
+            catalogueId,
+            store: {
+              metadata: properties.metadata,
+              buffer: properties.vectors.buffer,
+              quantization: properties.quantization
+            }
+          }
+        : { catalogueId, properties };
+
+      // Forget a failed copy so the next search retries it
+      entry = this.request('loadCatalogue', payload).promise
+        .then(() => catalogueId)
+        .catch(error => {
+          this.catalogueIds.delete(properties);
+          throw error;
+        });
+      this.catalogueIds.set(properties, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Copy an HNSW index to the worker once
+   * @returns {Promise<number>} Index ID in the worker
+   */
+  ensureIndex(index, properties, catalogueId) {
+    let entry = this.indexIds.get(index);
+    if (!entry) {
+      const indexId = this.nextId++;
+      entry = this.request('loadIndex', { indexId, catalogueId, data: index.serialize() }).promise
+        .then(() => indexId)
+        .catch(error => {
+          this.indexIds.delete(index);
+          throw error;
+        });
+      this.indexIds.set(index, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Load the model in the worker
+   * @param {Object} options - Initialization options
+   * @param {Function} options.onProgress - Called with model download/loading events
+   */
+  async initialize(options = {}) {
+    this.onProgress = options.onProgress || null;
+
+    const status = await this.request('initialize', { engineOptions: this.engineOptions }).promise;
+    this.status = status;
+    this.isInitialized = true;
+    this.modelName = status.modelName;
+  }
+
+  /**
+   * Search for properties similar to the query (see PropertySearchEngine.search)
+   * @param {string} query - Search query text
+   * @param {Array|VectorStore} properties - Catalogue to search
+   * @param {Object} options - Search options, plus `signal` (AbortSignal) to cancel
+   * @returns {Promise<Array>} Matching properties; rejects with an AbortError when cancelled or superseded
+   */
+  search(query, properties, options = {}) {
+    return this.searchRequest('search', { query }, properties, options);
+  }
+
+  /**
+   * Search with totals, cursors and facets (see PropertySearchEngine.searchDetailed)
+   * @returns {Promise<Object>} Detailed results; rejects with an AbortError when cancelled or superseded
+   */
+  searchDetailed(query, properties, options = {}) {
+    return this.searchRequest('searchDetailed', { query }, properties, options);
+  }
+
+  /**
+   * Search for multiple queries and combine results (see PropertySearchEngine.multiSearch)
+   * @returns {Promise<Array>} Combined results; rejects with an AbortError when cancelled or superseded
+   */
+  multiSearch(queries, properties, options = {}) {
+    return this.searchRequest('multiSearch', { queries }, properties, options);
+  }
+
+  /**
+   * Find listings similar to a listing (see PropertySearchEngine.findSimilarToProperty)
+   * Unlike the main-thread engine this is asynchronous, and it never supersedes a search
+   * @returns {Promise<Array>} Top K similar properties
+   */
+  async findSimilarToProperty(id, properties, options = {}) {
+    const { signal, index, ...rest } = options;
+    const catalogueId = await this.ensureCatalogue(properties);
+    const indexId = index ? await this.ensureIndex(index, properties, catalogueId) : undefined;
+    return this.request('findSimilarToProperty', { id, catalogueId, options: { ...rest, indexId } }, signal).promise;
+  }
+
+  /**
+   * Generate an embedding in the worker (see PropertySearchEngine.generateEmbedding)
+   * @returns {Promise<number[]>} Embedding vector
+   */
+  generateEmbedding(text, options = {}) {
+    return this.request('generateEmbedding', { text, options }).promise;
+  }
+
+  /**
+   * Pre-compute query embeddings in the worker (see PropertySearchEngine.warmEmbeddingCache)
+   * @returns {Promise<{embedded: number, alreadyCached: number}>} How many queries needed the model
+   */
+  async warmEmbeddingCache(queries) {
+    const summary = await this.request('warmEmbeddingCache', { queries }).promise;
+    await this.refreshStatus();
+    return summary;
+  }
+
+  /**
+   * Persist the worker's query embedding cache (see PropertySearchEngine.saveEmbeddingCache)
+   * @returns {Promise<number>} Number of entries saved
+   */
+  saveEmbeddingCache() {
+    return this.request('saveEmbeddingCache', {}).promise;
+  }
+
+  /**
+   * Save what the worker's embedding cache hasn't persisted yet (see PropertySearchEngine.dispose);
+   * call before terminate()
+   * @returns {Promise<number>} Number of entries saved
+   */
+  dispose() {
+    return this.request('dispose', {}).promise;
+  }
+
+  /**
+   * Fetch the latest status (cache statistics change with every search) from the worker
+   * @returns {Promise<Object>} Status information
+   */
+  async refreshStatus() {
+    this.status = (await this.request('getStatus', {}).promise) || this.status;
+    return this.getStatus();
+  }
+
+  /**
+   * Get search engine status, as reported by the worker after initialize() or refreshStatus()
+   * @returns {Object} Status information (see PropertySearchEngine.getStatus)
+   */
+  getStatus() {
+    return { ...this.status, worker: true };
+  }
+
+  /**
+   * Stop the worker; pending requests are rejected
+   */
+  terminate() {
+    this.worker.terminate();
+    this.failAll(abortError('Search worker terminated'));
+  }
+}
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BM25Index, tokenize } from '../src/bm25.js';
+
+const docs = [
+  { id: 1, title: 'Sunny loft', description: 'loft near BART', address: 'Valencia St', amenities: ['gym'] },
+  { id: 2, title: 'Quiet flat', description: 'garden flat on a quiet street', address: 'Castro St', amenities: [] },
+  { id: 3, title: 'Quiet studio', description: 'studio', address: 'Mission St', amenities: ['parking'] }
+];
+
+test('tokenize lowercases, splits on punctuation and drops stop words', () => {
+  assert.deepEqual(tokenize('Looking for a 2-BR near the BART, with parking!'), ['2', 'br', 'near', 'bart', 'parking']);
+  assert.deepEqual(tokenize(undefined), []);
+});
+
+test('scores follow the Okapi BM25 formula', () => {
+  const index = new BM25Index(docs);
+  // Document 2: "quiet flat garden flat quiet street castro st" (8 terms); the average is 22 / 3
+  const idf = df => Math.log(1 + (3 - df + 0.5) / (df + 0.5));
+  const norm = 1.2 * (1 - 0.75 + 0.75 * 8 / (22 / 3));
+  const expected = idf(2) * (2 * 2.2) / (2 + norm) + idf(1) * (2 * 2.2) / (2 + norm);
+
+  assert.ok(Math.abs(index.score('quiet flat').get(2) - expected) < 1e-12);
+});
+
+test('rare terms outweigh common ones and unmatched documents score 0', () => {
+  const scores = new BM25Index(docs).score('quiet bart');
+  assert.ok(scores.get(1) > scores.get(3));
+  assert.ok(scores.get(3) > 0);
+  assert.equal(new BM25Index(docs).score('penthouse').get(1), 0);
+});
+
+test('candidates restrict which documents are scored', () => {
+  const scores = new BM25Index(docs).score('quiet', [docs[2], { id: 99 }]);
+  assert.deepEqual([...scores.keys()], [3, 99]);
+  assert.equal(scores.get(99), 0);
+});
+
+test('removing or replacing a document updates the corpus statistics', () => {
+  const index = new BM25Index(docs);
+  index.remove(2);
+  index.remove(2);
+  assert.deepEqual([...index.score('quiet studio')], [...new BM25Index([docs[0], docs[2]]).score('quiet studio')]);
+
+  index.add({ ...docs[0], description: 'loft near the park' });
+  assert.equal(index.score('bart').get(1), 0);
+  assert.equal(index.documents.size, 2);
+});
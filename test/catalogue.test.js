@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { MOCK_PROPERTIES } from '../data/mock-properties.js';
+import { createPropertyText, hashText } from '../src/property-text.js';
+import { DEFAULT_MODEL } from '../src/models.js';
+
+// The committed catalogue must be what npm run update-embeddings makes of the mock data,
+// or the next incremental run re-embeds (or silently mismatches) listings
+const catalogue = JSON.parse(await readFile('./data/properties-with-embeddings.json', 'utf8'));
+
+test('the catalogue has one entry per mock listing, in order', () => {
+  assert.deepEqual(catalogue.map(({ id }) => id), MOCK_PROPERTIES.map(({ id }) => id));
+});
+
+test('catalogue listings match the mock data, with handles instead of emails', () => {
+  catalogue.forEach((property, i) => {
+    const { landlordEmail, ...listing } = MOCK_PROPERTIES[i];
+    const { landlordHandle, embedding, embeddingText, embeddingHash, embeddingModel, ...stored } = property;
+    assert.deepEqual(stored, listing);
+    assert.match(landlordHandle, /^ll_[0-9a-f]{14}$/);
+  });
+});
+
+test('every vector records the hash of the current listing text and its model', () => {
+  catalogue.forEach((property, i) => {
+    const text = createPropertyText(MOCK_PROPERTIES[i]);
+    assert.equal(property.embeddingText, text);
+    assert.equal(property.embeddingHash, hashText(text));
+    assert.equal(property.embeddingModel, DEFAULT_MODEL);
+    assert.equal(property.embedding.length, 384);
+  });
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TransitNetwork } from '../src/commute.js';
+import { haversineDistance } from '../src/geo-utils.js';
+
+// Two stops 8 km apart on one line: on weekdays every 10 minutes in the morning and every
+// 20 minutes the rest of the day; on weekends every 6 minutes for an hour
+const stops = [
+  { stop_id: 'west', stop_name: 'West', stop_lat: '37.7600', stop_lon: '-122.5000' },
+  { stop_id: 'east', stop_name: 'East', stop_lat: '37.7600', stop_lon: '-122.4090' }
+];
+const trips = [];
+const stopTimes = [];
+const addTrip = (service, departure) => {
+  const trip_id = `${service}_${trips.length}`;
+  const time = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}:00`;
+  trips.push({ route_id: 'L', service_id: service, trip_id });
+  stopTimes.push(
+    { trip_id, arrival_time: time(departure), departure_time: time(departure), stop_id: 'west', stop_sequence: '1' },
+    { trip_id, arrival_time: time(departure + 12), departure_time: time(departure + 12), stop_id: 'east', stop_sequence: '2' }
+  );
+};
+for (let minutes = 7 * 60; minutes <= 9 * 60; minutes += 10) addTrip('weekday', minutes);
+for (let minutes = 10 * 60; minutes <= 23 * 60; minutes += 20) addTrip('weekday', minutes);
+for (let minutes = 9 * 60 + 5; minutes < 10 * 60; minutes += 6) addTrip('weekend', minutes);
+
+const feed = {
+  stops,
+  routes: [{ route_id: 'L', route_short_name: 'L' }],
+  trips,
+  stopTimes,
+  calendar: [
+    { service_id: 'weekday', monday: '1', tuesday: '1', wednesday: '1', thursday: '1', friday: '1', saturday: '0', sunday: '0' },
+    { service_id: 'weekend', monday: '0', tuesday: '0', wednesday: '0', thursday: '0', friday: '0', saturday: '1', sunday: '1' }
+  ]
+};
+const west = { lat: 37.76, lng: -122.5 };
+const east = { lat: 37.76, lng: -122.409 };
+
+test('waits come from the weekday commute-hour headway, not every trip pooled', () => {
+  const network = new TransitNetwork(feed);
+  assert.equal(network.routeWaits.get('L'), 5);
+
+  // Stop to stop: no walking, a 5-minute wait and the scheduled 12-minute ride
+  assert.deepEqual(network.estimate(west, east), { minutes: 17, mode: 'transit', boardAt: 'West', route: 'L' });
+});
+
+test('without calendar.txt the most frequent service counts', () => {
+  const network = new TransitNetwork({ ...feed, calendar: [] });
+  assert.equal(network.routeWaits.get('L'), 3);
+});
+
+test('outside commute hours the whole day sets the headway', () => {
+  const network = new TransitNetwork(feed, { commuteHours: [0, 5] });
+  assert.equal(network.routeWaits.get('L'), 10);
+});
+
+test('the sample feed gives the N its 10-minute weekday headway', async () => {
+  const network = await TransitNetwork.fromDirectory('./data/gtfs-sample');
+  assert.equal(network.routeWaits.get('N'), 5);
+});
+
+test('nearby stops match a scan of every stop', async () => {
+  const network = await TransitNetwork.fromDirectory('./data/gtfs-sample');
+  const { maxWalkKm } = network.options;
+
+  for (let lat = 37.70; lat <= 37.82; lat += 0.004) {
+    for (let lng = -122.52; lng <= -122.38; lng += 0.004) {
+      const point = { lat, lng };
+      const scanned = network.stops
+        .map((stop, i) => ({ i, km: haversineDistance(point, stop.coordinates) }))
+        .filter(({ km }) => km <= maxWalkKm)
+        .map(({ i }) => i);
+      assert.deepEqual(network.nearbyStops(point).map(({ stop }) => stop).sort((a, b) => a - b), scanned);
+    }
+  }
+});
@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { EmbeddingCache, FileCacheStorage, normalizeQueryText } from '../src/embedding-cache.js';
+
+const MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+/**
+ * In-memory storage adapter that records every save
+ */
+function memoryStorage(initial = []) {
+  return {
+    saved: initial,
+    saves: 0,
+    async load() {
+      return this.saved;
+    },
+    async save(entries) {
+      this.saves++;
+      this.saved = entries.map(([key, vector]) => [key, Array.from(vector)]);
+    }
+  };
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('queries share an entry however they are spaced or cased, per model', () => {
+  assert.equal(normalizeQueryText('  Pet   Friendly\tSTUDIO '), 'pet friendly studio');
+
+  const cache = new EmbeddingCache();
+  cache.set(MODEL, 'Pet friendly studio', [0.5, 0.25]);
+  assert.deepEqual(cache.get(MODEL, '  pet FRIENDLY  studio'), [0.5, 0.25]);
+  assert.equal(cache.get('other-model', 'pet friendly studio'), undefined);
+
+  // Callers get a copy
+  cache.get(MODEL, 'pet friendly studio')[0] = 9;
+  assert.deepEqual(cache.get(MODEL, 'pet friendly studio'), [0.5, 0.25]);
+});
+
+test('the least recently used entry is evicted first', () => {
+  const cache = new EmbeddingCache({ maxEntries: 3 });
+  for (const query of ['a', 'b', 'c']) cache.set(MODEL, query, [1]);
+
+  cache.get(MODEL, 'a');
+  cache.set(MODEL, 'd', [1]);
+  assert.equal(cache.has(MODEL, 'b'), false);
+  assert.deepEqual(['a', 'c', 'd'].map(query => cache.has(MODEL, query)), [true, true, true]);
+
+  // Re-setting an entry also makes it the most recent
+  cache.set(MODEL, 'c', [2]);
+  cache.set(MODEL, 'e', [1]);
+  assert.equal(cache.has(MODEL, 'a'), false);
+
+  assert.deepEqual(cache.getStats(), {
+    size: 3, maxEntries: 3, hits: 1, misses: 0, hitRate: 1, evictions: 2, persistent: false
+  });
+  assert.throws(() => new EmbeddingCache({ maxEntries: 0 }), /maxEntries must be a positive integer/);
+});
+
+test('the file storage round-trips entries, their recency and exact values', async () => {
+  const directory = await mkdtemp(join(tmpdir(), 'embedding-cache-'));
+  try {
+    const path = join(directory, 'cache.json');
+    const first = new EmbeddingCache({ storage: new FileCacheStorage(path) });
+    first.set(MODEL, 'old', [0.1, -0.2]);
+    first.set('other-model', 'elsewhere', [1, 1]);
+    first.set(MODEL, 'new', [Math.PI, 1e-8]);
+    assert.equal(await first.save(), 3);
+
+    const restored = new EmbeddingCache({ maxEntries: 1, storage: new FileCacheStorage(path) });
+    assert.equal(await restored.load(MODEL), 2);
+    // Only the most recent entry fits, and the other model's entry is never loaded
+    assert.deepEqual(restored.get(MODEL, 'new'), Array.from(Float32Array.from([Math.PI, 1e-8])));
+    assert.equal(restored.has(MODEL, 'old'), false);
+    assert.equal(restored.has('other-model', 'elsewhere'), false);
+
+    assert.deepEqual(await new FileCacheStorage(join(directory, 'missing.json')).load(), []);
+
+    await writeFile(path, JSON.stringify({ version: 99, entries: [] }));
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      assert.deepEqual(await new FileCacheStorage(path).load(), []);
+    } finally {
+      console.warn = warn;
+    }
+
+    await writeFile(path, '{ not json');
+    await assert.rejects(new FileCacheStorage(path).load(), /Failed to read embedding cache/);
+  } finally {
+    await rm(directory, { recursive: true, force: true });
+  }
+});
+
+test('new entries are saved once after a burst, without an explicit save()', async () => {
+  const storage = memoryStorage();
+  const cache = new EmbeddingCache({ storage, saveDelayMs: 20 });
+  cache.set(MODEL, 'one', [1]);
+  await wait(5);
+  cache.set(MODEL, 'two', [2]);
+  cache.set(MODEL, 'three', [3]);
+  assert.equal(storage.saves, 0);
+
+  await wait(60);
+  assert.equal(storage.saves, 1);
+  assert.deepEqual(storage.saved.map(([key]) => key), [`${MODEL}\none`, `${MODEL}\ntwo`, `${MODEL}\nthree`]);
+
+  // Loading doesn't count as a change
+  await cache.load(MODEL);
+  await wait(40);
+  assert.equal(storage.saves, 1);
+});
+
+test('dispose saves pending entries immediately and only when something changed', async () => {
+  const storage = memoryStorage();
+  const cache = new EmbeddingCache({ storage, saveDelayMs: 60000 });
+  assert.equal(await cache.dispose(), 0);
+
+  cache.set(MODEL, 'one', [1]);
+  assert.equal(await cache.dispose(), 1);
+  assert.equal(storage.saves, 1);
+  assert.equal(cache.saveTimer, null);
+
+  assert.equal(await cache.dispose(), 0);
+  assert.equal(storage.saves, 1);
+
+  // A failed save leaves the entries unsaved, so the next dispose retries
+  const failing = new EmbeddingCache({ saveDelayMs: 60000, storage: { load: async () => [], save: async () => { throw new Error('disk full'); } } });
+  failing.set(MODEL, 'one', [1]);
+  await assert.rejects(failing.dispose(), /disk full/);
+  assert.equal(failing.dirty, true);
+  await assert.rejects(failing.dispose(), /disk full/);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchesFilters, validateLeaseFilters, filterProperties } from '../src/embedding-utils.js';
+
+const november = { id: 1, availableFrom: '2026-11-01', minLeaseMonths: 6, maxLeaseMonths: 12, furnished: true };
+const openEnded = { id: 2 };
+
+test('moveInBy keeps listings available on or before the day', () => {
+  assert.equal(matchesFilters(november, { moveInBy: '2026-11-01' }), true);
+  assert.equal(matchesFilters(november, { moveInBy: '2026-12-15' }), true);
+  assert.equal(matchesFilters(november, { moveInBy: '2026-10-31' }), false);
+  // No availableFrom means available now
+  assert.equal(matchesFilters(openEnded, { moveInBy: '2020-01-01' }), true);
+});
+
+test('moveInBy is compared as a calendar day, not as raw text', () => {
+  assert.equal(matchesFilters(november, { moveInBy: '2026-11-01T23:30:00-08:00' }), true);
+  assert.equal(matchesFilters(november, { moveInBy: '2026-10-31T23:59:59Z' }), false);
+  assert.equal(matchesFilters(november, { moveInBy: new Date(2026, 10, 1) }), true);
+  assert.equal(matchesFilters(november, { moveInBy: new Date(2026, 9, 31) }), false);
+  // Text that isn't a date matches nothing rather than everything
+  assert.equal(matchesFilters(november, { moveInBy: 'next month' }), false);
+  assert.equal(matchesFilters(november, { moveInBy: '2026-9-1' }), false);
+});
+
+test('leaseMonths must fit between the listing minimum and maximum', () => {
+  assert.equal(matchesFilters(november, { leaseMonths: 6 }), true);
+  assert.equal(matchesFilters(november, { leaseMonths: 12 }), true);
+  assert.equal(matchesFilters(november, { leaseMonths: 3 }), false);
+  assert.equal(matchesFilters(november, { leaseMonths: 18 }), false);
+  assert.equal(matchesFilters(openEnded, { leaseMonths: 1 }), true);
+  assert.equal(matchesFilters({ minLeaseMonths: 12 }, { leaseMonths: 24 }), true);
+});
+
+test('furnished: false also keeps listings that do not say', () => {
+  assert.equal(matchesFilters(november, { furnished: true }), true);
+  assert.equal(matchesFilters(november, { furnished: false }), false);
+  assert.equal(matchesFilters(openEnded, { furnished: true }), false);
+  assert.equal(matchesFilters(openEnded, { furnished: false }), true);
+});
+
+test('invalid lease filters are rejected as bad requests', () => {
+  for (const [filters, message] of [
+    [{ moveInBy: '12/01/2026' }, /moveInBy filter must be a date/],
+    [{ moveInBy: '2026-02-30' }, /moveInBy filter must be a date/],
+    [{ moveInBy: 20261201 }, /moveInBy filter must be a date/],
+    [{ moveInBy: new Date('not a date') }, /moveInBy filter must be a date/],
+    [{ leaseMonths: 0 }, /leaseMonths filter must be a positive integer/],
+    [{ leaseMonths: 6.5 }, /leaseMonths filter must be a positive integer/],
+    [{ leaseMonths: '6' }, /leaseMonths filter must be a positive integer/],
+    [{ furnished: 'yes' }, /furnished filter must be true or false/]
+  ]) {
+    assert.throws(() => validateLeaseFilters(filters), { name: 'InvalidSearchError', code: 'INVALID_REQUEST', message });
+  }
+
+  assert.doesNotThrow(() => validateLeaseFilters({ moveInBy: '2026-12-01T00:00:00Z', leaseMonths: 1, furnished: false }));
+  assert.doesNotThrow(() => validateLeaseFilters({ moveInBy: new Date(), leaseMonths: null }));
+});
+
+test('filterProperties validates, then applies every lease filter together', () => {
+  const listings = [november, openEnded, { id: 3, availableFrom: '2027-01-01', furnished: true }];
+  assert.deepEqual(filterProperties(listings, { moveInBy: '2026-12-01', leaseMonths: 9, furnished: true }).map(({ id }) => id), [1]);
+  assert.throws(() => filterProperties(listings, { moveInBy: 'soon' }), /moveInBy/);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeFacets, normalizeAmenity, extractZipCode } from '../src/facets.js';
+import { matchesFilters } from '../src/embedding-utils.js';
+
+const listings = [
+  { id: 1, price: 1500, bedrooms: 0, bathrooms: 1, address: '1 Main St, San Francisco, CA 94110', amenities: ['Pets allowed', 'pet-friendly', 'Wi-Fi'] },
+  { id: 2, price: 1999.5, bedrooms: 1, bathrooms: 1, address: '2 Oak St, San Francisco, CA 94117-1234', amenities: ['Dog-Friendly', 'washer/dryer'] },
+  { id: 3, price: 2000, bedrooms: 1, bathrooms: 1.5, address: '12345 Pine St', amenities: ['laundry in unit', 'gigabit wifi'] },
+  { id: 4, price: 2499.99, bedrooms: 2, bathrooms: 2, address: '4 Elm St, San Francisco, CA 94110 ' }
+];
+
+test('price buckets are half-open, so fractional rents land in exactly one', () => {
+  const { price } = computeFacets(listings);
+  assert.deepEqual(price.map(({ value, label, count }) => [value, label, count]), [
+    [1500, '$1,500-$2,000', 2],
+    [2000, '$2,000-$2,500', 2]
+  ]);
+
+  // Each bucket's filters select exactly the listings it counted
+  for (const bucket of price) {
+    assert.equal(listings.filter(listing => matchesFilters(listing, bucket.filters)).length, bucket.count);
+  }
+  assert.deepEqual(price[0].filters, { minPrice: 1500, priceBelow: 2000 });
+});
+
+test('the bucket size is configurable', () => {
+  const { price } = computeFacets(listings, { priceBucketSize: 1000 });
+  assert.deepEqual(price.map(({ value, count }) => [value, count]), [[1000, 2], [2000, 2]]);
+});
+
+test('amenity spellings count once per listing under one label', () => {
+  assert.equal(normalizeAmenity('  Pet-Friendly '), 'pet friendly');
+  assert.equal(normalizeAmenity('Pets OK'), 'pet friendly');
+  assert.equal(normalizeAmenity('Wi-Fi'), 'wifi');
+  assert.equal(normalizeAmenity('Laundry in  unit'), 'in-unit laundry');
+  assert.equal(normalizeAmenity('Rooftop garden'), 'rooftop garden');
+
+  const { amenities } = computeFacets(listings);
+  assert.deepEqual(amenities.map(({ value, count }) => [value, count]), [
+    ['in-unit laundry', 2],
+    ['pet friendly', 2],
+    ['wifi', 2]
+  ]);
+  assert.deepEqual(amenities[1].filters, { requiredAmenities: ['pet friendly'] });
+  assert.equal(listings.filter(listing => matchesFilters(listing, amenities[1].filters)).length, 2);
+
+  assert.equal(computeFacets(listings, { maxAmenities: 1 }).amenities.length, 1);
+});
+
+test('ZIP codes come from the end of the address', () => {
+  assert.equal(extractZipCode('2134 Fulton St, San Francisco, CA 94117'), '94117');
+  assert.equal(extractZipCode('2 Oak St, San Francisco, CA 94117-1234'), '94117');
+  assert.equal(extractZipCode('4 Elm St, CA 94110  '), '94110');
+  // A five-digit street number is not a ZIP code
+  assert.equal(extractZipCode('12345 Pine St'), null);
+  assert.equal(extractZipCode(undefined), null);
+
+  const { zipCodes } = computeFacets(listings);
+  assert.deepEqual(zipCodes.map(({ value, count, filters }) => [value, count, filters]), [
+    ['94110', 2, { zipCodes: ['94110'] }],
+    ['94117', 1, { zipCodes: ['94117'] }]
+  ]);
+});
+
+test('bedroom and bathroom facets are sorted by value', () => {
+  const { bedrooms, bathrooms } = computeFacets(listings);
+  assert.deepEqual(bedrooms.map(({ label, count }) => [label, count]), [['Studio', 1], ['1 BR', 2], ['2 BR', 1]]);
+  assert.deepEqual(bathrooms.map(({ value }) => value), [1, 1.5, 2]);
+  assert.deepEqual(bedrooms[0].filters, { minBedrooms: 0, maxBedrooms: 0 });
+});
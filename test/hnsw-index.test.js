@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HNSWIndex } from '../src/hnsw-index.js';
+import { cosineSimilarity } from '../src/embedding-utils.js';
+
+/**
+ * Seeded random unit-ish vectors, so every run builds the same graph
+ */
+function randomVectors(count, dimensions, seed = 7) {
+  let state = seed;
+  const random = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648 - 0.5;
+  };
+  return Array.from({ length: count }, (_, i) => ({
+    id: i + 1,
+    embedding: Array.from({ length: dimensions }, random)
+  }));
+}
+
+function exactTop(properties, query, k) {
+  return properties
+    .map(property => ({ id: property.id, similarity: cosineSimilarity(query, property.embedding) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, k)
+    .map(({ id }) => id);
+}
+
+const properties = randomVectors(300, 16);
+const queries = randomVectors(20, 16, 99).map(({ embedding }) => embedding);
+
+test('search recalls the exact nearest neighbours', () => {
+  const index = HNSWIndex.fromProperties(properties, { M: 8, efConstruction: 100 });
+  assert.equal(index.size, 300);
+
+  let found = 0;
+  for (const query of queries) {
+    const exact = new Set(exactTop(properties, query, 10));
+    const results = index.search(query, 10, { efSearch: 64 });
+    assert.equal(results.length, 10);
+    found += results.filter(({ id }) => exact.has(id)).length;
+  }
+  assert.ok(found / (queries.length * 10) >= 0.95, `recall@10 was ${found / (queries.length * 10)}`);
+});
+
+test('similarities are the cosine of the stored vectors, most similar first', () => {
+  const index = HNSWIndex.fromProperties(properties);
+  const results = index.search(queries[0], 5);
+  const byId = new Map(properties.map(property => [property.id, property.embedding]));
+
+  results.forEach(({ id, similarity }, i) => {
+    assert.ok(Math.abs(similarity - cosineSimilarity(queries[0], byId.get(id))) < 1e-5);
+    if (i > 0) assert.ok(results[i - 1].similarity >= similarity);
+  });
+});
+
+test('the filter only admits accepted ids', () => {
+  const index = HNSWIndex.fromProperties(properties);
+  const results = index.search(queries[0], 10, { filter: id => id % 2 === 0 });
+  assert.equal(results.length, 10);
+  assert.ok(results.every(({ id }) => id % 2 === 0));
+});
+
+test('removed nodes stay out of results but keep routing', () => {
+  const index = HNSWIndex.fromProperties(properties);
+  const removed = new Set(index.search(queries[0], 20).map(({ id }) => id));
+  for (const id of removed) assert.equal(index.remove(id), true);
+
+  assert.equal(index.remove(removed.values().next().value), false);
+  assert.equal(index.size, 280);
+  for (const query of queries) {
+    const results = index.search(query, 10);
+    assert.equal(results.length, 10);
+    assert.ok(results.every(({ id }) => !removed.has(id)));
+  }
+
+  // A removed id can be added again
+  const [id] = removed;
+  index.add(id, properties[id - 1].embedding);
+  assert.equal(index.search(properties[id - 1].embedding, 1)[0].id, id);
+});
+
+test('add rejects duplicates and mismatched dimensions', () => {
+  const index = HNSWIndex.fromProperties(properties.slice(0, 10));
+  assert.throws(() => index.add(1, properties[0].embedding), /already indexed/);
+  assert.throws(() => index.add(999, [1, 2, 3]), /16-dimensional/);
+  assert.throws(() => index.search([1, 2, 3], 5), /dimensions/);
+});
+
+test('serialize compacts tombstones and deserialize restores the same results', () => {
+  const index = HNSWIndex.fromProperties(properties);
+  for (let id = 1; id <= 50; id++) index.remove(id);
+
+  const data = JSON.parse(JSON.stringify(index.serialize()));
+  assert.equal(data.ids.length, 250);
+  assert.ok(data.ids.every(id => id > 50));
+
+  const restored = HNSWIndex.deserialize(data, properties);
+  assert.equal(restored.size, 250);
+  assert.equal(restored.has(1), false);
+  for (const query of queries) {
+    const exact = new Set(exactTop(properties.slice(50), query, 5));
+    const results = restored.search(query, 5, { efSearch: 64 });
+    assert.ok(results.every(({ id }) => id > 50));
+    assert.ok(results.filter(({ id }) => exact.has(id)).length >= 4);
+  }
+});
+
+test('deserialize needs every indexed vector and the format version', () => {
+  const data = HNSWIndex.fromProperties(properties.slice(0, 10)).serialize();
+  assert.throws(() => HNSWIndex.deserialize(data, properties.slice(1, 10)), /Property 1 from the index has no embedding/);
+  assert.throws(() => HNSWIndex.deserialize({ ...data, version: 99 }, properties), /Unsupported HNSW index format/);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InquiryStore } from '../src/inquiries.js';
+import { LandlordDirectory, withLandlordHandle } from '../src/landlords.js';
+
+const now = new Date('2026-10-19T12:00:00Z');
+const listing = { id: 1, title: 'Sunny studio', landlordHandle: 'll_0123456789abcd' };
+const inquiry = { listingId: 1, name: 'Ana', moveInDate: '2026-12-01', message: 'Is it still available?' };
+
+test('the first inquiry issues a renter token that later calls need', async () => {
+  const store = new InquiryStore();
+  const { inquiry: stored, renterToken } = await store.submit(inquiry, listing, { now });
+
+  assert.match(renterToken, /^rt_[0-9a-f]{32}$/);
+  assert.equal(stored.renterKey, undefined);
+  assert.equal((await store.submit(inquiry, listing, { now, renterToken })).renterToken, renterToken);
+  assert.equal((await store.forRenter(renterToken)).length, 2);
+
+  await assert.rejects(store.forRenter('rt_guessed'), { code: 'UNAUTHORIZED' });
+  await assert.rejects(store.submit(inquiry, listing, { now, renterToken: 'rt_guessed' }), { code: 'UNAUTHORIZED' });
+});
+
+test('a fresh token does not reset the limit for the same client address', async () => {
+  const store = new InquiryStore({ rateLimit: { maxInquiries: 2, windowMs: 60_000 } });
+  await store.submit(inquiry, listing, { now, client: '203.0.113.7' });
+  await store.submit(inquiry, listing, { now, client: '203.0.113.7' });
+
+  await assert.rejects(store.submit(inquiry, listing, { now, client: '203.0.113.7' }), { code: 'RATE_LIMITED' });
+  await store.submit(inquiry, listing, { now, client: '198.51.100.2' });
+});
+
+test('landlords sign in with an issued key, not their handle or email', async () => {
+  const directory = new LandlordDirectory();
+  const handle = withLandlordHandle({ id: 1, landlordEmail: 'Sam@Example.com' }, directory).landlordHandle;
+
+  assert.match(handle, /^ll_[0-9a-f]{14}$/);
+  assert.equal(directory.handleFor('sam@example.com'), handle);
+  assert.equal(await directory.authenticate(handle), null);
+  assert.equal(await directory.authenticate('sam@example.com'), null);
+
+  const key = await directory.issueKey('sam@example.com');
+  assert.equal(await directory.authenticate(key), handle);
+  assert.equal(await directory.authenticate(await directory.issueKey('sam@example.com')), handle);
+  assert.equal(await directory.authenticate(key), null);
+});
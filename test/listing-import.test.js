@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv } from '../src/data-utils.js';
+import { parseCsvListings, parseJsonListings, parseListings, mergeListings } from '../src/listing-import.js';
+import { validateListing, validateListings } from '../src/listing-schema.js';
+import { createPropertyText } from '../src/property-text.js';
+import { explainFilters } from '../src/explain.js';
+
+const valid = {
+  id: 7,
+  title: '  Sunny studio ',
+  address: '1 Main St, San Francisco, CA 94110',
+  price: 2400,
+  bedrooms: 0,
+  bathrooms: 1,
+  landlordEmail: ' Owner@Example.com ',
+  description: 'Bright and quiet.',
+  amenities: ['Pets allowed', 'pet-friendly', 'Washer/Dryer']
+};
+
+test('CSV quoting keeps commas, newlines and doubled quotes inside fields', () => {
+  const records = parseCsv('a,b\r\n"x, y","say ""hi""\nthere"\n\nlast,\n');
+  assert.deepEqual(records, [
+    { line: 1, values: ['a', 'b'] },
+    { line: 2, values: ['x, y', 'say "hi"\nthere'] },
+    { line: 5, values: ['last', ''] }
+  ]);
+  assert.throws(() => parseCsv('a\n"open'), /Unterminated quoted field starting on line 2/);
+});
+
+test('CSV rows become typed listings', () => {
+  const csv = '\uFEFFid,title,price,bedrooms,lat,lng,amenities,furnished,images\n' +
+    '12,Loft,"$3,100",2,37.76,-122.42,wifi; parking | gym,yes,\n' +
+    'a-1,Flat,cheap,1.5,,,,maybe,\n';
+
+  assert.deepEqual(parseCsvListings(csv), [
+    {
+      row: 2,
+      listing: {
+        id: 12, title: 'Loft', price: 3100, bedrooms: 2, coordinates: { lat: 37.76, lng: -122.42 },
+        amenities: ['wifi', 'parking', 'gym'], furnished: true
+      }
+    },
+    // Values that don't parse stay strings for validation to report; empty amenities mean none
+    { row: 3, listing: { id: 'a-1', title: 'Flat', price: 'cheap', bedrooms: 1.5, amenities: [], furnished: 'maybe' } }
+  ]);
+});
+
+test('JSON Lines rows keep their line numbers and report bad JSON', () => {
+  const rows = parseJsonListings('{"id": 1}\n\n{oops}\n{"id": 2}\n');
+  assert.deepEqual(rows.map(({ row, listing }) => [row, listing]), [[1, { id: 1 }], [3, null], [4, { id: 2 }]]);
+  assert.match(rows[1].parseError, /^invalid JSON/);
+
+  assert.deepEqual(parseJsonListings(' [{"id": 1}, {"id": 2}] '), [{ row: 1, listing: { id: 1 } }, { row: 2, listing: { id: 2 } }]);
+  assert.equal(parseListings('feed.NDJSON', '{"id": 1}').length, 1);
+  assert.throws(() => parseListings('feed.xml', ''), /Unsupported listing file/);
+});
+
+test('valid listings are normalized', () => {
+  const { valid: ok, listing, errors } = validateListing(valid);
+  assert.equal(ok, true);
+  assert.deepEqual(errors, []);
+  assert.equal(listing.title, 'Sunny studio');
+  assert.equal(listing.landlordEmail, 'owner@example.com');
+  assert.deepEqual(listing.amenities, ['pet friendly', 'in-unit laundry']);
+});
+
+test('invalid listings report every problem', () => {
+  const { valid: ok, listing, errors } = validateListing({
+    ...valid,
+    price: 0,
+    bedrooms: 1.5,
+    landlordEmail: 'nobody',
+    amenities: undefined,
+    coordinates: { lat: 91, lng: 0 },
+    availableFrom: '12/01/2026',
+    minLeaseMonths: 12,
+    maxLeaseMonths: 6
+  });
+
+  assert.equal(ok, false);
+  assert.equal(listing, null);
+  assert.deepEqual(errors.map(({ field }) => field), [
+    'price', 'bedrooms', 'landlordEmail', 'amenities', 'coordinates', 'availableFrom', 'maxLeaseMonths'
+  ]);
+  assert.deepEqual(validateListing([]).errors, [{ field: '(listing)', message: 'must be an object' }]);
+});
+
+test('batches reject duplicate ids and unparsed rows', () => {
+  const { listings, rejected } = validateListings([
+    { row: 2, listing: valid },
+    { row: 3, listing: { ...valid, id: '7' } },
+    { row: 4, listing: null, parseError: 'invalid JSON: Unexpected token' }
+  ]);
+
+  assert.equal(listings.length, 1);
+  assert.deepEqual(rejected, [
+    { row: 3, id: '7', errors: [{ field: 'id', message: 'duplicates row 2' }] },
+    { row: 4, id: null, errors: [{ field: '(row)', message: 'invalid JSON: Unexpected token' }] }
+  ]);
+});
+
+test('listings without amenities can be embedded and explained', () => {
+  const { amenities, ...bare } = valid;
+  assert.match(createPropertyText(bare), /per month\. Located at 1 Main St, San Francisco, CA 94110\. $/);
+  assert.deepEqual(explainFilters(bare, { requiredAmenities: ['parking'] }), [
+    { filter: 'requiredAmenities', value: ['parking'], actual: [], passed: false }
+  ]);
+});
+
+test('imported listings are merged into the catalogue, not swapped for it', () => {
+  const catalogue = [
+    { id: 1, title: 'Kept loft', embedding: [0.1], embeddingHash: 'a', embeddingModel: 'm', chunkEmbeddings: [] },
+    { id: 2, title: 'Old studio', embedding: [0.2], embeddingHash: 'b', embeddingModel: 'm' }
+  ];
+  const imported = [{ id: 3, title: 'New flat' }, { id: 2, title: 'Renovated studio' }];
+
+  assert.deepEqual(mergeListings(catalogue, imported), [
+    { id: 1, title: 'Kept loft' },
+    { id: 2, title: 'Renovated studio' },
+    { id: 3, title: 'New flat' }
+  ]);
+  assert.deepEqual(mergeListings([], imported), imported);
+  assert.equal(catalogue[0].embedding[0], 0.1);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuery } from '../src/query-parser.js';
+
+const now = new Date(2026, 9, 19);
+
+/**
+ * Query strings and the filters they must (and must not) produce
+ */
+const CASES = [
+  { query: 'quiet studio near a park for under $2500', filters: { maxBedrooms: 0, maxPrice: 2500 }, text: 'quiet near a park' },
+  { query: 'between 3k and 4k with parking', filters: { minPrice: 3000, maxPrice: 4000, requiredAmenities: ['parking'] } },
+  { query: '2BR pet-friendly loft', filters: { minBedrooms: 2, maxBedrooms: 2, requiredAmenities: ['pet friendly'] }, text: 'loft' },
+  { query: 'furnished place available next month for a 6-month lease', filters: { furnished: true, moveInBy: '2026-11-30', leaseMonths: 6 } },
+
+  // Nothing semantic is left once every phrase is a filter, not even a dangling preposition
+  { query: 'furnished 2BR available next month on a 6-month lease', filters: { minBedrooms: 2, maxBedrooms: 2, moveInBy: '2026-11-30', leaseMonths: 6, furnished: true }, text: '' },
+  { query: '1 year lease', filters: { leaseMonths: 12 }, text: '' },
+
+  // Decimal counts are read whole, never from the middle of a number
+  { query: 'condo with 1.5 baths', filters: { minBathrooms: 1.5 }, text: 'condo' },
+  { query: 'condo with 2.5 bathrooms and a gym', filters: { minBathrooms: 2.5, requiredAmenities: ['gym'] } },
+
+  // Negated phrases never become requirements
+  { query: 'not furnished', filters: { furnished: false } },
+  { query: 'unfurnished loft', filters: { furnished: false }, text: 'loft' },
+  { query: 'no parking needed', filters: {} },
+  { query: 'quiet place without a pool', filters: {} },
+  { query: 'parking not needed, with a gym', filters: { requiredAmenities: ['gym'] } },
+  { query: 'not a studio, 1 bath', filters: { minBathrooms: 1 } },
+
+  // Ranges need no dollar sign and may end in a currency word
+  { query: 'studio from 2000 to 2500 dollars', filters: { minPrice: 2000, maxPrice: 2500, maxBedrooms: 0 }, text: '' },
+  { query: '$2000-2500 loft', filters: { minPrice: 2000, maxPrice: 2500 }, text: 'loft' },
+
+  // Bare numbers are prices unless they are years, small counts or followed by a unit
+  { query: 'Victorian with 2 bathrooms under 4000', filters: { maxPrice: 4000, minBathrooms: 2 }, text: 'Victorian' },
+  { query: 'at least 2 bedrooms', filters: { minBedrooms: 2 } },
+  { query: 'built from 2020', filters: {} },
+  { query: 'renovated from 2019 to 2021', filters: {} },
+  { query: 'from 2000 to 3000 sqft', filters: {} },
+  { query: 'over 2000 sqft', filters: {} },
+  { query: 'loft under 10 minutes from work', filters: {} },
+  { query: 'between 2000 and 3000 sqft', filters: {} },
+  { query: 'rent under 3000', filters: { maxPrice: 3000 } },
+  { query: 'under 2500/mo', filters: { maxPrice: 2500 } },
+  { query: 'budget of at most 2800', filters: { maxPrice: 2800 } },
+  { query: 'under 3.5k', filters: { maxPrice: 3500 } }
+];
+
+for (const { query, filters, text } of CASES) {
+  test(`parseQuery("${query}")`, () => {
+    const parsed = parseQuery(query, { now });
+    assert.deepEqual(parsed.filters, filters);
+    if (text !== undefined) {
+      assert.equal(parsed.text, text);
+    }
+  });
+}
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rankByScore, reciprocalRankFusion, normalizeScores } from '../src/rank-fusion.js';
+
+const items = [{ id: 'a', score: 0.2 }, { id: 'b', score: 0.9 }, { id: 'c', score: 0.5 }];
+
+test('ranks start at 1 for the highest score', () => {
+  assert.deepEqual([...rankByScore(items, item => item.score)], [['b', 1], ['c', 2], ['a', 3]]);
+});
+
+test('tied scores share the best rank whatever the input order', () => {
+  const tied = [{ id: 'a', score: 0 }, { id: 'b', score: 1 }, { id: 'c', score: 0 }, { id: 'd', score: 0.5 }];
+  const ranks = rankByScore(tied, item => item.score);
+  assert.deepEqual(Object.fromEntries(ranks), { b: 1, d: 2, a: 3, c: 3 });
+  assert.deepEqual(Object.fromEntries(rankByScore([...tied].reverse(), item => item.score)), Object.fromEntries(ranks));
+});
+
+test('reciprocal rank fusion sums 1 / (k + rank) over the rankings', () => {
+  const semantic = new Map([['a', 1], ['b', 2], ['c', 5]]);
+  const lexical = new Map([['c', 1], ['b', 2]]);
+  const fused = reciprocalRankFusion([semantic, lexical], 60);
+
+  assert.equal(fused.get('a'), 1 / 61);
+  assert.equal(fused.get('b'), 1 / 62 + 1 / 62);
+  assert.equal(fused.get('c'), 1 / 65 + 1 / 61);
+  // Consistently good beats first-in-one-list
+  assert.deepEqual([...fused].sort(([, x], [, y]) => y - x).map(([id]) => id), ['b', 'c', 'a']);
+});
+
+test('fusion weights scale each ranking and k damps the head', () => {
+  const fused = reciprocalRankFusion([new Map([['a', 1]]), new Map([['a', 2]])], 10, [2, 0.5]);
+  assert.equal(fused.get('a'), 2 / 11 + 0.5 / 12);
+});
+
+test('normalizeScores maps to [0, 1], and equal scores to 0', () => {
+  assert.deepEqual([...normalizeScores(new Map([['a', 2], ['b', 6], ['c', 4]]))], [['a', 0], ['b', 1], ['c', 0.5]]);
+  assert.deepEqual([...normalizeScores(new Map([['a', 3], ['b', 3]]))], [['a', 0], ['b', 0]]);
+});
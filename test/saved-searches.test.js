@@ -0,0 +1,156 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  createSavedSearch,
+  matchSavedSearches,
+  matchNewListings,
+  sendAlerts,
+  FileOutboxNotifier,
+  SavedSearchStore,
+  FileSavedSearchStorage,
+  LocalStorageSavedSearchStorage
+} from '../src/saved-searches.js';
+
+const MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+const search = (id, embedding, overrides = {}) =>
+  createSavedSearch({ id, query: `search ${id}`, embedding, embeddingModel: MODEL, ...overrides });
+
+const listing = (id, embedding, overrides = {}) => ({
+  id,
+  title: `Listing ${id}`,
+  address: `${id} Main St, San Francisco, CA 94110`,
+  price: 2500,
+  bedrooms: 1,
+  bathrooms: 1,
+  landlordEmail: 'owner@example.com',
+  embedding,
+  embeddingModel: MODEL,
+  ...overrides
+});
+
+test('saved searches need a query, an embedding, a model and a threshold between 0 and 1', () => {
+  const saved = search('a', [1, 0]);
+  assert.equal(saved.name, 'search a');
+  assert.equal(saved.threshold, 0.5);
+  assert.deepEqual(saved.filters, {});
+  assert.ok(!Number.isNaN(Date.parse(saved.createdAt)));
+  assert.match(createSavedSearch({ query: 'q', embedding: [1], embeddingModel: MODEL }).id, /^[0-9a-f-]{36}$/);
+
+  assert.throws(() => search('a', [1, 0], { query: '' }), /non-empty query/);
+  assert.throws(() => search('a', []), /query embedding/);
+  assert.throws(() => search('a', [1, 0], { embeddingModel: undefined }), /embedding model/);
+  assert.throws(() => search('a', [1, 0], { threshold: 1.5 }), /between 0 and 1/);
+});
+
+test('saved searches cannot filter on commute time', () => {
+  assert.throws(
+    () => search('a', [1, 0], { filters: { maxPrice: 3000, maxCommuteMinutes: 30 } }),
+    /cannot filter on maxCommuteMinutes/
+  );
+});
+
+test('a listing matches searches whose filters it passes and whose threshold it reaches', () => {
+  const searches = [
+    search('close', [1, 0]),
+    search('nearer', [1, 0.1]),
+    search('far', [0, 1]),
+    search('strict', [1, 0.1], { threshold: 0.999 }),
+    search('cheap', [1, 0], { filters: { maxPrice: 2000 } }),
+    search('other-model', [1, 0], { embeddingModel: 'other' })
+  ];
+
+  const matches = matchSavedSearches(listing(1, [1, 0.05]), searches);
+  assert.deepEqual(matches.map(({ search }) => search.id), ['nearer', 'close']);
+  assert.ok(matches[0].similarity > matches[1].similarity);
+
+  // Without a known model every search is compared
+  const { embeddingModel, ...unknownModel } = listing(1, [1, 0.05]);
+  assert.equal(matchSavedSearches(unknownModel, searches).length, 3);
+
+  const matched = matchNewListings([listing(1, [1, 0]), listing(2, [-1, 0])], searches);
+  assert.deepEqual(matched.map(({ listing }) => listing.id), [1]);
+});
+
+test('alerts go to every notifier and carry no embedding or contact details', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'saved-searches-'));
+  try {
+    const outbox = new FileOutboxNotifier(join(dir, 'outbox.jsonl'));
+    const received = [];
+    const failing = { notify: async () => { throw new Error('mailer down'); } };
+    const matched = matchNewListings([listing(1, [1, 0]), listing(2, [1, 0.1])], [search('a', [1, 0])]);
+
+    const warn = console.warn;
+    console.warn = () => {};
+    let result;
+    try {
+      result = await sendAlerts(matched, [failing, outbox, { notify: async alert => received.push(alert) }]);
+    } finally {
+      console.warn = warn;
+    }
+    assert.deepEqual(result, { sent: 4, failed: 2 });
+
+    const written = (await readFile(join(dir, 'outbox.jsonl'), 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(written, received);
+    assert.deepEqual(received.map(({ listing }) => listing.id), [1, 2]);
+    assert.equal(received[0].similarity, 1);
+    assert.deepEqual(Object.keys(received[0].listing), ['id', 'title', 'address', 'price', 'bedrooms', 'bathrooms']);
+    assert.equal(received[0].searchId, 'a');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('the store persists searches to a file', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'saved-searches-'));
+  const path = join(dir, 'saved-searches.json');
+  try {
+    const store = new SavedSearchStore({ storage: new FileSavedSearchStorage(path) });
+    assert.equal(await store.load(), 0);
+
+    await store.add({ id: 'a', query: 'garden flat', embedding: [1, 0], embeddingModel: MODEL });
+    await store.add({ id: 'b', query: 'loft', embedding: [0, 1], embeddingModel: MODEL });
+    await store.add({ id: 'a', query: 'garden cottage', embedding: [1, 0], embeddingModel: MODEL });
+    assert.equal(await store.remove('b'), true);
+    assert.equal(await store.remove('b'), false);
+
+    const reloaded = new SavedSearchStore({ storage: new FileSavedSearchStorage(path) });
+    assert.equal(await reloaded.load(), 1);
+    assert.equal(reloaded.get('a').query, 'garden cottage');
+    assert.deepEqual(reloaded.match([listing(1, [1, 0])]).map(({ listing }) => listing.id), [1]);
+
+    await assert.rejects(reloaded.add({ query: 'x', embedding: [1], embeddingModel: MODEL, threshold: -1 }), /between 0 and 1/);
+    assert.equal(reloaded.list().length, 1);
+
+    await writeFile(path, JSON.stringify({ version: 99, searches: [] }));
+    await assert.rejects(reloaded.load(), /Unsupported saved search file/);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('the store can persist to localStorage', async () => {
+  const items = new Map();
+  globalThis.localStorage = {
+    getItem: key => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value))
+  };
+  try {
+    const store = new SavedSearchStore({ storage: 'localstorage' });
+    assert.ok(store.storage instanceof LocalStorageSavedSearchStorage);
+    assert.equal(await store.load(), 0);
+
+    await store.add({ id: 'a', query: 'garden flat', embedding: [1, 0], embeddingModel: MODEL });
+    assert.equal(JSON.parse(items.get('hackleasa-saved-searches')).searches[0].id, 'a');
+    assert.equal(await new SavedSearchStore({ storage: 'localstorage' }).load(), 1);
+
+    // Data in another format is ignored rather than thrown on
+    items.set('hackleasa-saved-searches', JSON.stringify({ version: 99, searches: [{ id: 'x' }] }));
+    assert.equal(await store.load(), 0);
+  } finally {
+    delete globalThis.localStorage;
+  }
+});
@@ -0,0 +1,71 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { PropertySearchEngine } from '../src/vectorSearch.js';
+import { createSearchServer } from '../src/server.js';
+
+const listing = (id, embedding) => ({
+  id,
+  title: `Listing ${id}`,
+  address: `${id} Main St, San Francisco, CA 94110`,
+  price: 2000 + id * 100,
+  bedrooms: 1,
+  bathrooms: 1,
+  landlordEmail: `owner${id}@example.com`,
+  embedding
+});
+
+// 2 points the same way as 1, 3 a little off and 4 the other way; 5 was never embedded
+const properties = [
+  listing(1, [1, 0, 0]),
+  listing(2, [0.9, 0.1, 0]),
+  listing(3, [0.5, 0.5, 0]),
+  listing(4, [-1, 0, 0]),
+  listing(5, undefined)
+];
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const engine = new PropertySearchEngine({ embeddingCache: false });
+  server = createSearchServer(engine, properties).listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+async function get(path) {
+  const response = await fetch(baseUrl + path);
+  return { status: response.status, body: await response.json() };
+}
+
+test('similar listings come back most similar first, without the listing itself', async () => {
+  const { status, body } = await get('/properties/1/similar?topK=2');
+  assert.equal(status, 200);
+  assert.equal(body.count, 2);
+  assert.deepEqual(body.results.map(({ id }) => id), [2, 3]);
+  assert.ok(body.results[0].similarity > body.results[1].similarity);
+  assert.ok(body.results.every(result => !('embedding' in result) && !('landlordEmail' in result)));
+});
+
+test('an unknown listing is a 404', async () => {
+  const { status, body } = await get('/properties/99/similar');
+  assert.equal(status, 404);
+  assert.deepEqual(body.error, { code: 'NOT_FOUND', message: 'Property 99 not found' });
+});
+
+test('an invalid topK is a 400', async () => {
+  for (const topK of ['0', '101', '2.5', 'many']) {
+    const { status, body } = await get(`/properties/1/similar?topK=${topK}`);
+    assert.equal(status, 400);
+    assert.equal(body.error.code, 'INVALID_TOP_K');
+  }
+});
+
+test('engine failures are reported as SEARCH_FAILED, not as an internal error', async () => {
+  const { status, body } = await get('/properties/5/similar');
+  assert.equal(status, 500);
+  assert.deepEqual(body.error, { code: 'SEARCH_FAILED', message: 'Property 5 has no embedding' });
+});
@@ -0,0 +1,295 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PropertySearchEngine } from '../src/vectorSearch.js';
+import { HNSWIndex } from '../src/hnsw-index.js';
+import { calculateCentroid, cosineSimilarity } from '../src/embedding-utils.js';
+
+/**
+ * Bag-of-words vector: each word adds to one hashed dimension
+ */
+function embedWords(text) {
+  const vector = new Float32Array(384);
+  for (const word of text.toLowerCase().match(/[a-z0-9]+/g) ?? []) {
+    let hash = 2166136261;
+    for (const char of word) hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+    vector[(hash >>> 0) % 384] += 1;
+  }
+  const magnitude = Math.hypot(...vector) || 1;
+  return vector.map(value => value / magnitude);
+}
+
+/**
+ * An engine whose model is replaced by embedWords, so searches are deterministic and offline
+ */
+function createEngine(options = {}) {
+  const engine = new PropertySearchEngine({ embeddingCache: false, ...options });
+  engine.embedder = async text => ({ data: embedWords(text) });
+  engine.isInitialized = true;
+  return engine;
+}
+
+function listing(id, title, overrides = {}) {
+  return {
+    id,
+    title,
+    description: `${title}.`,
+    price: 2000 + id * 10,
+    bedrooms: 1,
+    bathrooms: 1,
+    address: `${id} Main St, San Francisco, CA 94110`,
+    amenities: [],
+    ...overrides
+  };
+}
+
+async function createCatalogue(engine, listings) {
+  const properties = [];
+  await engine.upsertProperties(properties, listings);
+  return properties;
+}
+
+const quiet = { parseQuery: false };
+
+test('the index path scores listings added after the index was built', async () => {
+  const engine = createEngine();
+  const properties = await createCatalogue(engine, Array.from({ length: 30 }, (_, i) => listing(i + 1, `plain flat number ${i + 1}`)));
+  const index = HNSWIndex.fromProperties(properties);
+
+  await engine.upsertProperties(properties, [listing(31, 'rooftop observatory loft')]);
+  assert.equal(index.has(31), false);
+
+  const results = await engine.search('rooftop observatory loft', properties, { ...quiet, topK: 3, index, efSearch: 4 });
+  assert.equal(results[0].id, 31);
+});
+
+/**
+ * Follows nextCursor until the last page and returns every page's IDs
+ */
+async function collectPages(engine, query, properties, options) {
+  const pages = [];
+  let cursor = null;
+  do {
+    const page = await engine.searchDetailed(query, properties, { ...options, cursor });
+    pages.push(page.results.map(({ id }) => id));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return pages;
+}
+
+// Identical text embeds identically, so these listings tie on similarity
+const twin = id => listing(id, 'garden flat with a view', { price: 2500, address: 'Main St, San Francisco, CA 94110' });
+
+test('cursors page through every result once, without gaps', async () => {
+  const engine = createEngine();
+  const properties = await createCatalogue(engine, [
+    ...Array.from({ length: 17 }, (_, i) => listing(i + 1, `garden flat number ${i + 1}`)),
+    ...[40, 22, 31].map(twin)
+  ]);
+
+  const everything = (await engine.search('garden flat with a view', properties, { ...quiet, topK: 100 })).map(({ id }) => id);
+  const pages = await collectPages(engine, 'garden flat with a view', properties, { ...quiet, limit: 6 });
+
+  assert.deepEqual(pages.map(page => page.length), [6, 6, 6, 2]);
+  assert.deepEqual(pages.flat(), everything);
+  assert.equal(new Set(pages.flat()).size, 20);
+});
+
+test('tied scores page in ID order, across page boundaries', async () => {
+  const engine = createEngine();
+  const properties = await createCatalogue(engine, [9, 3, 12, 1, 7, 5, 10].map(twin));
+
+  const pages = await collectPages(engine, 'garden flat with a view', properties, { ...quiet, limit: 3 });
+  assert.deepEqual(pages, [[1, 3, 5], [7, 9, 10], [12]]);
+
+  // A listing inserted into an earlier page doesn't repeat or skip anything on the next
+  const first = await engine.searchDetailed('garden flat with a view', properties, { ...quiet, limit: 3 });
+  await engine.upsertProperties(properties, [twin(2)]);
+  const second = await engine.searchDetailed('garden flat with a view', properties, { ...quiet, limit: 3, cursor: first.nextCursor });
+  assert.deepEqual(second.results.map(({ id }) => id), [7, 9, 10]);
+});
+
+test('nextCursor is null on the last page', async () => {
+  const engine = createEngine();
+  const properties = await createCatalogue(engine, [1, 2, 3, 4].map(twin));
+
+  const full = await engine.searchDetailed('garden flat', properties, { ...quiet, limit: 4 });
+  assert.equal(full.results.length, 4);
+  assert.equal(full.nextCursor, null);
+
+  const first = await engine.searchDetailed('garden flat', properties, { ...quiet, limit: 3 });
+  const last = await engine.searchDetailed('garden flat', properties, { ...quiet, limit: 3, cursor: first.nextCursor });
+  assert.deepEqual(last.results.map(({ id }) => id), [4]);
+  assert.equal(last.nextCursor, null);
+});
+
+test('a cursor only continues the search that issued it', async () => {
+  const engine = createEngine();
+  const properties = await createCatalogue(engine, [1, 2, 3, 4].map(twin));
+  const { nextCursor } = await engine.searchDetailed('garden flat', properties, { ...quiet, limit: 2 });
+
+  for (const options of [
+    { query: 'roof deck' },
+    { filters: { maxPrice: 3000 } },
+    { mode: 'hybrid' },
+    { parseQuery: true }
+  ]) {
+    const { query = 'garden flat', ...rest } = options;
+    await assert.rejects(
+      engine.searchDetailed(query, properties, { ...quiet, limit: 2, cursor: nextCursor, ...rest }),
+      { name: 'InvalidSearchError', code: 'INVALID_REQUEST', message: 'Cursor does not belong to this search' }
+    );
+  }
+  await assert.rejects(
+    engine.searchDetailed('garden flat', properties, { ...quiet, cursor: 'not-a-cursor' }),
+    { name: 'InvalidSearchError', message: 'Invalid cursor' }
+  );
+});
+
+test('an exact keyword match outside the ANN shortlist still reaches hybrid fusion', async () => {
+  const engine = createEngine();
+  const properties = await createCatalogue(engine, [
+    ...Array.from({ length: 40 }, (_, i) => listing(i + 1, `quiet sunny flat with a garden and a view number ${i + 1}`)),
+    listing(41, 'Glen Park BART studio')
+  ]);
+  const index = HNSWIndex.fromProperties(properties);
+  const options = { ...quiet, index, efSearch: 4 };
+
+  const semantic = await engine.search('quiet sunny flat near BART', properties, { ...options, topK: 10 });
+  assert.ok(!semantic.some(({ id }) => id === 41));
+
+  const weighted = await engine.search('quiet sunny flat near BART', properties, { ...options, topK: 3, mode: 'hybrid', fusion: 'weighted' });
+  assert.equal(weighted[0].id, 41);
+  assert.ok(weighted[0].lexicalScore > weighted[1].lexicalScore);
+  assert.ok(weighted[0].semanticScore < weighted[1].semanticScore);
+});
+
+test('RRF keeps the semantic order among listings that tie on BM25', async () => {
+  const engine = createEngine();
+  // Stop words are embedded but not indexed, so these titles differ only semantically
+  const properties = await createCatalogue(engine, [
+    listing(1, 'sunny flat and the view'),
+    listing(2, 'sunny flat with a view'),
+    listing(3, 'dark basement'),
+    listing(4, 'damp basement')
+  ]);
+
+  const semantic = await engine.search('sunny flat with a view', properties, { ...quiet, topK: 4 });
+  const hybrid = await engine.search('sunny flat with a view', properties, { ...quiet, topK: 4, mode: 'hybrid' });
+  assert.equal(hybrid[0].lexicalScore, hybrid[1].lexicalScore);
+  assert.equal(hybrid[2].lexicalScore, 0);
+  assert.deepEqual(hybrid.map(({ id }) => id), semantic.map(({ id }) => id));
+});
+
+test('dispose persists query embeddings the debounce has not saved yet', async () => {
+  let saved = [];
+  const storage = { load: async () => [], save: async entries => { saved = entries; } };
+  const engine = createEngine({ embeddingCache: { storage, saveDelayMs: 60000 } });
+  const properties = await createCatalogue(engine, [listing(1, 'garden flat')]);
+
+  await engine.search('garden flat', properties, quiet);
+  assert.equal(saved.length, 0);
+  assert.equal(await engine.dispose(), 1);
+  assert.deepEqual(saved.map(([key]) => key), [`${engine.modelName}\ngarden flat`]);
+  assert.equal(await createEngine().dispose(), 0);
+});
+
+/**
+ * 1 is all garden, 2 all nightlife, 3 has both; 4-9 mention one of them in passing
+ */
+async function createTopicCatalogue(engine) {
+  const filler = 'Spacious renovated apartment with tall windows, hardwood floors, a modern kitchen, plenty of closet space and a sunny living room.';
+  return createCatalogue(engine, [
+    listing(1, 'garden garden cottage'),
+    listing(2, 'nightlife nightlife loft'),
+    listing(3, 'garden and nightlife flat'),
+    ...[4, 5, 6].map(id => listing(id, 'Flat by a garden', { description: filler })),
+    ...[7, 8, 9].map(id => listing(id, 'Flat by the nightlife', { description: filler }))
+  ]);
+}
+
+const ids = results => results.map(({ id }) => id);
+
+test('multiSearch centroid fusion searches with the weighted mean of the query embeddings', async () => {
+  const engine = createEngine();
+  const properties = await createTopicCatalogue(engine);
+
+  const both = await engine.multiSearch(['garden', 'nightlife'], properties, { topK: 9 });
+  assert.equal(both[0].id, 3);
+  const centroid = calculateCentroid([embedWords('garden'), embedWords('nightlife')], [1, 1]);
+  for (const result of both) {
+    assert.ok(Math.abs(result.similarity - cosineSimilarity(centroid, properties[result.id - 1].embedding)) < 1e-6);
+  }
+
+  const mostlyGarden = await engine.multiSearch([{ text: 'garden', weight: 3 }, 'nightlife'], properties, { topK: 3 });
+  assert.deepEqual(ids(mostlyGarden), [1, 3, 2]);
+
+  // A negative weight steers away: the nightlife listing comes last, below zero
+  const quiet = await engine.multiSearch(['garden', { text: 'nightlife', weight: -1 }], properties, { topK: 9 });
+  assert.equal(quiet[0].id, 1);
+  assert.equal(quiet[8].id, 2);
+  assert.ok(quiet[8].similarity < 0);
+});
+
+test('multiSearch rrf rewards ranking well for every query', async () => {
+  const engine = createEngine();
+  const properties = await createTopicCatalogue(engine);
+
+  const results = await engine.multiSearch(['garden', 'nightlife'], properties, { topK: 9, fusion: 'rrf' });
+  // Listing 3 is second for both queries; 1 and 2 are first for one and tied last for the other
+  assert.deepEqual(ids(results).slice(0, 3), [3, 1, 2]);
+  assert.equal(results[0].fusedScore, 1 / 62 + 1 / 62);
+  assert.equal(results[1].fusedScore, 1 / 61 + 1 / 66);
+
+  const [garden, nightlife] = await Promise.all(['garden', 'nightlife'].map(query =>
+    engine.search(query, properties, { parseQuery: false, topK: 9 })
+  ));
+  const similarity = (list, id) => list.find(result => result.id === id).similarity;
+  for (const result of results) {
+    assert.deepEqual(result.queryScores, [similarity(garden, result.id), similarity(nightlife, result.id)]);
+    assert.ok(Math.abs(result.similarity - (result.queryScores[0] + result.queryScores[1]) / 2) < 1e-12);
+  }
+
+  const avoiding = await engine.multiSearch(['garden', { text: 'nightlife', weight: -1 }], properties, { topK: 9, fusion: 'rrf' });
+  assert.equal(avoiding[0].id, 1);
+  assert.equal(avoiding[8].id, 2);
+});
+
+test('multiSearch max favours the best single rank and min the worst', async () => {
+  const engine = createEngine();
+  const properties = await createTopicCatalogue(engine);
+
+  const max = await engine.multiSearch(['garden', 'nightlife'], properties, { topK: 3, fusion: 'max' });
+  assert.deepEqual(ids(max), [1, 2, 3]);
+  assert.equal(max[0].fusedScore, 1 / 61);
+  assert.equal(max[1].fusedScore, 1 / 61);
+
+  const min = await engine.multiSearch(['garden', 'nightlife'], properties, { topK: 3, fusion: 'min' });
+  assert.equal(min[0].id, 3);
+  assert.equal(min[0].fusedScore, 1 / 62);
+  assert.equal(min[1].fusedScore, 1 / 66);
+});
+
+test('multiSearch validates queries, weights and the fusion method', async () => {
+  const engine = createEngine();
+  const properties = await createTopicCatalogue(engine);
+
+  for (const [queries, message] of [
+    [[], /non-empty array/],
+    ['garden', /non-empty array/],
+    [[{ weight: 1 }], /non-empty text/],
+    [['garden', ''], /non-empty text/],
+    [[{ text: 'garden', weight: '2' }], /"garden" has an invalid weight/],
+    [[{ text: 'garden', weight: NaN }], /"garden" has an invalid weight/],
+    [[{ text: 'garden', weight: Infinity }], /"garden" has an invalid weight/],
+    [[{ text: 'garden', weight: 0 }, { text: 'nightlife', weight: -1 }], /At least one query must have a positive weight/]
+  ]) {
+    await assert.rejects(engine.multiSearch(queries, properties), { name: 'InvalidSearchError', message });
+  }
+  await assert.rejects(engine.multiSearch(['garden'], properties, { fusion: 'mean' }), /Unknown fusion method: mean/);
+
+  // Zero-weight queries are dropped rather than averaged in
+  assert.deepEqual(
+    await engine.multiSearch(['garden', { text: 'nightlife', weight: 0 }], properties, { topK: 9 }),
+    await engine.multiSearch(['garden'], properties, { topK: 9 })
+  );
+});
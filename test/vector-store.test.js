@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { encodeVectorStore, VectorStore, loadVectorStore } from '../src/vector-store.js';
+import { cosineSimilarity } from '../src/embedding-utils.js';
+
+/**
+ * Seeded random vectors with varied magnitudes, so norms and scales differ per row
+ */
+function randomProperties(count, dimensions, seed = 3) {
+  let state = seed;
+  const random = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648 - 0.5;
+  };
+  return Array.from({ length: count }, (_, i) => ({
+    id: i + 1,
+    title: `Listing ${i + 1}`,
+    embeddingText: 'text that must not be stored',
+    embedding: Array.from({ length: dimensions }, () => random() * (i + 1))
+  }));
+}
+
+const properties = randomProperties(20, 32);
+const queries = randomProperties(5, 32, 11).map(({ embedding }) => embedding);
+
+test('float32 stores round-trip vectors and metadata', () => {
+  const { metadata, float32, int8 } = encodeVectorStore(properties, { name: 'listings', model: 'test-model' });
+  assert.equal(int8, null);
+  assert.deepEqual(metadata.files, { float32: 'listings.f32.bin' });
+  assert.equal(metadata.model, 'test-model');
+  assert.deepEqual(metadata.properties[0], { id: 1, title: 'Listing 1' });
+
+  const store = new VectorStore(metadata, float32);
+  assert.equal(store.has(20), true);
+  assert.equal(store.has(21), false);
+  assert.equal(store.getVector(21), undefined);
+  assert.deepEqual([...store.getVector(7)], [...Float32Array.from(properties[6].embedding)]);
+});
+
+test('float32 similarity is the cosine of the original embeddings', () => {
+  const { metadata, float32 } = encodeVectorStore(properties);
+  const store = new VectorStore(metadata, float32);
+  for (const query of queries) {
+    for (const property of properties) {
+      assert.ok(Math.abs(store.similarity(query, property.id) - cosineSimilarity(query, property.embedding)) < 1e-6);
+    }
+  }
+});
+
+test('int8 vectors keep one scale per row and dequantize within half a step', () => {
+  const { metadata, int8 } = encodeVectorStore(properties, { int8: true });
+  const store = new VectorStore(metadata, int8, 'int8');
+
+  properties.forEach(({ id, embedding }, row) => {
+    const maxAbs = Math.max(...embedding.map(Math.abs));
+    assert.ok(Math.abs(store.scales[row] - maxAbs / 127) < 1e-6 * maxAbs);
+    store.getVector(id).forEach((value, i) => assert.ok(Math.abs(value - embedding[i]) <= store.scales[row] / 2 + 1e-6));
+  });
+});
+
+test('int8 similarity tracks the float cosine and ignores vector length', () => {
+  const { metadata, int8 } = encodeVectorStore(properties, { int8: true });
+  const store = new VectorStore(metadata, int8, 'int8');
+  for (const query of queries) {
+    for (const property of properties) {
+      assert.ok(Math.abs(store.similarity(query, property.id) - cosineSimilarity(query, property.embedding)) < 0.02);
+    }
+  }
+
+  // Row 20 is 20 times longer than row 1 but has the same direction
+  const scaled = [{ id: 1, embedding: properties[0].embedding }, { id: 2, embedding: properties[0].embedding.map(v => v * 20) }];
+  const encoded = encodeVectorStore(scaled, { int8: true });
+  const pair = new VectorStore(encoded.metadata, encoded.int8, 'int8');
+  assert.ok(Math.abs(pair.similarity(queries[0], 1) - pair.similarity(queries[0], 2)) < 1e-6);
+});
+
+test('zero vectors score 0 instead of NaN', () => {
+  const zero = [{ id: 'z', embedding: [0, 0, 0] }];
+  for (const quantization of ['float32', 'int8']) {
+    const { metadata, float32, int8 } = encodeVectorStore(zero, { int8: true });
+    const store = new VectorStore(metadata, quantization === 'int8' ? int8 : float32, quantization);
+    assert.equal(store.similarity([1, 2, 3], 'z'), 0);
+  }
+});
+
+test('malformed stores and queries are rejected', () => {
+  const { metadata, float32, int8 } = encodeVectorStore(properties.slice(0, 3), { int8: true });
+
+  assert.throws(() => new VectorStore(metadata, float32.slice(4)), /Float32 vector file has 380 bytes, expected 384/);
+  assert.throws(() => new VectorStore(metadata, int8.slice(1), 'int8'), /Int8 vector file has 107 bytes, expected 108/);
+  assert.throws(() => new VectorStore(metadata, float32, 'int4'), /Unknown quantization: int4/);
+  assert.throws(() => new VectorStore({ ...metadata, version: 2 }, float32), /Unsupported vector store format/);
+  assert.throws(() => new VectorStore({ ...metadata, properties: metadata.properties.slice(1) }, float32), /lists 2 properties, expected 3/);
+
+  const store = new VectorStore(metadata, float32);
+  assert.throws(() => store.similarity([1, 2], 1), /Query has 2 dimensions, store expects 32/);
+  assert.throws(() => store.similarity(queries[0], 99), /Property 99 is not in the vector store/);
+
+  assert.throws(() => encodeVectorStore([]), /empty property list/);
+  assert.throws(() => encodeVectorStore([properties[0], { id: 'short', embedding: [1] }]), /Property short must have a 32-dimensional embedding/);
+});
+
+test('stores written to disk load back and search like the float embeddings', async () => {
+  const directory = await mkdtemp(join(tmpdir(), 'vector-store-'));
+  try {
+    const { metadata, float32, int8 } = encodeVectorStore(properties, { int8: true, name: 'listings' });
+    await writeFile(join(directory, 'listings.json'), JSON.stringify(metadata));
+    await writeFile(join(directory, 'listings.f32.bin'), Buffer.from(float32));
+    await writeFile(join(directory, 'listings.i8.bin'), Buffer.from(int8));
+
+    const best = (query, score) => properties.reduce((top, property) => score(property) > score(top) ? property : top).id;
+
+    for (const quantization of ['float32', 'int8']) {
+      const store = await loadVectorStore(join(directory, 'listings.json'), { quantization });
+      assert.equal(store.quantization, quantization);
+      for (const query of queries) {
+        for (const { id, embedding } of properties) {
+          assert.ok(Math.abs(store.similarity(query, id) - cosineSimilarity(query, embedding)) < (quantization === 'int8' ? 0.02 : 1e-6));
+        }
+        assert.equal(best(query, ({ id }) => store.similarity(query, id)), best(query, ({ embedding }) => cosineSimilarity(query, embedding)));
+      }
+    }
+
+    await writeFile(join(directory, 'float-only.json'), JSON.stringify({ ...metadata, files: { float32: 'listings.f32.bin' } }));
+    await assert.rejects(loadVectorStore(join(directory, 'float-only.json'), { quantization: 'int8' }), /no int8 variant/);
+  } finally {
+    await rm(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WorkerSearchEngine } from '../src/worker-search-engine.js';
+import { InvalidSearchError, serializeError, deserializeError } from '../src/errors.js';
+
+/**
+ * Stands in for the browser's Worker: records posted messages, and replies are
+ * delivered by calling reply() the way the worker's postMessage would
+ */
+class FakeWorker {
+  constructor() {
+    this.sent = [];
+    FakeWorker.last = this;
+  }
+
+  postMessage(message) {
+    this.sent.push(message);
+  }
+
+  reply(message) {
+    this.onmessage({ data: structuredClone(message) });
+  }
+
+  terminate() {}
+}
+
+globalThis.Worker = FakeWorker;
+
+test('errors survive serialization with their class, name and code', () => {
+  const invalid = deserializeError(structuredClone(serializeError(new InvalidSearchError('limit must be a positive integer'))));
+  assert.ok(invalid instanceof InvalidSearchError);
+  assert.deepEqual({ name: invalid.name, code: invalid.code, message: invalid.message },
+    { name: 'InvalidSearchError', code: 'INVALID_REQUEST', message: 'limit must be a positive integer' });
+
+  const notFound = Object.assign(new Error('no such file'), { code: 'ENOENT' });
+  const rebuilt = deserializeError(serializeError(notFound));
+  assert.equal(rebuilt instanceof InvalidSearchError, false);
+  assert.deepEqual([rebuilt.name, rebuilt.code, rebuilt.message], ['Error', 'ENOENT', 'no such file']);
+
+  assert.deepEqual(serializeError(new TypeError('bad')), { name: 'TypeError', code: undefined, message: 'bad' });
+});
+
+test('a worker error rejects the request as the error the engine threw', async () => {
+  const engine = new WorkerSearchEngine();
+  const worker = FakeWorker.last;
+
+  const { id, promise } = engine.request('search', { query: '' });
+  worker.reply({ id, error: serializeError(new InvalidSearchError('Query must be a non-empty string')) });
+
+  await assert.rejects(promise, error =>
+    error instanceof InvalidSearchError && error.code === 'INVALID_REQUEST' && error.message === 'Query must be a non-empty string'
+  );
+  assert.equal(engine.pending.size, 0);
+});
+
+test('a superseded search rejects with an AbortError and its late answer is ignored', async () => {
+  const engine = new WorkerSearchEngine();
+  const worker = FakeWorker.last;
+  const properties = [];
+
+  const first = engine.search('loft', properties);
+  const firstRejected = assert.rejects(first, { name: 'AbortError', message: 'Search superseded by a newer query' });
+  await Promise.resolve();
+  const [load] = worker.sent;
+  worker.reply({ id: load.id, result: undefined });
+  await new Promise(resolve => setImmediate(resolve));
+
+  const second = engine.search('studio', properties);
+  await new Promise(resolve => setImmediate(resolve));
+
+  const [firstSearch, cancel, secondSearch] = worker.sent.slice(1);
+  assert.deepEqual(cancel, { type: 'cancel', id: firstSearch.id });
+  await firstRejected;
+
+  worker.reply({ id: firstSearch.id, result: [{ id: 1 }] });
+  worker.reply({ id: secondSearch.id, result: [{ id: 2 }] });
+  assert.deepEqual(await second, [{ id: 2 }]);
+  assert.equal(engine.pending.size, 0);
+});